@@ -0,0 +1,515 @@
+#!/usr/bin/env node
+/**
+ * gerador-recibos.js
+ *
+ * Linha de comando para gerar recibos e manter funcionários sem o dashboard, para
+ * uso em scripts e tarefas agendadas. Usa o mesmo banco de dados do servidor
+ * (knexfile.js, conforme NODE_ENV), a mesma interpretação do período e a mesma
+ * renderização e assinatura dos PDFs.
+ *
+ * Uso: npx gerador-recibos <comando> [opções]   (ajuda: npx gerador-recibos --help)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const archiver = require('archiver');
+const { bancoDeDados } = require('../lib/banco-de-dados');
+const { renderizarPdf, encerrarNavegador } = require('../lib/renderizador-pdf');
+const { formatarMoeda, interpretarPeriodo } = require('../lib/utilitarios');
+const { validarPeriodo } = require('../lib/periodos');
+const { registrarAuditoria } = require('../lib/auditoria');
+const { lerPlanilhaFuncionarios, planejarImportacao, gravarImportacao } = require('../lib/funcionarios');
+const { prepararGeracao, gerarRecibos, removerRecibos } = require('../lib/geracao');
+const {
+    FORMATOS_RELATORIO, montarRelatorioFolha, gerarCsvFolha, gerarExportacaoContabil, gerarHtmlFolha
+} = require('../lib/relatorios');
+
+// Códigos de saída
+const SUCESSO = 0;
+const ERRO_INTERNO = 1;
+const USO_INVALIDO = 2;
+const NAO_ENCONTRADO = 3;
+const FALHA_PARCIAL = 4;
+const DADOS_INVALIDOS = 5;
+
+// Status HTTP dos erros das funções compartilhadas com a API → código de saída
+const CODIGO_SAIDA_POR_STATUS = { 400: USO_INVALIDO, 404: NAO_ENCONTRADO, 409: USO_INVALIDO };
+
+const AJUDA = `Uso: gerador-recibos <comando> [opções]
+
+Comandos:
+  gerar      Gera os recibos de um período
+               --periodo <mm/aaaa>       competência (obrigatório)
+               --inicio <aaaa-mm-dd>     início do período trabalhado (com --fim; padrão:
+               --fim <aaaa-mm-dd>        o mês inteiro da competência)
+               --data-pagamento <aaaa-mm-dd> data de pagamento impressa no recibo
+               --empresa <id>            empresa emissora (obrigatório)
+               --saida <pasta>           pasta de destino (padrão: diretório atual)
+               --modelo <id>             modelo de recibo (padrão: o modelo padrão)
+               --funcionarios <1,2,...>  apenas estes funcionários (padrão: todos os ativos)
+               --formato <zip|pdf>       um ZIP com todos ou o PDF de um único funcionário
+               --assinar | --nao-assinar assina os PDFs com o certificado da empresa
+                                         (padrão: sempre que houver um configurado)
+               --url-publica <url>       endereço do servidor impresso no QR code
+                                         (padrão: variável URL_PUBLICA)
+  importar   Importa funcionários de uma planilha CSV ou XLSX
+               <arquivo>                 planilha com as colunas nome, cpf e salario [e email]
+               --empresa <id>            empresa dos funcionários (obrigatório)
+               --modo <inserir|atualizar> atualizar = atualiza os CPFs já cadastrados
+               --simular                 apenas valida, sem gravar
+  listar     Lista os funcionários
+               --empresa <id>            apenas os funcionários desta empresa
+               --desligados              inclui os funcionários desligados
+               --json                    saída em JSON
+  relatorio  Relatório da folha de uma competência, a partir dos recibos emitidos
+               --periodo <mm/aaaa>       competência (obrigatório)
+               --empresa <id>            apenas esta empresa (padrão: todas)
+               --formato <csv|pdf|json|contabil> contabil = lançamentos para
+                                         importação na contabilidade (padrão: csv)
+               --saida <arquivo>         arquivo de destino (padrão: saída padrão)
+
+Códigos de saída:
+  0 sucesso, 1 erro interno, 2 uso ou período inválido, 3 empresa, modelo,
+  funcionário, arquivo ou recibos da competência não encontrados, 4 recibos
+  gerados com falhas, 5 planilha com erros ou contas contábeis não configuradas`;
+
+/**
+ * Usuário registrado na auditoria pelas ações da linha de comando.
+ */
+function obterUsuarioAuditoria() {
+    let nomeSistema;
+    try {
+        nomeSistema = os.userInfo().username;
+    } catch {
+        nomeSistema = process.env.USER || 'desconhecido';
+    }
+    return { id: null, nome: `linha de comando (${nomeSistema})` };
+}
+
+/**
+ * Confere se o valor é um id numérico positivo.
+ */
+function idValido(valor) {
+    return /^\d+$/.test(String(valor)) && Number(valor) > 0;
+}
+
+// =============================================================
+//                       COMANDO: GERAR
+// =============================================================
+
+async function comandoGerar(argumentos) {
+    const { values: opcoes } = parseArgs({
+        args: argumentos,
+        options: {
+            periodo: { type: 'string' },
+            inicio: { type: 'string' },
+            fim: { type: 'string' },
+            'data-pagamento': { type: 'string' },
+            empresa: { type: 'string' },
+            saida: { type: 'string', default: '.' },
+            modelo: { type: 'string' },
+            funcionarios: { type: 'string' },
+            formato: { type: 'string', default: 'zip' },
+            assinar: { type: 'boolean' },
+            'nao-assinar': { type: 'boolean' },
+            'url-publica': { type: 'string' }
+        }
+    });
+
+    if (!opcoes.periodo) {
+        console.error('O período de referência é obrigatório (--periodo 10/2025).');
+        return USO_INVALIDO;
+    }
+    if (!idValido(opcoes.empresa)) {
+        console.error('Informe o id da empresa emissora (--empresa 1).');
+        return USO_INVALIDO;
+    }
+    if (opcoes.modelo !== undefined && !idValido(opcoes.modelo)) {
+        console.error('O id do modelo deve ser um número.');
+        return USO_INVALIDO;
+    }
+    if (!['zip', 'pdf'].includes(opcoes.formato)) {
+        console.error('O formato deve ser "zip" ou "pdf".');
+        return USO_INVALIDO;
+    }
+    if (opcoes.assinar && opcoes['nao-assinar']) {
+        console.error('Use apenas uma das opções --assinar e --nao-assinar.');
+        return USO_INVALIDO;
+    }
+    const idsSelecionados = opcoes.funcionarios === undefined
+        ? undefined
+        : opcoes.funcionarios.split(',').map(id => id.trim());
+    if (idsSelecionados && (idsSelecionados.length === 0 || !idsSelecionados.every(idValido))) {
+        console.error('Informe os ids dos funcionários separados por vírgula (--funcionarios 1,2,3).');
+        return USO_INVALIDO;
+    }
+
+    const { periodo: resultadoPeriodo, erro: erroPeriodo } = validarPeriodo({
+        competencia: opcoes.periodo,
+        inicio: opcoes.inicio,
+        fim: opcoes.fim,
+        data_pagamento: opcoes['data-pagamento']
+    });
+    if (erroPeriodo) {
+        console.error(erroPeriodo);
+        return USO_INVALIDO;
+    }
+
+    const preparacao = await prepararGeracao({
+        periodo: resultadoPeriodo,
+        empresaId: Number(opcoes.empresa),
+        modeloId: opcoes.modelo && Number(opcoes.modelo),
+        idsSelecionados,
+        formato: opcoes.formato,
+        assinar: opcoes.assinar ? true : (opcoes['nao-assinar'] ? false : undefined)
+    });
+    if (preparacao.erro) {
+        console.error(preparacao.erro.mensagem);
+        return CODIGO_SAIDA_POR_STATUS[preparacao.erro.status] || ERRO_INTERNO;
+    }
+    const { empresa, modelo, funcionarios, assinante } = preparacao;
+
+    let urlPublica = opcoes['url-publica'] || process.env.URL_PUBLICA;
+    if (!urlPublica) {
+        urlPublica = `http://localhost:${process.env.PORT || 3000}`;
+        console.error(`Aviso: URL_PUBLICA não definida; o QR code dos recibos apontará para ${urlPublica}.`);
+    }
+    urlPublica = urlPublica.replace(/\/+$/, '');
+
+    const diretorioSaida = path.resolve(opcoes.saida);
+    fs.mkdirSync(diretorioSaida, { recursive: true });
+
+    let archive;
+    let zipFinalizado;
+    let arquivoGerado;
+    let recibos = [];
+    let falhas = [];
+    const caminhoZip = path.join(diretorioSaida, `Recibos_${resultadoPeriodo.stringSanitizada}.zip`);
+    if (opcoes.formato === 'zip') {
+        const output = fs.createWriteStream(caminhoZip);
+        archive = archiver('zip', { zlib: { level: 9 } });
+        zipFinalizado = new Promise((resolve, reject) => {
+            output.on('close', resolve);
+            archive.on('error', reject);
+        });
+        zipFinalizado.catch(() => {});
+        archive.pipe(output);
+    }
+
+    console.error(`Gerando ${funcionarios.length} recibo(s) de ${empresa.nome} para ${resultadoPeriodo.textoFormatado}`
+        + `${assinante ? ', com assinatura digital' : ''}...`);
+    try {
+        ({ recibos, falhas } = await gerarRecibos({
+            resultadoPeriodo, empresa, modelo, funcionarios, assinante, urlPublica,
+            aoGerarRecibo: async ({ funcionario, nomeArquivo, conteudoPdf }) => {
+                if (archive) {
+                    archive.append(conteudoPdf, { name: nomeArquivo });
+                } else {
+                    arquivoGerado = path.join(diretorioSaida, nomeArquivo);
+                    fs.writeFileSync(arquivoGerado, conteudoPdf);
+                }
+                console.error(`  ok     ${funcionario.nome_completo}`);
+            },
+            aoFalharRecibo: (falha) => console.error(`  falhou ${falha.nome_completo}: ${falha.erro}`)
+        }));
+
+        if (recibos.length === 0) {
+            throw new Error('Nenhum recibo pôde ser gerado.');
+        }
+        if (archive) {
+            await archive.finalize();
+            await zipFinalizado;
+            arquivoGerado = caminhoZip;
+        }
+    } catch (erro) {
+        if (archive) {
+            archive.abort();
+            fs.rmSync(caminhoZip, { force: true });
+        }
+        // O arquivo não foi entregue: os recibos desta execução saem do histórico
+        await removerRecibos(recibos);
+        console.error(`Erro ao gerar recibos: ${erro.message}`);
+        recibos = [];
+    }
+
+    await registrarAuditoria(bancoDeDados, obterUsuarioAuditoria(), {
+        acao: 'gerar_recibos',
+        entidade: 'geracao',
+        entidadeId: crypto.randomUUID(),
+        depois: {
+            status: recibos.length > 0 ? 'concluida' : 'erro',
+            periodo: resultadoPeriodo.textoFormatado,
+            competencia: resultadoPeriodo.competencia,
+            data_pagamento: resultadoPeriodo.dataPagamento,
+            empresa_id: empresa.id,
+            modelo_id: modelo.id,
+            formato: opcoes.formato,
+            assinado: Boolean(assinante),
+            total: funcionarios.length,
+            concluidos: recibos.length,
+            falhas,
+            recibos,
+            arquivo: recibos.length > 0 ? path.basename(arquivoGerado) : null
+        }
+    });
+
+    if (recibos.length === 0) {
+        return ERRO_INTERNO;
+    }
+    console.error(`${recibos.length} de ${funcionarios.length} recibo(s) gerado(s).`);
+    // Na saída padrão, apenas o caminho do arquivo, para uso em scripts
+    console.log(arquivoGerado);
+    return falhas.length > 0 ? FALHA_PARCIAL : SUCESSO;
+}
+
+// =============================================================
+//                      COMANDO: IMPORTAR
+// =============================================================
+
+async function comandoImportar(argumentos) {
+    const { values: opcoes, positionals: arquivos } = parseArgs({
+        args: argumentos,
+        allowPositionals: true,
+        options: {
+            empresa: { type: 'string' },
+            modo: { type: 'string', default: 'inserir' },
+            simular: { type: 'boolean', default: false }
+        }
+    });
+
+    if (arquivos.length !== 1) {
+        console.error('Informe uma planilha CSV ou XLSX (gerador-recibos importar funcionarios.csv --empresa 1).');
+        return USO_INVALIDO;
+    }
+    if (!idValido(opcoes.empresa)) {
+        console.error('Informe o id da empresa dos funcionários (--empresa 1).');
+        return USO_INVALIDO;
+    }
+    if (!['inserir', 'atualizar'].includes(opcoes.modo)) {
+        console.error('O modo deve ser "inserir" ou "atualizar".');
+        return USO_INVALIDO;
+    }
+
+    let conteudo;
+    try {
+        conteudo = fs.readFileSync(arquivos[0]);
+    } catch (erroArquivo) {
+        console.error(`Não foi possível abrir ${arquivos[0]}: ${erroArquivo.message}`);
+        return erroArquivo.code === 'ENOENT' ? NAO_ENCONTRADO : ERRO_INTERNO;
+    }
+    const empresa = await bancoDeDados('empresas').where({ id: Number(opcoes.empresa) }).first();
+    if (!empresa) {
+        console.error('Empresa não encontrada.');
+        return NAO_ENCONTRADO;
+    }
+
+    let leitura;
+    try {
+        leitura = await lerPlanilhaFuncionarios(conteudo);
+    } catch {
+        console.error('Não foi possível ler o arquivo. Use um CSV ou XLSX válido.');
+        return DADOS_INVALIDOS;
+    }
+    if (leitura.erro) {
+        console.error(leitura.erro);
+        return DADOS_INVALIDOS;
+    }
+
+    const { erros, operacoes } = await planejarImportacao(leitura.linhas, empresa, opcoes.modo);
+    const inseridos = operacoes.filter(operacao => operacao.acao === 'inserir').length;
+    const atualizados = operacoes.filter(operacao => operacao.acao === 'atualizar').length;
+
+    for (const erro of erros) {
+        console.error(`Linha ${erro.linha}, ${erro.campo}: ${erro.mensagem}`);
+    }
+    if (erros.length > 0) {
+        console.error(`A planilha contém ${erros.length} erro(s); nenhum funcionário foi importado.`);
+        return DADOS_INVALIDOS;
+    }
+    if (opcoes.simular) {
+        console.log(`Simulação: ${leitura.linhas.length} linha(s), ${inseridos} a inserir e ${atualizados} a atualizar.`);
+        return SUCESSO;
+    }
+
+    try {
+        await gravarImportacao(operacoes, empresa, obterUsuarioAuditoria());
+    } catch (erro) {
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            console.error('Um dos CPFs foi cadastrado durante a importação. Tente novamente.');
+            return DADOS_INVALIDOS;
+        }
+        throw erro;
+    }
+    console.log(`${inseridos} funcionário(s) inserido(s) e ${atualizados} atualizado(s) em ${empresa.nome}.`);
+    return SUCESSO;
+}
+
+// =============================================================
+//                       COMANDO: LISTAR
+// =============================================================
+
+async function comandoListar(argumentos) {
+    const { values: opcoes } = parseArgs({
+        args: argumentos,
+        options: {
+            empresa: { type: 'string' },
+            desligados: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false }
+        }
+    });
+
+    if (opcoes.empresa !== undefined && !idValido(opcoes.empresa)) {
+        console.error('O id da empresa deve ser um número.');
+        return USO_INVALIDO;
+    }
+    if (opcoes.empresa && !(await bancoDeDados('empresas').where({ id: Number(opcoes.empresa) }).first())) {
+        console.error('Empresa não encontrada.');
+        return NAO_ENCONTRADO;
+    }
+
+    const consulta = bancoDeDados('funcionarios')
+        .select('id', 'empresa_id', 'nome_completo', 'cpf', 'salario_base', 'email', 'desligado_em')
+        .orderBy('nome_completo');
+    if (opcoes.empresa) consulta.where({ empresa_id: Number(opcoes.empresa) });
+    if (!opcoes.desligados) consulta.whereNull('desligado_em');
+    const funcionarios = await consulta;
+
+    if (opcoes.json) {
+        console.log(JSON.stringify(funcionarios, null, 2));
+        return SUCESSO;
+    }
+    // Colunas separadas por tabulação, fáceis de filtrar com cut/awk
+    console.log(['id', 'empresa', 'nome', 'cpf', 'salario', 'email', 'situacao'].join('\t'));
+    for (const funcionario of funcionarios) {
+        console.log([
+            funcionario.id,
+            funcionario.empresa_id,
+            funcionario.nome_completo,
+            funcionario.cpf,
+            formatarMoeda(funcionario.salario_base),
+            funcionario.email || '',
+            funcionario.desligado_em ? 'desligado' : 'ativo'
+        ].join('\t'));
+    }
+    return SUCESSO;
+}
+
+// =============================================================
+//                     COMANDO: RELATORIO
+// =============================================================
+
+async function comandoRelatorio(argumentos) {
+    const { values: opcoes } = parseArgs({
+        args: argumentos,
+        options: {
+            periodo: { type: 'string' },
+            empresa: { type: 'string' },
+            formato: { type: 'string', default: 'csv' },
+            saida: { type: 'string' }
+        }
+    });
+
+    const { mes, ano } = interpretarPeriodo(opcoes.periodo || '');
+    if (!mes) {
+        console.error('Informe a competência do relatório (--periodo 10/2025).');
+        return USO_INVALIDO;
+    }
+    if (opcoes.empresa !== undefined && !idValido(opcoes.empresa)) {
+        console.error('O id da empresa deve ser um número.');
+        return USO_INVALIDO;
+    }
+    if (!FORMATOS_RELATORIO.includes(opcoes.formato)) {
+        console.error('O formato deve ser "csv", "pdf", "json" ou "contabil".');
+        return USO_INVALIDO;
+    }
+    if (opcoes.empresa && !(await bancoDeDados('empresas').where({ id: Number(opcoes.empresa) }).first())) {
+        console.error('Empresa não encontrada.');
+        return NAO_ENCONTRADO;
+    }
+
+    const relatorio = await montarRelatorioFolha({ mes, ano, empresaId: opcoes.empresa && Number(opcoes.empresa) });
+    if (relatorio.totais.recibos === 0) {
+        console.error(`Nenhum recibo emitido na competência ${relatorio.competencia}.`);
+        return NAO_ENCONTRADO;
+    }
+
+    let conteudo;
+    if (opcoes.formato === 'json') {
+        conteudo = `${JSON.stringify(relatorio, null, 2)}\n`;
+    } else if (opcoes.formato === 'pdf') {
+        conteudo = await renderizarPdf(gerarHtmlFolha(relatorio));
+    } else if (opcoes.formato === 'csv') {
+        conteudo = await gerarCsvFolha(relatorio);
+    } else {
+        const exportacao = gerarExportacaoContabil(relatorio);
+        if (exportacao.erro) {
+            console.error(exportacao.erro);
+            return DADOS_INVALIDOS;
+        }
+        conteudo = exportacao.conteudo;
+    }
+
+    if (opcoes.saida) {
+        fs.writeFileSync(path.resolve(opcoes.saida), conteudo);
+        console.error(`Relatório salvo em ${path.resolve(opcoes.saida)}.`);
+    } else {
+        process.stdout.write(conteudo);
+    }
+    console.error(`Competência ${relatorio.competencia}: ${relatorio.totais.funcionarios} funcionário(s), `
+        + `${relatorio.totais.recibos} recibo(s), total pago ${formatarMoeda(relatorio.totais.liquido)}.`);
+    return SUCESSO;
+}
+
+// =============================================================
+//                          EXECUÇÃO
+// =============================================================
+
+const COMANDOS = {
+    gerar: comandoGerar,
+    importar: comandoImportar,
+    listar: comandoListar,
+    relatorio: comandoRelatorio
+};
+
+async function executar() {
+    const [nomeComando, ...argumentos] = process.argv.slice(2);
+    if (!nomeComando || nomeComando === '--help' || nomeComando === '-h' || nomeComando === 'ajuda') {
+        console.log(AJUDA);
+        return nomeComando ? SUCESSO : USO_INVALIDO;
+    }
+    const comando = COMANDOS[nomeComando];
+    if (!comando) {
+        console.error(`Comando desconhecido: ${nomeComando}.\n\n${AJUDA}`);
+        return USO_INVALIDO;
+    }
+    if (argumentos.includes('--help') || argumentos.includes('-h')) {
+        console.log(AJUDA);
+        return SUCESSO;
+    }
+
+    try {
+        return await comando(argumentos);
+    } catch (erro) {
+        // Opções desconhecidas ou sem valor (util.parseArgs)
+        if (erro.code && erro.code.startsWith('ERR_PARSE_ARGS_')) {
+            console.error(`${erro.message}\n\nUse "gerador-recibos --help" para ver as opções.`);
+            return USO_INVALIDO;
+        }
+        console.error('Erro inesperado:', erro);
+        return ERRO_INTERNO;
+    }
+}
+
+executar()
+    .then((codigo) => { process.exitCode = codigo; })
+    .catch((erro) => {
+        console.error('Erro inesperado:', erro);
+        process.exitCode = ERRO_INTERNO;
+    })
+    .finally(async () => {
+        await encerrarNavegador();
+        await bancoDeDados.destroy();
+    });
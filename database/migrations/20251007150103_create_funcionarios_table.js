@@ -1,20 +1,3 @@
-/**
- * @param { import("knex").Knex } knex
- * @returns { Promise<void> }
- */
-exports.up = function(knex) {
-  
-};
-
-/**
- * @param { import("knex").Knex } knex
- * @returns { Promise<void> }
- */
-exports.down = function(knex) {
-  
-};
-// dentro do arquivo de migration recém-criado (ex: 20251007..._create_funcionarios_table.js)
-
 /**
  * @param { import("knex").Knex } knex
  * @returns { Promise<void> }
@@ -0,0 +1,28 @@
+/**
+ * Lançamentos da folha (proventos e descontos) de cada funcionário por período.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+    return knex.schema.createTable('lancamentos', (table) => {
+        table.increments('id').primary();
+        table.integer('funcionario_id').unsigned().notNullable()
+            .references('id').inTable('funcionarios').onDelete('CASCADE');
+        table.integer('mes').notNullable();
+        table.integer('ano').notNullable();
+        table.string('tipo').notNullable(); // 'provento' ou 'desconto'
+        table.string('descricao').notNullable();
+        table.decimal('valor', 10, 2).notNullable();
+        table.timestamps(true, true);
+        table.index(['funcionario_id', 'ano', 'mes']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('lancamentos');
+};
@@ -0,0 +1,35 @@
+/**
+ * Histórico dos recibos emitidos, com um retrato dos dados do funcionário no momento
+ * da emissão e o próprio PDF gerado (para nova emissão/auditoria).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+    return knex.schema.createTable('recibos', (table) => {
+        table.increments('id').primary(); // Também é o número sequencial do recibo
+        table.integer('funcionario_id').unsigned().nullable()
+            .references('id').inTable('funcionarios').onDelete('SET NULL');
+        table.string('nome_completo').notNullable();
+        table.string('cpf').notNullable();
+        table.decimal('valor', 10, 2).notNullable();
+        table.integer('mes').nullable();
+        table.integer('ano').nullable();
+        table.string('periodo').notNullable();
+        table.timestamp('data_emissao').notNullable().defaultTo(knex.fn.now());
+        table.string('nome_arquivo');
+        table.string('hash_arquivo', 64);
+        table.binary('conteudo_pdf');
+        table.timestamps(true, true);
+        table.index(['funcionario_id']);
+        table.index(['ano', 'mes']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('recibos');
+};
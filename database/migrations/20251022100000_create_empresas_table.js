@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lê uma imagem de public/images como Data URI, para migrar os logos fixos
+ * da empresa original para o cadastro de empresas.
+ */
+function lerLogoComoDataUri(nomeArquivo) {
+    const caminhoArquivo = path.join(__dirname, '..', '..', 'public', 'images', nomeArquivo);
+    if (!fs.existsSync(caminhoArquivo)) return null;
+    const mimeType = path.extname(caminhoArquivo) === '.png' ? 'image/png' : 'image/jpeg';
+    return `data:${mimeType};base64,` + fs.readFileSync(caminhoArquivo).toString('base64');
+}
+
+/**
+ * Cria o cadastro de empresas, vincula os funcionários a uma empresa e registra
+ * a empresa emissora em cada recibo. Os dados antes fixos no código (Aliança Consig)
+ * viram a primeira empresa, à qual os funcionários existentes são vinculados.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('empresas', (table) => {
+        table.increments('id').primary();
+        table.string('nome').notNullable();
+        table.string('cnpj').notNullable().unique();
+        table.string('cidade').notNullable();
+        table.string('endereco');
+        table.text('logo_cabecalho'); // Data URI (PNG/JPEG)
+        table.text('logo_rodape'); // Data URI (PNG/JPEG)
+        table.timestamps(true, true);
+    });
+
+    const [{ id: empresaPadraoId }] = await knex('empresas').insert({
+        nome: 'Aliança Consig',
+        cnpj: '50.113.116/0001-05',
+        cidade: 'Brasília',
+        logo_cabecalho: lerLogoComoDataUri('logo-empresa.jpg'),
+        logo_rodape: lerLogoComoDataUri('logo-alianca.png')
+    }).returning('id');
+
+    await knex.schema.alterTable('funcionarios', (table) => {
+        table.integer('empresa_id').unsigned().nullable()
+            .references('id').inTable('empresas');
+    });
+    await knex('funcionarios').update({ empresa_id: empresaPadraoId });
+
+    await knex.schema.alterTable('recibos', (table) => {
+        table.integer('empresa_id').unsigned().nullable()
+            .references('id').inTable('empresas').onDelete('SET NULL');
+        table.string('empresa_nome');
+        table.string('empresa_cnpj');
+    });
+    await knex('recibos').update({ empresa_id: empresaPadraoId, empresa_nome: 'Aliança Consig', empresa_cnpj: '50.113.116/0001-05' });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('recibos', (table) => {
+        table.dropForeign('empresa_id');
+        table.dropColumn('empresa_id');
+        table.dropColumn('empresa_nome');
+        table.dropColumn('empresa_cnpj');
+    });
+    await knex.schema.alterTable('funcionarios', (table) => {
+        table.dropForeign('empresa_id');
+        table.dropColumn('empresa_id');
+    });
+    await knex.schema.dropTable('empresas');
+};
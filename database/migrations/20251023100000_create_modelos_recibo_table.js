@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Modelos de recibo editáveis pelo dashboard. O layout que antes era fixo em
+ * views/recibo-template.html vira o modelo padrão.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('modelos_recibo', (table) => {
+        table.increments('id').primary();
+        table.string('nome').notNullable().unique();
+        table.text('conteudo_html').notNullable();
+        table.boolean('padrao').notNullable().defaultTo(false);
+        table.timestamps(true, true);
+    });
+
+    const caminhoModeloPadrao = path.join(__dirname, '..', '..', 'views', 'recibo-template.html');
+    await knex('modelos_recibo').insert({
+        nome: 'Padrão',
+        conteudo_html: fs.readFileSync(caminhoModeloPadrao, 'utf-8'),
+        padrao: true
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return knex.schema.dropTable('modelos_recibo');
+};
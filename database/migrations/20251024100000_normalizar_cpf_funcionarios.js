@@ -0,0 +1,34 @@
+/**
+ * Converte os CPFs já cadastrados para o formato canônico 000.000.000-00, para que a
+ * restrição de unicidade também valha entre CPFs digitados com e sem máscara.
+ * CPFs que não têm 11 dígitos, ou cuja forma canônica já existe, ficam como estão.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    const funcionarios = await knex('funcionarios').select('id', 'cpf');
+    const cpfsExistentes = new Set(funcionarios.map(funcionario => funcionario.cpf));
+
+    for (const funcionario of funcionarios) {
+        const digitos = String(funcionario.cpf).replace(/\D/g, '');
+        if (digitos.length !== 11) continue;
+
+        const cpfFormatado = digitos.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+        if (cpfFormatado === funcionario.cpf || cpfsExistentes.has(cpfFormatado)) continue;
+
+        await knex('funcionarios').where({ id: funcionario.id }).update({ cpf: cpfFormatado });
+        cpfsExistentes.delete(funcionario.cpf);
+        cpfsExistentes.add(cpfFormatado);
+    }
+};
+
+/**
+ * A formatação não é revertida: o formato original de cada CPF não é conhecido.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    return Promise.resolve();
+};
@@ -0,0 +1,36 @@
+/**
+ * Usuários do dashboard (com senha em hash e papel de acesso) e suas sessões.
+ * Papéis: 'admin', 'operador' e 'leitura'.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('usuarios', (table) => {
+        table.increments('id').primary();
+        table.string('nome').notNullable();
+        table.string('email').notNullable().unique();
+        table.string('senha_hash').notNullable();
+        table.string('papel').notNullable().defaultTo('leitura');
+        table.boolean('ativo').notNullable().defaultTo(true);
+        table.timestamps(true, true);
+    });
+
+    await knex.schema.createTable('sessoes', (table) => {
+        table.increments('id').primary();
+        table.integer('usuario_id').unsigned().notNullable()
+            .references('id').inTable('usuarios').onDelete('CASCADE');
+        table.string('token_hash', 64).notNullable().unique(); // SHA-256 do token do cookie
+        table.timestamp('expira_em').notNullable();
+        table.timestamps(true, true);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTable('sessoes');
+    await knex.schema.dropTable('usuarios');
+};
@@ -0,0 +1,40 @@
+/**
+ * Trilha de auditoria (quem fez o quê, quando, com os valores antes e depois) e
+ * desligamento lógico de funcionários: em vez de excluir a linha, `desligado_em`
+ * é preenchido, preservando a referência dos recibos já emitidos.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('auditoria', (table) => {
+        table.increments('id').primary();
+        table.integer('usuario_id').unsigned().nullable()
+            .references('id').inTable('usuarios').onDelete('SET NULL');
+        table.string('usuario_nome').nullable(); // Mantido mesmo se o usuário for excluído
+        table.string('acao').notNullable(); // criar, atualizar, excluir, desligar, reativar, importar, gerar_recibos
+        table.string('entidade').notNullable(); // funcionario, lancamento, empresa, modelo, usuario, geracao
+        table.string('entidade_id').nullable();
+        table.text('dados_anteriores').nullable(); // JSON
+        table.text('dados_novos').nullable(); // JSON
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+        table.index(['entidade', 'entidade_id']);
+        table.index('created_at');
+    });
+
+    await knex.schema.alterTable('funcionarios', (table) => {
+        table.timestamp('desligado_em').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('funcionarios', (table) => {
+        table.dropColumn('desligado_em');
+    });
+    await knex.schema.dropTable('auditoria');
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Mesmo alfabeto usado pelo servidor (sem caracteres ambíguos como 0/O e 1/I)
+const ALFABETO_CODIGO = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function gerarCodigoVerificacao() {
+    let codigo = '';
+    for (let i = 0; i < 12; i++) codigo += ALFABETO_CODIGO[crypto.randomInt(ALFABETO_CODIGO.length)];
+    return codigo.match(/.{4}/g).join('-');
+}
+
+/**
+ * Assinatura digital dos recibos: certificado PKCS#12 por empresa (com a senha
+ * cifrada pelo servidor) e, em cada recibo, o código de verificação público, a
+ * indicação de que o PDF foi assinado e o hash do certificado que o assinou (a
+ * empresa pode renovar ou remover o certificado depois). Os recibos já emitidos
+ * recebem um código.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('empresas', (table) => {
+        table.binary('certificado_p12').nullable();
+        table.text('certificado_senha').nullable(); // Cifrada com CHAVE_CERTIFICADOS
+        table.string('certificado_titular').nullable();
+        table.timestamp('certificado_validade').nullable();
+    });
+
+    await knex.schema.alterTable('recibos', (table) => {
+        table.string('codigo_verificacao', 14).nullable();
+        table.boolean('assinado').notNullable().defaultTo(false);
+        table.string('hash_certificado', 64).nullable(); // SHA-256 do certificado (DER) que assinou o PDF
+    });
+
+    for (const { id } of await knex('recibos').select('id')) {
+        await knex('recibos').where({ id }).update({ codigo_verificacao: gerarCodigoVerificacao() });
+    }
+
+    await knex.schema.alterTable('recibos', (table) => {
+        table.unique(['codigo_verificacao']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('recibos', (table) => {
+        table.dropUnique(['codigo_verificacao']);
+    });
+    await knex.schema.alterTable('recibos', (table) => {
+        table.dropColumn('codigo_verificacao');
+        table.dropColumn('assinado');
+        table.dropColumn('hash_certificado');
+    });
+    await knex.schema.alterTable('empresas', (table) => {
+        table.dropColumn('certificado_p12');
+        table.dropColumn('certificado_senha');
+        table.dropColumn('certificado_titular');
+        table.dropColumn('certificado_validade');
+    });
+};
@@ -0,0 +1,43 @@
+/**
+ * Confirmação de recebimento pelo próprio funcionário: cada recibo ganha um link
+ * com token (apenas o hash SHA-256 fica no banco), a situação pendente/assinado,
+ * os dados da confirmação (nome digitado, data, IP) e o PDF com o carimbo de ciência,
+ * com o hash do certificado que o assinou de novo.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('recibos', (table) => {
+        table.string('token_confirmacao_hash', 64).nullable().unique();
+        table.string('status_confirmacao').notNullable().defaultTo('pendente'); // pendente | assinado
+        table.timestamp('confirmado_em').nullable();
+        table.string('confirmado_nome').nullable();
+        table.string('confirmado_ip').nullable();
+        table.string('confirmado_navegador').nullable();
+        table.binary('conteudo_pdf_confirmado').nullable();
+        table.string('hash_arquivo_confirmado', 64).nullable();
+        table.string('hash_certificado_confirmado', 64).nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('recibos', (table) => {
+        table.dropUnique(['token_confirmacao_hash']);
+    });
+    await knex.schema.alterTable('recibos', (table) => {
+        table.dropColumn('token_confirmacao_hash');
+        table.dropColumn('status_confirmacao');
+        table.dropColumn('confirmado_em');
+        table.dropColumn('confirmado_nome');
+        table.dropColumn('confirmado_ip');
+        table.dropColumn('confirmado_navegador');
+        table.dropColumn('conteudo_pdf_confirmado');
+        table.dropColumn('hash_arquivo_confirmado');
+        table.dropColumn('hash_certificado_confirmado');
+    });
+};
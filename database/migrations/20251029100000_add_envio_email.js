@@ -0,0 +1,66 @@
+/**
+ * Envio dos recibos por e-mail: e-mail do funcionário, servidor SMTP e mensagem
+ * de cada empresa (a senha do SMTP é guardada cifrada) e a fila de envios, com a
+ * situação de entrega e as novas tentativas em caso de falha.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('funcionarios', (table) => {
+        table.string('email').nullable();
+    });
+
+    await knex.schema.alterTable('empresas', (table) => {
+        table.string('smtp_host').nullable();
+        table.integer('smtp_porta').nullable();
+        table.boolean('smtp_seguro').notNullable().defaultTo(false); // TLS direto (porta 465)
+        table.string('smtp_usuario').nullable();
+        table.text('smtp_senha').nullable(); // Cifrada com CHAVE_CERTIFICADOS
+        table.string('smtp_remetente').nullable();
+        table.string('email_assunto').nullable();
+        table.text('email_mensagem').nullable();
+    });
+
+    await knex.schema.createTable('envios_email', (table) => {
+        table.increments('id').primary();
+        table.integer('recibo_id').unsigned().notNullable()
+            .references('id').inTable('recibos').onDelete('CASCADE');
+        table.integer('empresa_id').unsigned().nullable()
+            .references('id').inTable('empresas').onDelete('SET NULL');
+        table.string('destinatario').notNullable();
+        table.string('status').notNullable().defaultTo('pendente'); // pendente | enviado | falhou
+        table.integer('tentativas').notNullable().defaultTo(0);
+        table.text('ultimo_erro').nullable();
+        table.timestamp('proxima_tentativa_em').nullable();
+        table.timestamp('enviado_em').nullable();
+        table.string('url_publica').nullable(); // Base do link de confirmação incluído na mensagem
+        table.integer('usuario_id').unsigned().nullable()
+            .references('id').inTable('usuarios').onDelete('SET NULL');
+        table.timestamps(true, true);
+
+        table.index(['status', 'proxima_tentativa_em']);
+        table.index('recibo_id');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTable('envios_email');
+    await knex.schema.alterTable('empresas', (table) => {
+        table.dropColumn('smtp_host');
+        table.dropColumn('smtp_porta');
+        table.dropColumn('smtp_seguro');
+        table.dropColumn('smtp_usuario');
+        table.dropColumn('smtp_senha');
+        table.dropColumn('smtp_remetente');
+        table.dropColumn('email_assunto');
+        table.dropColumn('email_mensagem');
+    });
+    await knex.schema.alterTable('funcionarios', (table) => {
+        table.dropColumn('email');
+    });
+};
@@ -0,0 +1,35 @@
+// @import gravado pelo modelo padrão original (e variações de peso da mesma fonte)
+const IMPORT_GOOGLE_FONTS = /@import url\(['"]?https:\/\/fonts\.googleapis\.com\/css2\?family=Roboto[^)]*\);/g;
+const IMPORT_ORIGINAL = "@import url('https://fonts.googleapis.com/css2?family=Roboto:wght@400;700&display=swap');";
+
+/**
+ * Troca, nos modelos de recibo já cadastrados, o @import da fonte Roboto no Google
+ * Fonts pelo placeholder {{FONTES}}, que embute a fonte no próprio HTML: sem acesso
+ * à internet, o @import travava a renderização dos PDFs.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    const modelos = await knex('modelos_recibo').select('id', 'conteudo_html');
+    for (const modelo of modelos) {
+        const conteudoHtml = modelo.conteudo_html.replace(IMPORT_GOOGLE_FONTS, '{{FONTES}}');
+        if (conteudoHtml !== modelo.conteudo_html) {
+            await knex('modelos_recibo').where({ id: modelo.id }).update({ conteudo_html: conteudoHtml });
+        }
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    const modelos = await knex('modelos_recibo').select('id', 'conteudo_html');
+    for (const modelo of modelos) {
+        const conteudoHtml = modelo.conteudo_html.replace(/{{\s*FONTES\s*}}/g, IMPORT_ORIGINAL);
+        if (conteudoHtml !== modelo.conteudo_html) {
+            await knex('modelos_recibo').where({ id: modelo.id }).update({ conteudo_html: conteudoHtml });
+        }
+    }
+};
@@ -0,0 +1,59 @@
+// Rodapé do modelo padrão original ("Cidade, data de emissão")
+const RODAPE_DATA_EMISSAO = /{{\s*CIDADE\s*}},\s*{{\s*DATA_ATUAL\s*}}/g;
+
+/**
+ * Período explícito dos recibos: datas de início e fim do período trabalhado e
+ * data de pagamento (AAAA-MM-DD), além da competência em mes/ano. Os recibos já
+ * emitidos recebem o mês inteiro da competência, e os modelos que datavam o
+ * recibo pela emissão passam a usar a data de pagamento (que, sem ser informada,
+ * continua sendo a data de emissão).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('recibos', (table) => {
+        // Datas guardadas como texto AAAA-MM-DD, sem conversão de fuso horário
+        table.string('periodo_inicio', 10).nullable();
+        table.string('periodo_fim', 10).nullable();
+        table.string('data_pagamento', 10).nullable();
+    });
+
+    const competencias = await knex('recibos').distinct('mes', 'ano').whereNotNull('mes').whereNotNull('ano');
+    for (const { mes, ano } of competencias) {
+        const mesFormatado = String(mes).padStart(2, '0');
+        const ultimoDia = String(new Date(ano, mes, 0).getDate()).padStart(2, '0');
+        await knex('recibos').where({ mes, ano }).update({
+            periodo_inicio: `${ano}-${mesFormatado}-01`,
+            periodo_fim: `${ano}-${mesFormatado}-${ultimoDia}`
+        });
+    }
+
+    const modelos = await knex('modelos_recibo').select('id', 'conteudo_html');
+    for (const modelo of modelos) {
+        const conteudoHtml = modelo.conteudo_html.replace(RODAPE_DATA_EMISSAO, '{{CIDADE}}, {{DATA_PAGAMENTO}}');
+        if (conteudoHtml !== modelo.conteudo_html) {
+            await knex('modelos_recibo').where({ id: modelo.id }).update({ conteudo_html: conteudoHtml });
+        }
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    const modelos = await knex('modelos_recibo').select('id', 'conteudo_html');
+    for (const modelo of modelos) {
+        const conteudoHtml = modelo.conteudo_html.replace(/{{\s*CIDADE\s*}},\s*{{\s*DATA_PAGAMENTO\s*}}/g, '{{CIDADE}}, {{DATA_ATUAL}}');
+        if (conteudoHtml !== modelo.conteudo_html) {
+            await knex('modelos_recibo').where({ id: modelo.id }).update({ conteudo_html: conteudoHtml });
+        }
+    }
+
+    await knex.schema.alterTable('recibos', (table) => {
+        table.dropColumn('periodo_inicio');
+        table.dropColumn('periodo_fim');
+        table.dropColumn('data_pagamento');
+    });
+};
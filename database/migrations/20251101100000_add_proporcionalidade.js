@@ -0,0 +1,37 @@
+/**
+ * Cálculo proporcional do salário: datas de admissão e de demissão dos
+ * funcionários e ausências não remuneradas (faltas), que reduzem os dias pagos
+ * do período. As datas são guardadas como texto AAAA-MM-DD.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('funcionarios', (table) => {
+        table.string('data_admissao', 10).nullable();
+        table.string('data_demissao', 10).nullable();
+    });
+
+    await knex.schema.createTable('ausencias', (table) => {
+        table.increments('id').primary();
+        table.integer('funcionario_id').unsigned().notNullable()
+            .references('id').inTable('funcionarios').onDelete('CASCADE');
+        table.string('inicio', 10).notNullable();
+        table.string('fim', 10).notNullable();
+        table.string('motivo').notNullable();
+        table.timestamps(true, true);
+        table.index(['funcionario_id', 'inicio']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTable('ausencias');
+    await knex.schema.alterTable('funcionarios', (table) => {
+        table.dropColumn('data_admissao');
+        table.dropColumn('data_demissao');
+    });
+};
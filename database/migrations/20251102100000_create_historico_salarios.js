@@ -0,0 +1,43 @@
+/**
+ * Histórico salarial dos funcionários: cada alteração do salário base é uma nova
+ * entrada com a data a partir da qual vale (AAAA-MM-DD) e o motivo, para que a
+ * geração de um mês passado use o salário da época. O salário atual de cada
+ * funcionário vira a primeira entrada, a partir da admissão ou do cadastro.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('historico_salarios', (table) => {
+        table.increments('id').primary();
+        table.integer('funcionario_id').unsigned().notNullable()
+            .references('id').inTable('funcionarios').onDelete('CASCADE');
+        table.decimal('salario', 10, 2).notNullable();
+        table.string('vigencia_inicio', 10).notNullable();
+        table.string('motivo').notNullable();
+        table.timestamps(true, true);
+        table.unique(['funcionario_id', 'vigencia_inicio']);
+    });
+
+    const funcionarios = await knex('funcionarios').select('id', 'salario_base', 'data_admissao', 'created_at');
+    for (const funcionario of funcionarios) {
+        // No PostgreSQL created_at chega como Date; no SQLite, como texto "AAAA-MM-DD HH:MM:SS"
+        const dataCadastro = funcionario.created_at instanceof Date
+            ? funcionario.created_at.toISOString()
+            : String(funcionario.created_at);
+        await knex('historico_salarios').insert({
+            funcionario_id: funcionario.id,
+            salario: funcionario.salario_base,
+            vigencia_inicio: funcionario.data_admissao || dataCadastro.slice(0, 10),
+            motivo: 'Salário inicial'
+        });
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTable('historico_salarios');
+};
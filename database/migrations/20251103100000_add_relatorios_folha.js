@@ -0,0 +1,38 @@
+/**
+ * Relatórios da folha: os recibos passam a guardar os totais de proventos e de
+ * descontos, além do líquido, e cada empresa pode informar as contas do seu plano
+ * de contas usadas na exportação contábil. Recibos emitidos antes desta versão
+ * ficam com os totais vazios; nos relatórios, o líquido conta como provento.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('recibos', (table) => {
+        table.decimal('total_proventos', 10, 2).nullable();
+        table.decimal('total_descontos', 10, 2).nullable();
+    });
+
+    await knex.schema.alterTable('empresas', (table) => {
+        table.string('conta_despesa_salarios', 30).nullable();
+        table.string('conta_salarios_a_pagar', 30).nullable();
+        table.string('conta_descontos_a_recolher', 30).nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('empresas', (table) => {
+        table.dropColumn('conta_despesa_salarios');
+        table.dropColumn('conta_salarios_a_pagar');
+        table.dropColumn('conta_descontos_a_recolher');
+    });
+
+    await knex.schema.alterTable('recibos', (table) => {
+        table.dropColumn('total_proventos');
+        table.dropColumn('total_descontos');
+    });
+};
@@ -2,294 +2,2843 @@
  * servidor-recibos.js
  *
  * Servidor principal da aplicação de geração de recibos.
- * - API CRUD para funcionários (SQLite/PostgreSQL via Knex).
- * - Geração de um arquivo ZIP com recibos em PDF via Puppeteer.
+ * - Autenticação (sessões em cookie) e controle de acesso por papel (admin, operador, leitura).
+ * - API CRUD para usuários do dashboard.
+ * - Trilha de auditoria das alterações e gerações de recibos.
+ * - API CRUD para empresas (dados e logos usados nos recibos).
+ * - API CRUD para funcionários (SQLite/PostgreSQL via Knex), com desligamento lógico.
+ * - Importação (CSV/XLSX, com simulação) e exportação de funcionários.
+ * - API CRUD para lançamentos da folha (proventos e descontos por período).
+ * - API CRUD para modelos de recibo editáveis, com pré-visualização.
+ * - Geração de um arquivo ZIP com recibos em PDF via Puppeteer (navegador compartilhado,
+ *   renderização paralela limitada), em segundo plano,
+ *   com acompanhamento do progresso (consulta de status ou Server-Sent Events).
+ * - Assinatura digital dos PDFs (PKCS#7) com o certificado PKCS#12 de cada empresa.
+ * - Histórico dos recibos emitidos, com nova emissão do PDF original.
+ * - Relatórios mensais da folha (resumo em PDF, CSV e exportação contábil).
+ * - Verificação pública de autenticidade dos recibos (arquivo, código ou QR code impresso no recibo).
+ * - Confirmação de recebimento pelo próprio funcionário, por link individual.
+ * - Envio dos recibos por e-mail (SMTP de cada empresa), com fila e novas tentativas.
  * - Servir arquivos estáticos do frontend.
  */
 
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const puppeteer = require('puppeteer');
-const numeroPorExtenso = require('numero-por-extenso');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { promisify } = require('util');
 const archiver = require('archiver');
+const ExcelJS = require('exceljs');
+const { PDFDocument, PDFName, StandardFonts, rgb } = require('pdf-lib');
+const nodemailer = require('nodemailer');
+const {
+    extrairDigitosCpf, FORMATO_EMAIL, interpretarPeriodo, interpretarValorMonetario, formatarMoeda, converterValorNumerico,
+    calcularValoresRecibo, formatarNumeroRecibo, escaparHtml, sanitizarNomeArquivo
+} = require('./lib/utilitarios');
+const {
+    PLACEHOLDERS_RECIBO, EXPRESSAO_PLACEHOLDER, encontrarPlaceholdersDesconhecidos, preencherModelo, montarValoresRecibo
+} = require('./lib/modelos');
+const {
+    normalizarCodigoVerificacao, obterUrlPublica, montarVerificacao, mascararCpf, cifrarSegredo, decifrarSegredo,
+    lerCertificadoP12, carregarAssinante, assinarPdf, verificarAssinaturaPdf
+} = require('./lib/assinatura');
+const { ACOES_AUDITORIA, ENTIDADES_AUDITORIA, registrarAuditoria } = require('./lib/auditoria');
+const { validarFuncionario, lerPlanilhaFuncionarios, planejarImportacao, gravarImportacao } = require('./lib/funcionarios');
+const { interpretarData, validarPeriodo } = require('./lib/periodos');
+const { registrarSalarioInicial, registrarAlteracaoSalarial } = require('./lib/salarios');
+const { prepararGeracao, gerarRecibos, removerRecibos } = require('./lib/geracao');
+const { renderizarPdf } = require('./lib/renderizador-pdf');
+const {
+    FORMATOS_RELATORIO, montarRelatorioFolha, gerarCsvFolha, gerarExportacaoContabil, gerarHtmlFolha
+} = require('./lib/relatorios');
 
 // --- CONFIGURAÇÃO DO KNEX / BANCO DE DADOS ---
-const configuracaoKnexArquivo = require('./knexfile');
-const ambienteAtual = process.env.NODE_ENV || 'development';
-const configuracaoKnex = configuracaoKnexArquivo[ambienteAtual];
-const bancoDeDados = require('knex')(configuracaoKnex);
+const { bancoDeDados, ambienteAtual } = require('./lib/banco-de-dados');
 
 // --- INICIALIZAÇÃO DO SERVIDOR ---
 const aplicacao = express();
 const porta = process.env.PORT || 3000;
 
-// --- CONFIGURAÇÕES GLOBAIS DA EMPRESA ---
-const DADOS_EMPRESA = {
-    nome: "Aliança Consig",
-    cnpj: "50.113.116/0001-05",
-    cidade: "Brasília"
-};
+const scrypt = promisify(crypto.scrypt);
+
+// Atrás de um proxy reverso (CONFIAR_PROXY=true), o IP registrado nas confirmações vem do X-Forwarded-For
+if (process.env.CONFIAR_PROXY === 'true') {
+    aplicacao.set('trust proxy', 1);
+}
 
 // --- MIDDLEWARE ---
+// Limite ampliado para comportar o envio dos logos das empresas (Data URI)
+aplicacao.use(express.json({ limit: '5mb' }));
+// Identifica o usuário logado (cookie de sessão) em todas as requisições
+aplicacao.use(carregarSessao);
+// As páginas do dashboard exigem login; a tela de login e os assets são públicos
+aplicacao.get(['/', '/index.html', '/modelos.html'], (requisicao, resposta, next) => {
+    if (!requisicao.usuario) return resposta.redirect('/login.html');
+    next();
+});
 // Serve arquivos estáticos do frontend (HTML, CSS, JS)
 aplicacao.use(express.static('public'));
-aplicacao.use(express.json());
 
-// Define o caminho para a pasta de arquivos temporários
+// Define o caminho para a pasta de arquivos temporários (servidos apenas a quem gerou)
 const diretorioTemporario = path.join(__dirname, 'temp_files');
-aplicacao.use('/temp_files', express.static(diretorioTemporario));
 
 
-// --- FUNÇÕES AUXILIARES ---
+// =============================================================
+//             AUTENTICAÇÃO E CONTROLE DE ACESSO
+// =============================================================
+
+const PAPEIS = ['admin', 'operador', 'leitura'];
+const NOME_COOKIE_SESSAO = 'sessao';
+const DURACAO_SESSAO_MS = 12 * 60 * 60 * 1000;
 
 /**
- * Converte um arquivo de imagem para uma string Base64 (Data URI).
+ * Gera o hash de uma senha com scrypt, no formato "scrypt$<salt>$<hash>".
  */
-function imagemParaBase64(caminhoArquivo) {
-    try {
-        const bitmap = fs.readFileSync(caminhoArquivo);
-        const mimeType = path.extname(caminhoArquivo) === '.png' ? 'image/png' : 'image/jpeg';
-        return `data:${mimeType};base64,` + Buffer.from(bitmap).toString('base64');
-    } catch (error) {
-        console.error(`Erro ao ler a imagem ${caminhoArquivo}:`, error);
-        return ''; // Retorna string vazia se a imagem não for encontrada
-    }
+async function gerarHashSenha(senha) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(String(senha), salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
 }
 
 /**
- * Sanitiza uma string para uso em nome de arquivo.
+ * Confere uma senha com o hash armazenado, em tempo constante.
  */
-function sanitizarNomeArquivo(texto) {
-    return texto
-        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-        .replace(/[^a-zA-Z0-9\-_. ]/g, '')
-        .trim()
-        .replace(/\s+/g, '_');
+async function verificarSenha(senha, senhaHash) {
+    const [algoritmo, salt, hashArmazenado] = String(senhaHash).split('$');
+    if (algoritmo !== 'scrypt' || !salt || !hashArmazenado) return false;
+    const hashInformado = await scrypt(String(senha), salt, 64);
+    const esperado = Buffer.from(hashArmazenado, 'hex');
+    return esperado.length === hashInformado.length && crypto.timingSafeEqual(esperado, hashInformado);
 }
 
 /**
- * Interpreta o período de entrada.
+ * Calcula o hash SHA-256 do token de sessão (apenas o hash fica no banco).
  */
-// SUBSTITUA A FUNÇÃO ANTIGA POR ESTA
+function hashTokenSessao(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
 /**
- * Interpreta o período de entrada.
+ * Lê um cookie do cabeçalho da requisição.
  */
-function interpretarPeriodo(periodoEntrada) {
-    if (!periodoEntrada || typeof periodoEntrada !== 'string') {
-        return { mes: null, ano: null, textoFormatado: periodoEntrada, stringSanitizada: String(periodoEntrada).replace(/[^a-z0-9]/gi, '-') };
+function lerCookie(requisicao, nome) {
+    const cabecalho = requisicao.headers.cookie || '';
+    for (const parte of cabecalho.split(';')) {
+        const [chave, ...valor] = parte.trim().split('=');
+        if (chave === nome) return decodeURIComponent(valor.join('='));
     }
+    return null;
+}
 
-    const textoOriginal = periodoEntrada.trim();
-    const mesesPorNome = {
-        'janeiro': 1, 'fevereiro': 2, 'março': 3, 'marco': 3, 'abril': 4,
-        'maio': 5, 'junho': 6, 'julho': 7, 'agosto': 8, 'setembro': 9,
-        'outubro': 10, 'novembro': 11, 'dezembro': 12
-    };
-    const abreviaturas = {
-        'jan': 1, 'fev': 2, 'mar': 3, 'abr': 4, 'mai': 5, 'jun': 6, 'jul': 7, 'ago': 8, 'set': 9, 'out': 10, 'nov': 11, 'dez': 12
+/**
+ * Middleware: identifica o usuário pela sessão do cookie e o expõe em `requisicao.usuario`.
+ */
+async function carregarSessao(requisicao, resposta, next) {
+    const token = lerCookie(requisicao, NOME_COOKIE_SESSAO);
+    if (!token) return next();
+
+    try {
+        const usuario = await bancoDeDados('sessoes')
+            .join('usuarios', 'usuarios.id', 'sessoes.usuario_id')
+            .where('sessoes.token_hash', hashTokenSessao(token))
+            .andWhere('sessoes.expira_em', '>', new Date().toISOString())
+            .andWhere('usuarios.ativo', true)
+            .first('usuarios.id', 'usuarios.nome', 'usuarios.email', 'usuarios.papel');
+        if (usuario) requisicao.usuario = usuario;
+        next();
+    } catch (erro) {
+        next(erro);
+    }
+}
+
+/**
+ * Middleware: exige um usuário autenticado com um dos papéis informados.
+ */
+function exigirPapel(...papeisPermitidos) {
+    return (requisicao, resposta, next) => {
+        if (!requisicao.usuario) {
+            return resposta.status(401).json({ error: 'Autenticação necessária.' });
+        }
+        if (!papeisPermitidos.includes(requisicao.usuario.papel)) {
+            return resposta.status(403).json({ error: 'Você não tem permissão para esta operação.' });
+        }
+        next();
     };
+}
 
-    let partes = textoOriginal.split(/[\/\-\s]+/).filter(Boolean);
-    let mesDetectado = NaN;
-    let anoDetectado = NaN;
+// Níveis de acesso usados nas rotas
+const podeLer = exigirPapel('admin', 'operador', 'leitura');
+const podeOperar = exigirPapel('admin', 'operador');
+const somenteAdmin = exigirPapel('admin');
 
-    if (partes.length >= 2) {
-        const possivelMes = partes[0].toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-        const possivelAno = partes[1];
+/**
+ * Define o cookie de sessão (HttpOnly; Secure em produção).
+ */
+function definirCookieSessao(resposta, token, duracaoMs) {
+    const atributos = [
+        `${NOME_COOKIE_SESSAO}=${encodeURIComponent(token)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${Math.floor(duracaoMs / 1000)}`
+    ];
+    if (ambienteAtual === 'production') atributos.push('Secure');
+    resposta.append('Set-Cookie', atributos.join('; '));
+}
 
-        // Lógica para detectar o mês (igual a anterior)
-        if (/^\d{1,2}$/.test(possivelMes)) {
-            mesDetectado = parseInt(possivelMes, 10);
-        } else if (mesesPorNome[possivelMes]) {
-            mesDetectado = mesesPorNome[possivelMes];
-        } else {
-            const abre = possivelMes.substr(0, 3);
-            if (abreviaturas[abre]) mesDetectado = abreviaturas[abre];
+/**
+ * Cria o primeiro administrador a partir de ADMIN_EMAIL e ADMIN_SENHA quando
+ * ainda não há nenhum usuário cadastrado.
+ */
+async function criarAdministradorInicial() {
+    const { quantidade } = await bancoDeDados('usuarios').count({ quantidade: '*' }).first();
+    if (Number(quantidade) > 0) return;
+
+    const { ADMIN_EMAIL, ADMIN_SENHA } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_SENHA) {
+        console.warn('⚠️  Nenhum usuário cadastrado. Defina ADMIN_EMAIL e ADMIN_SENHA para criar o administrador inicial.');
+        return;
+    }
+    await bancoDeDados('usuarios').insert({
+        nome: 'Administrador',
+        email: ADMIN_EMAIL.trim().toLowerCase(),
+        senha_hash: await gerarHashSenha(ADMIN_SENHA),
+        papel: 'admin'
+    });
+    console.log(`👤 Administrador inicial criado: ${ADMIN_EMAIL}`);
+}
+
+aplicacao.post('/api/login', async (requisicao, resposta) => {
+    try {
+        const { email, senha } = requisicao.body;
+        if (!email || !senha) {
+            return resposta.status(400).json({ error: 'Informe e-mail e senha.' });
         }
 
-        // ### CORREÇÃO: Lógica melhorada para detectar o ano ###
-        if (/^\d{4}$/.test(possivelAno)) { // Checa se tem 4 dígitos (ex: 2025)
-            anoDetectado = parseInt(possivelAno, 10);
-        } else if (/^\d{2}$/.test(possivelAno)) { // Checa se tem 2 dígitos (ex: 25)
-            anoDetectado = 2000 + parseInt(possivelAno, 10); // Converte para 2025
+        const usuario = await bancoDeDados('usuarios').where({ email: String(email).trim().toLowerCase() }).first();
+        if (!usuario || !usuario.ativo || !(await verificarSenha(senha, usuario.senha_hash))) {
+            return resposta.status(401).json({ error: 'E-mail ou senha inválidos.' });
         }
+
+        // Remove sessões expiradas antes de abrir a nova
+        await bancoDeDados('sessoes').where('expira_em', '<=', new Date().toISOString()).del();
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await bancoDeDados('sessoes').insert({
+            usuario_id: usuario.id,
+            token_hash: hashTokenSessao(token),
+            expira_em: new Date(Date.now() + DURACAO_SESSAO_MS).toISOString()
+        });
+        definirCookieSessao(resposta, token, DURACAO_SESSAO_MS);
+        resposta.status(200).json({ id: usuario.id, nome: usuario.nome, email: usuario.email, papel: usuario.papel });
+    } catch (erro) {
+        console.error('Erro ao autenticar usuário:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao autenticar.' });
     }
+});
 
-    if (!Number.isNaN(mesDetectado) && mesDetectado >= 1 && mesDetectado <= 12 && !Number.isNaN(anoDetectado)) {
-        const ultimoDia = new Date(anoDetectado, mesDetectado, 0).getDate();
-        const mesFormatado = String(mesDetectado).padStart(2, '0');
-        const textoFormatado = `01/${mesFormatado}/${anoDetectado} a ${String(ultimoDia).padStart(2, '0')}/${mesFormatado}/${anoDetectado}`;
-        const stringSanitizada = `${mesFormatado}-${anoDetectado}`;
-        return { mes: mesDetectado, ano: anoDetectado, textoFormatado, stringSanitizada };
+aplicacao.post('/api/logout', async (requisicao, resposta) => {
+    try {
+        const token = lerCookie(requisicao, NOME_COOKIE_SESSAO);
+        if (token) {
+            await bancoDeDados('sessoes').where({ token_hash: hashTokenSessao(token) }).del();
+        }
+        definirCookieSessao(resposta, '', 0);
+        resposta.status(204).send();
+    } catch (erro) {
+        console.error('Erro ao encerrar sessão:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao encerrar a sessão.' });
     }
+});
 
-    // Se não conseguir entender, retorna o texto original
-    return { mes: null, ano: null, textoFormatado: textoOriginal, stringSanitizada: textoOriginal.replace(/[^a-z0-9]/gi, '-') };
-}
+aplicacao.get('/api/sessao', podeLer, (requisicao, resposta) => {
+    resposta.status(200).json(requisicao.usuario);
+});
 
 
 // =============================================================
-//               API CRUD PARA GERENCIAR FUNCIONÁRIOS
+//               API CRUD PARA GERENCIAR USUÁRIOS
 // =============================================================
 
-aplicacao.get('/api/funcionarios', async (requisicao, resposta) => {
+const COLUNAS_USUARIO = ['id', 'nome', 'email', 'papel', 'ativo', 'created_at', 'updated_at'];
+
+/**
+ * Valida os dados de um usuário. Com `parcial`, só valida os campos informados.
+ * Retorna { dados, erros } com as mensagens por campo.
+ */
+async function validarUsuario(corpo, { parcial = false } = {}) {
+    const dados = {};
+    const erros = {};
+    const informado = (campo) => corpo[campo] !== undefined;
+
+    if (informado('nome') || !parcial) {
+        const nome = typeof corpo.nome === 'string' ? corpo.nome.trim() : '';
+        if (!nome) erros.nome = 'O nome é obrigatório.';
+        else dados.nome = nome;
+    }
+    if (informado('email') || !parcial) {
+        const email = typeof corpo.email === 'string' ? corpo.email.trim().toLowerCase() : '';
+        if (!FORMATO_EMAIL.test(email)) erros.email = 'Informe um e-mail válido.';
+        else dados.email = email;
+    }
+    if (informado('senha') || !parcial) {
+        if (typeof corpo.senha !== 'string' || corpo.senha.length < 8) erros.senha = 'A senha deve ter pelo menos 8 caracteres.';
+        else dados.senha_hash = await gerarHashSenha(corpo.senha);
+    }
+    if (informado('papel') || !parcial) {
+        if (!PAPEIS.includes(corpo.papel)) erros.papel = `O papel deve ser um de: ${PAPEIS.join(', ')}.`;
+        else dados.papel = corpo.papel;
+    }
+    if (informado('ativo')) {
+        dados.ativo = Boolean(corpo.ativo);
+    }
+    return { dados, erros };
+}
+
+aplicacao.get('/api/usuarios', somenteAdmin, async (requisicao, resposta) => {
     try {
-        const funcionarios = await bancoDeDados('funcionarios').select('*').orderBy('nome_completo');
-        resposta.status(200).json(funcionarios);
+        const usuarios = await bancoDeDados('usuarios').select(COLUNAS_USUARIO).orderBy('nome');
+        resposta.status(200).json(usuarios);
     } catch (erro) {
-        console.error('Erro ao buscar funcionários:', erro);
-        resposta.status(500).json({ error: 'Erro interno ao buscar funcionários.' });
+        console.error('Erro ao buscar usuários:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar usuários.' });
     }
 });
 
-aplicacao.post('/api/funcionarios', async (requisicao, resposta) => {
+aplicacao.post('/api/usuarios', somenteAdmin, async (requisicao, resposta) => {
     try {
-        const { nome_completo, cpf, salario_base } = requisicao.body;
-        if (!nome_completo || !cpf || salario_base === undefined) {
-            return resposta.status(400).json({ error: 'Todos os campos são obrigatórios.' });
+        const { dados, erros } = await validarUsuario(requisicao.body);
+        if (Object.keys(erros).length > 0) {
+            return responderErrosDeValidacao(resposta, erros);
         }
-        const [novoFuncionario] = await bancoDeDados('funcionarios').insert({ nome_completo, cpf, salario_base }).returning('*');
-        resposta.status(201).json(novoFuncionario);
+        const novoUsuario = await bancoDeDados.transaction(async (transacao) => {
+            const [usuario] = await transacao('usuarios').insert(dados).returning(COLUNAS_USUARIO);
+            await registrarAuditoria(transacao, requisicao.usuario, { acao: 'criar', entidade: 'usuario', entidadeId: usuario.id, depois: usuario });
+            return usuario;
+        });
+        resposta.status(201).json(novoUsuario);
     } catch (erro) {
         if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
-            return resposta.status(409).json({ error: 'Este CPF já está cadastrado.' });
+            return resposta.status(409).json({ error: 'Este e-mail já está cadastrado.', campos: { email: 'Este e-mail já está cadastrado.' } });
         }
-        console.error('Erro ao adicionar funcionário:', erro);
-        resposta.status(500).json({ error: 'Erro interno ao adicionar funcionário.' });
+        console.error('Erro ao adicionar usuário:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao adicionar usuário.' });
     }
 });
 
-aplicacao.put('/api/funcionarios/:id', async (requisicao, resposta) => {
+aplicacao.patch('/api/usuarios/:id', somenteAdmin, async (requisicao, resposta) => {
     try {
-        const { id } = requisicao.params;
-        const { nome_completo, cpf, salario_base } = requisicao.body;
-        const quantidadeAtualizada = await bancoDeDados('funcionarios').where({ id }).update({ nome_completo, cpf, salario_base });
-        if (quantidadeAtualizada === 0) {
-            return resposta.status(404).json({ error: 'Funcionário não encontrado.' });
+        const id = Number(requisicao.params.id);
+        const { dados, erros } = await validarUsuario(requisicao.body, { parcial: true });
+        if (Object.keys(erros).length > 0) {
+            return responderErrosDeValidacao(resposta, erros);
+        }
+        if (Object.keys(dados).length === 0) {
+            return resposta.status(400).json({ error: 'Nenhum campo informado para atualização.' });
+        }
+        // Impede que o administrador tire o próprio acesso
+        if (id === requisicao.usuario.id && (dados.ativo === false || (dados.papel && dados.papel !== 'admin'))) {
+            return resposta.status(409).json({ error: 'Você não pode desativar nem rebaixar o próprio usuário.' });
         }
-        const funcionarioAtualizado = await bancoDeDados('funcionarios').where({ id }).first();
-        resposta.status(200).json(funcionarioAtualizado);
+
+        const usuarioAtualizado = await bancoDeDados.transaction(async (transacao) => {
+            const usuarioAnterior = await transacao('usuarios').select(COLUNAS_USUARIO).where({ id }).first();
+            if (!usuarioAnterior) return null;
+            await transacao('usuarios').where({ id }).update({ ...dados, updated_at: transacao.fn.now() });
+            // Senha trocada ou usuário desativado: encerra as sessões abertas dele
+            if (dados.senha_hash || dados.ativo === false) {
+                await transacao('sessoes').where({ usuario_id: id }).del();
+            }
+            const usuario = await transacao('usuarios').select(COLUNAS_USUARIO).where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar',
+                entidade: 'usuario',
+                entidadeId: id,
+                antes: usuarioAnterior,
+                // A senha nunca é registrada, apenas o fato de ter sido trocada
+                depois: dados.senha_hash ? { ...usuario, senha_alterada: true } : usuario
+            });
+            return usuario;
+        });
+        if (!usuarioAtualizado) {
+            return resposta.status(404).json({ error: 'Usuário não encontrado.' });
+        }
+        resposta.status(200).json(usuarioAtualizado);
     } catch (erro) {
-        console.error('Erro ao atualizar funcionário:', erro);
-        resposta.status(500).json({ error: 'Erro interno ao atualizar funcionário.' });
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            return resposta.status(409).json({ error: 'Este e-mail já está cadastrado.', campos: { email: 'Este e-mail já está cadastrado.' } });
+        }
+        console.error('Erro ao atualizar usuário:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao atualizar usuário.' });
     }
 });
 
-aplicacao.delete('/api/funcionarios/:id', async (requisicao, resposta) => {
+aplicacao.delete('/api/usuarios/:id', somenteAdmin, async (requisicao, resposta) => {
     try {
-        const { id } = requisicao.params;
-        const quantidadeRemovida = await bancoDeDados('funcionarios').where({ id }).del();
-        if (quantidadeRemovida === 0) {
-            return resposta.status(404).json({ error: 'Funcionário não encontrado.' });
+        const id = Number(requisicao.params.id);
+        if (id === requisicao.usuario.id) {
+            return resposta.status(409).json({ error: 'Você não pode excluir o próprio usuário.' });
+        }
+        const usuarioRemovido = await bancoDeDados.transaction(async (transacao) => {
+            const usuario = await transacao('usuarios').select(COLUNAS_USUARIO).where({ id }).first();
+            if (!usuario) return null;
+            await transacao('usuarios').where({ id }).del();
+            await registrarAuditoria(transacao, requisicao.usuario, { acao: 'excluir', entidade: 'usuario', entidadeId: id, antes: usuario });
+            return usuario;
+        });
+        if (!usuarioRemovido) {
+            return resposta.status(404).json({ error: 'Usuário não encontrado.' });
         }
         resposta.status(204).send();
     } catch (erro) {
-        console.error('Erro ao deletar funcionário:', erro);
-        resposta.status(500).json({ error: 'Erro interno ao deletar funcionário.' });
+        console.error('Erro ao deletar usuário:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao deletar usuário.' });
     }
 });
 
 
 // =============================================================
-//              ROTA PARA GERAR O ARQUIVO ZIP COM RECIBOS
+//                    TRILHA DE AUDITORIA
 // =============================================================
-aplicacao.post('/gerar-recibos', async (requisicao, resposta) => {
-    const { periodo } = requisicao.body;
-    if (!periodo) {
-        return resposta.status(400).json({ error: 'O período de referência é obrigatório.' });
+
+/**
+ * Lista a trilha de auditoria, da mais recente para a mais antiga.
+ * Filtros: entidade, entidade_id, acao, usuario_id, de e ate (AAAA-MM-DD) e limite.
+ */
+aplicacao.get('/api/auditoria', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { entidade, entidade_id, acao, usuario_id, de, ate } = requisicao.query;
+        const limite = Math.min(Number(requisicao.query.limite) || 100, 500);
+
+        if ((entidade && !ENTIDADES_AUDITORIA.includes(entidade)) || (acao && !ACOES_AUDITORIA.includes(acao))) {
+            return resposta.status(400).json({ error: 'Filtro de entidade ou ação inválido.' });
+        }
+        const dataValida = (data) => /^\d{4}-\d{2}-\d{2}$/.test(data) && !Number.isNaN(Date.parse(data));
+        if ((de && !dataValida(de)) || (ate && !dataValida(ate))) {
+            return resposta.status(400).json({ error: 'Datas inválidas. Use o formato AAAA-MM-DD.' });
+        }
+
+        const consulta = bancoDeDados('auditoria').select('*')
+            .orderBy('created_at', 'desc').orderBy('id', 'desc')
+            .limit(limite);
+        if (entidade) consulta.where({ entidade });
+        if (entidade_id) consulta.where({ entidade_id: String(entidade_id) });
+        if (acao) consulta.where({ acao });
+        if (usuario_id) consulta.where({ usuario_id });
+        if (de) consulta.where('created_at', '>=', new Date(`${de}T00:00:00`).toISOString());
+        if (ate) consulta.where('created_at', '<', new Date(new Date(`${ate}T00:00:00`).getTime() + 24 * 60 * 60 * 1000).toISOString());
+
+        const registros = await consulta;
+        resposta.status(200).json(registros.map(registro => ({
+            ...registro,
+            dados_anteriores: registro.dados_anteriores ? JSON.parse(registro.dados_anteriores) : null,
+            dados_novos: registro.dados_novos ? JSON.parse(registro.dados_novos) : null
+        })));
+    } catch (erro) {
+        console.error('Erro ao buscar auditoria:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar a trilha de auditoria.' });
+    }
+});
+
+
+// =============================================================
+//               API CRUD PARA GERENCIAR EMPRESAS
+// =============================================================
+
+// Colunas de dados da empresa (os logos são servidos por rota própria)
+const COLUNAS_EMPRESA = ['id', 'nome', 'cnpj', 'cidade', 'endereco', 'created_at', 'updated_at'];
+const TIPOS_LOGO = ['logo_cabecalho', 'logo_rodape'];
+// Contas do plano de contas da empresa usadas na exportação contábil da folha
+const COLUNAS_CONTABEIS = ['conta_despesa_salarios', 'conta_salarios_a_pagar', 'conta_descontos_a_recolher'];
+const FORMATO_CONTA_CONTABIL = /^[A-Za-z0-9.\-]{1,30}$/;
+const COLUNAS_SMTP = ['smtp_host', 'smtp_porta', 'smtp_seguro', 'smtp_usuario', 'smtp_remetente', 'email_assunto', 'email_mensagem'];
+const FORMATO_LOGO = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/;
+
+/**
+ * Adiciona à empresa os indicadores de quais logos estão cadastrados e os dados
+ * públicos do certificado digital (nunca o arquivo ou a senha).
+ */
+function resumirEmpresa(empresa) {
+    const resumo = {};
+    for (const coluna of COLUNAS_EMPRESA) resumo[coluna] = empresa[coluna];
+    for (const tipo of TIPOS_LOGO) resumo[`possui_${tipo}`] = Boolean(empresa[tipo]);
+    resumo.possui_certificado = Boolean(empresa.certificado_p12);
+    resumo.certificado_titular = empresa.certificado_titular || null;
+    resumo.certificado_validade = empresa.certificado_validade || null;
+    // Configuração de e-mail, sem a senha do SMTP
+    resumo.possui_smtp = Boolean(empresa.smtp_host);
+    for (const coluna of COLUNAS_SMTP) resumo[coluna] = empresa[coluna] ?? null;
+    resumo.smtp_seguro = Boolean(empresa.smtp_seguro);
+    resumo.possui_senha_smtp = Boolean(empresa.smtp_senha);
+    for (const coluna of COLUNAS_CONTABEIS) resumo[coluna] = empresa[coluna] ?? null;
+    return resumo;
+}
+
+/**
+ * Extrai do corpo da requisição os campos de empresa informados, validando os logos
+ * e as contas contábeis. Retorna { dados } ou { erro } com a mensagem para o cliente.
+ */
+function extrairDadosEmpresa(corpo) {
+    const dados = {};
+    for (const campo of ['nome', 'cnpj', 'cidade', 'endereco']) {
+        if (corpo[campo] !== undefined) dados[campo] = corpo[campo];
+    }
+    for (const tipo of TIPOS_LOGO) {
+        if (corpo[tipo] === undefined) continue;
+        if (corpo[tipo] !== null && !FORMATO_LOGO.test(corpo[tipo])) {
+            return { erro: 'Os logos devem ser imagens PNG ou JPEG.' };
+        }
+        dados[tipo] = corpo[tipo];
+    }
+    for (const coluna of COLUNAS_CONTABEIS) {
+        if (corpo[coluna] === undefined) continue;
+        const conta = typeof corpo[coluna] === 'string' ? corpo[coluna].trim() : corpo[coluna];
+        if (conta !== null && conta !== '' && !FORMATO_CONTA_CONTABIL.test(conta)) {
+            return { erro: 'As contas contábeis devem ter até 30 letras, números, pontos ou hífens.' };
+        }
+        dados[coluna] = conta || null;
+    }
+    return { dados };
+}
+
+aplicacao.get('/api/empresas', podeLer, async (requisicao, resposta) => {
+    try {
+        const empresas = await bancoDeDados('empresas').select('*').orderBy('nome');
+        resposta.status(200).json(empresas.map(resumirEmpresa));
+    } catch (erro) {
+        console.error('Erro ao buscar empresas:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar empresas.' });
+    }
+});
+
+aplicacao.get('/api/empresas/:id/logos/:tipo', podeLer, async (requisicao, resposta) => {
+    try {
+        const { id, tipo } = requisicao.params;
+        const coluna = `logo_${tipo}`;
+        if (!TIPOS_LOGO.includes(coluna)) {
+            return resposta.status(404).json({ error: 'Logo não encontrado.' });
+        }
+        const empresa = await bancoDeDados('empresas').select(coluna).where({ id }).first();
+        if (!empresa || !empresa[coluna]) {
+            return resposta.status(404).json({ error: 'Logo não encontrado.' });
+        }
+        const [, mimeType, conteudoBase64] = empresa[coluna].match(/^data:([^;]+);base64,(.*)$/);
+        resposta.type(mimeType).send(Buffer.from(conteudoBase64, 'base64'));
+    } catch (erro) {
+        console.error('Erro ao buscar logo da empresa:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar logo da empresa.' });
     }
+});
 
-    let navegador;
+aplicacao.post('/api/empresas', somenteAdmin, async (requisicao, resposta) => {
     try {
-        // ### CORREÇÃO DE LÓGICA: Limpa e recria a pasta temporária no início
-        if (fs.existsSync(diretorioTemporario)) {
-            fs.rmSync(diretorioTemporario, { recursive: true, force: true });
+        const { dados, erro: erroValidacao } = extrairDadosEmpresa(requisicao.body);
+        if (erroValidacao) {
+            return resposta.status(400).json({ error: erroValidacao });
+        }
+        if (!dados.nome || !dados.cnpj || !dados.cidade) {
+            return resposta.status(400).json({ error: 'Nome, CNPJ e cidade são obrigatórios.' });
+        }
+        const novaEmpresa = await bancoDeDados.transaction(async (transacao) => {
+            const [empresa] = await transacao('empresas').insert(dados).returning('*');
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'criar', entidade: 'empresa', entidadeId: empresa.id, depois: resumirEmpresa(empresa)
+            });
+            return empresa;
+        });
+        resposta.status(201).json(resumirEmpresa(novaEmpresa));
+    } catch (erro) {
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            return resposta.status(409).json({ error: 'Este CNPJ já está cadastrado.' });
         }
-        fs.mkdirSync(diretorioTemporario, { recursive: true });
+        console.error('Erro ao adicionar empresa:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao adicionar empresa.' });
+    }
+});
 
-        const listaFuncionarios = await bancoDeDados('funcionarios').select('*');
-        if (!listaFuncionarios || listaFuncionarios.length === 0) {
-            return resposta.status(404).json({ error: 'Nenhum funcionário cadastrado para gerar recibos.' });
+aplicacao.put('/api/empresas/:id', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const { dados, erro: erroValidacao } = extrairDadosEmpresa(requisicao.body);
+        if (erroValidacao) {
+            return resposta.status(400).json({ error: erroValidacao });
+        }
+        if (Object.keys(dados).length === 0) {
+            return resposta.status(400).json({ error: 'Nenhum campo informado para atualização.' });
+        }
+        if (['nome', 'cnpj', 'cidade'].some(campo => campo in dados && !dados[campo])) {
+            return resposta.status(400).json({ error: 'Nome, CNPJ e cidade não podem ficar em branco.' });
+        }
+        const empresaAtualizada = await bancoDeDados.transaction(async (transacao) => {
+            const empresaAnterior = await transacao('empresas').where({ id }).first();
+            if (!empresaAnterior) return null;
+            await transacao('empresas').where({ id }).update({ ...dados, updated_at: transacao.fn.now() });
+            const empresa = await transacao('empresas').where({ id }).first();
+            // Os logos não entram na auditoria; o resumo indica apenas se existem
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'empresa', entidadeId: empresa.id,
+                antes: resumirEmpresa(empresaAnterior), depois: resumirEmpresa(empresa)
+            });
+            return empresa;
+        });
+        if (!empresaAtualizada) {
+            return resposta.status(404).json({ error: 'Empresa não encontrada.' });
+        }
+        resposta.status(200).json(resumirEmpresa(empresaAtualizada));
+    } catch (erro) {
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            return resposta.status(409).json({ error: 'Este CNPJ já está cadastrado.' });
         }
+        console.error('Erro ao atualizar empresa:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao atualizar empresa.' });
+    }
+});
 
-        const arquivoTemplate = fs.readFileSync(path.join(__dirname, 'views', 'recibo-template.html'), 'utf-8');
-        const logoEmpresaBase64 = imagemParaBase64(path.join(__dirname, 'public', 'images', 'logo-empresa.jpg'));
-        const logoAliancaBase64 = imagemParaBase64(path.join(__dirname, 'public', 'images', 'logo-alianca.png'));
+/**
+ * Configura o certificado digital (PKCS#12 / .pfx, em base64) usado para assinar os
+ * recibos da empresa. A senha é conferida na hora e guardada cifrada.
+ */
+aplicacao.put('/api/empresas/:id/certificado', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const { certificado, senha } = requisicao.body;
+        if (typeof certificado !== 'string' || !certificado || typeof senha !== 'string') {
+            return resposta.status(400).json({ error: 'Envie o arquivo do certificado (.p12/.pfx) e a senha.' });
+        }
 
-        const resultadoPeriodo = interpretarPeriodo(String(periodo));
-        const periodoSanitizadoParaArquivo = resultadoPeriodo.stringSanitizada;
+        const conteudoP12 = Buffer.from(certificado.replace(/^data:[^,]*,/, ''), 'base64');
+        let dadosCertificado;
+        try {
+            dadosCertificado = lerCertificadoP12(conteudoP12, senha);
+        } catch (erroCertificado) {
+            return resposta.status(400).json({ error: 'Não foi possível abrir o certificado. Confira o arquivo e a senha.' });
+        }
+        if (dadosCertificado.validade < new Date()) {
+            return resposta.status(400).json({ error: 'O certificado está vencido.' });
+        }
 
-        const nomeArquivoZip = `Recibos_${periodoSanitizadoParaArquivo}.zip`;
-        const caminhoArquivoZip = path.join(diretorioTemporario, nomeArquivoZip);
-        const output = fs.createWriteStream(caminhoArquivoZip);
-        const archive = archiver('zip', { zlib: { level: 9 } });
+        let senhaCifrada;
+        try {
+            senhaCifrada = cifrarSegredo(senha);
+        } catch (erroChave) {
+            return resposta.status(500).json({ error: erroChave.message });
+        }
 
-        output.on('close', () => {
-            console.log(`Arquivo ZIP criado: ${archive.pointer()} bytes totais.`);
-            resposta.status(200).json({
-                message: 'Recibos gerados e compactados com sucesso.',
-                file: nomeArquivoZip
+        const empresaAtualizada = await bancoDeDados.transaction(async (transacao) => {
+            const empresaAnterior = await transacao('empresas').where({ id }).first();
+            if (!empresaAnterior) return null;
+            await transacao('empresas').where({ id }).update({
+                certificado_p12: conteudoP12,
+                certificado_senha: senhaCifrada,
+                certificado_titular: dadosCertificado.titular,
+                certificado_validade: dadosCertificado.validade.toISOString(),
+                updated_at: transacao.fn.now()
+            });
+            const empresa = await transacao('empresas').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'empresa', entidadeId: empresa.id,
+                antes: resumirEmpresa(empresaAnterior), depois: resumirEmpresa(empresa)
             });
+            return empresa;
         });
+        if (!empresaAtualizada) {
+            return resposta.status(404).json({ error: 'Empresa não encontrada.' });
+        }
+        resposta.status(200).json(resumirEmpresa(empresaAtualizada));
+    } catch (erro) {
+        console.error('Erro ao configurar certificado:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao configurar o certificado.' });
+    }
+});
 
-        archive.on('error', err => { throw err; });
-        archive.pipe(output);
+aplicacao.delete('/api/empresas/:id/certificado', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const empresaAtualizada = await bancoDeDados.transaction(async (transacao) => {
+            const empresaAnterior = await transacao('empresas').where({ id }).first();
+            if (!empresaAnterior) return null;
+            await transacao('empresas').where({ id }).update({
+                certificado_p12: null,
+                certificado_senha: null,
+                certificado_titular: null,
+                certificado_validade: null,
+                updated_at: transacao.fn.now()
+            });
+            const empresa = await transacao('empresas').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'empresa', entidadeId: empresa.id,
+                antes: resumirEmpresa(empresaAnterior), depois: resumirEmpresa(empresa)
+            });
+            return empresa;
+        });
+        if (!empresaAtualizada) {
+            return resposta.status(404).json({ error: 'Empresa não encontrada.' });
+        }
+        resposta.status(200).json(resumirEmpresa(empresaAtualizada));
+    } catch (erro) {
+        console.error('Erro ao remover certificado:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao remover o certificado.' });
+    }
+});
 
-        navegador = await puppeteer.launch({
-            headless: true,
-            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+aplicacao.delete('/api/empresas/:id', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const funcionarioVinculado = await bancoDeDados('funcionarios').where({ empresa_id: id }).first();
+        if (funcionarioVinculado) {
+            return resposta.status(409).json({ error: 'Não é possível excluir uma empresa com funcionários vinculados.' });
+        }
+        const empresaRemovida = await bancoDeDados.transaction(async (transacao) => {
+            const empresa = await transacao('empresas').where({ id }).first();
+            if (!empresa) return null;
+            await transacao('empresas').where({ id }).del();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'excluir', entidade: 'empresa', entidadeId: empresa.id, antes: resumirEmpresa(empresa)
+            });
+            return empresa;
         });
+        if (!empresaRemovida) {
+            return resposta.status(404).json({ error: 'Empresa não encontrada.' });
+        }
+        resposta.status(204).send();
+    } catch (erro) {
+        console.error('Erro ao deletar empresa:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao deletar empresa.' });
+    }
+});
+
+
+// =============================================================
+//               API CRUD PARA GERENCIAR FUNCIONÁRIOS
+// =============================================================
+
+/**
+ * Lista os funcionários (opcionalmente de uma empresa). Os desligados só são
+ * incluídos com `incluir_desligados=true`.
+ */
+aplicacao.get('/api/funcionarios', podeLer, async (requisicao, resposta) => {
+    try {
+        const consulta = bancoDeDados('funcionarios').select('*').orderBy('nome_completo');
+        if (requisicao.query.empresa_id) {
+            consulta.where({ empresa_id: requisicao.query.empresa_id });
+        }
+        if (requisicao.query.incluir_desligados !== 'true') {
+            consulta.whereNull('desligado_em');
+        }
+        const funcionarios = await consulta;
 
-        for (const funcionario of listaFuncionarios) {
-            const valorNumerico = parseFloat(String(funcionario.salario_base).replace(',', '.')) || 0;
-            const valorFormatado = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(valorNumerico);
-            const valorPorExtenso = numeroPorExtenso.porExtenso(valorNumerico, 'monetario').toUpperCase();
-            const dataAtualFormatada = new Date().toLocaleDateString('pt-BR', { day: '2-digit', month: 'long', year: 'numeric' });
+        // Último recibo de cada funcionário, com a situação da confirmação de recebimento
+        const ultimosRecibos = await bancoDeDados('recibos')
+            .select('id', 'funcionario_id', 'periodo', 'status_confirmacao', 'confirmado_em')
+            .whereIn('id', bancoDeDados('recibos').max('id').whereNotNull('funcionario_id').groupBy('funcionario_id'));
+        const reciboPorFuncionario = new Map(ultimosRecibos.map(({ funcionario_id, ...recibo }) =>
+            [funcionario_id, { ...recibo, numero: formatarNumeroRecibo(recibo.id) }]));
 
-            const conteudoHtml = arquivoTemplate
-                .replace(/{{LOGO_EMPRESA}}/g, logoEmpresaBase64)
-                .replace(/{{LOGO_ALIANCA}}/g, logoAliancaBase64)
-                .replace(/{{NOME}}/g, funcionario.nome_completo)
-                .replace(/{{CPF}}/g, funcionario.cpf)
-                .replace(/{{VALOR_FORMATADO}}/g, valorFormatado)
-                .replace(/{{VALOR_POR_EXTENSO}}/g, valorPorExtenso)
-                .replace(/{{PERIODO}}/g, resultadoPeriodo.textoFormatado)
-                .replace(/{{DATA_ATUAL}}/g, dataAtualFormatada)
-                .replace(/{{EMPRESA_NOME}}/g, DADOS_EMPRESA.nome)
-                .replace(/{{EMPRESA_CNPJ}}/g, DADOS_EMPRESA.cnpj)
-                .replace(/{{CIDADE}}/g, DADOS_EMPRESA.cidade);
+        resposta.status(200).json(funcionarios.map(funcionario => ({
+            ...funcionario,
+            ultimo_recibo: reciboPorFuncionario.get(funcionario.id) || null
+        })));
+    } catch (erro) {
+        console.error('Erro ao buscar funcionários:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar funcionários.' });
+    }
+});
 
-            const nomeArquivoPdf = `RECIBO-${sanitizarNomeArquivo(funcionario.nome_completo)}-${periodoSanitizadoParaArquivo}.pdf`;
-            const caminhoPdfTemporario = path.join(diretorioTemporario, nomeArquivoPdf);
+/**
+ * Responde 400 com os erros por campo, no formato { error, campos }.
+ */
+function responderErrosDeValidacao(resposta, erros) {
+    return resposta.status(400).json({ error: 'Verifique os campos destacados.', campos: erros });
+}
 
-            const pagina = await navegador.newPage();
-            await pagina.setContent(conteudoHtml, { waitUntil: 'domcontentloaded' });
-            await pagina.pdf({ path: caminhoPdfTemporario, format: 'A4', printBackground: true });
+aplicacao.post('/api/funcionarios', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { dados, erros } = validarFuncionario(requisicao.body);
+        if (!erros.empresa_id && !(await bancoDeDados('empresas').where({ id: dados.empresa_id }).first())) {
+            erros.empresa_id = 'Empresa não encontrada.';
+        }
+        if (Object.keys(erros).length > 0) {
+            return responderErrosDeValidacao(resposta, erros);
+        }
+        const novoFuncionario = await bancoDeDados.transaction(async (transacao) => {
+            const [funcionario] = await transacao('funcionarios').insert(dados).returning('*');
+            await registrarSalarioInicial(transacao, funcionario);
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'criar', entidade: 'funcionario', entidadeId: funcionario.id, depois: funcionario
+            });
+            return funcionario;
+        });
+        resposta.status(201).json(novoFuncionario);
+    } catch (erro) {
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            return resposta.status(409).json({ error: 'Este CPF já está cadastrado.', campos: { cpf: 'Este CPF já está cadastrado.' } });
+        }
+        console.error('Erro ao adicionar funcionário:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao adicionar funcionário.' });
+    }
+});
 
-            archive.append(fs.createReadStream(caminhoPdfTemporario), { name: nomeArquivoPdf });
+/**
+ * Atualiza um funcionário. PUT substitui todos os campos (a empresa é opcional e,
+ * se omitida, é mantida); PATCH altera apenas os campos enviados. Um novo salário
+ * base entra no histórico salarial com `vigencia_salario` (padrão: hoje) e
+ * `motivo_salario`, obrigatório.
+ */
+async function atualizarFuncionario(requisicao, resposta, parcial) {
+    try {
+        const { id } = requisicao.params;
+        const { dados, erros } = validarFuncionario(requisicao.body, { parcial });
+        if (requisicao.body.empresa_id === undefined) {
+            // No PUT a empresa é opcional: sem ela, o vínculo atual é mantido
+            delete erros.empresa_id;
+        }
+        if (dados.empresa_id && !(await bancoDeDados('empresas').where({ id: dados.empresa_id }).first())) {
+            erros.empresa_id = 'Empresa não encontrada.';
+        }
+        if (Object.keys(erros).length > 0) {
+            return responderErrosDeValidacao(resposta, erros);
+        }
+        if (Object.keys(dados).length === 0) {
+            return resposta.status(400).json({ error: 'Nenhum campo informado para atualização.' });
+        }
 
-            await pagina.close();
+        const resultado = await bancoDeDados.transaction(async (transacao) => {
+            const funcionarioAnterior = await transacao('funcionarios').where({ id }).first();
+            if (!funcionarioAnterior) return { status: 404 };
+            if (dados.salario_base !== undefined && Number(dados.salario_base) !== Number(funcionarioAnterior.salario_base)) {
+                const { erros: errosSalario } = await registrarAlteracaoSalarial(transacao, requisicao.usuario, funcionarioAnterior.id, {
+                    salario: dados.salario_base,
+                    vigencia: requisicao.body.vigencia_salario,
+                    motivo: requisicao.body.motivo_salario
+                });
+                if (errosSalario) return { status: 400, erros: errosSalario };
+            }
+            await transacao('funcionarios').where({ id }).update({ ...dados, updated_at: transacao.fn.now() });
+            const funcionario = await transacao('funcionarios').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'funcionario', entidadeId: funcionario.id, antes: funcionarioAnterior, depois: funcionario
+            });
+            return { status: 200, funcionario };
+        });
+        if (resultado.status === 404) {
+            return resposta.status(404).json({ error: 'Funcionário não encontrado.' });
+        }
+        if (resultado.status === 400) {
+            return responderErrosDeValidacao(resposta, resultado.erros);
+        }
+        resposta.status(200).json(resultado.funcionario);
+    } catch (erro) {
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            return resposta.status(409).json({ error: 'Este CPF já está cadastrado.', campos: { cpf: 'Este CPF já está cadastrado.' } });
         }
+        console.error('Erro ao atualizar funcionário:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao atualizar funcionário.' });
+    }
+}
+
+aplicacao.put('/api/funcionarios/:id', podeOperar, (requisicao, resposta) => atualizarFuncionario(requisicao, resposta, false));
+aplicacao.patch('/api/funcionarios/:id', podeOperar, (requisicao, resposta) => atualizarFuncionario(requisicao, resposta, true));
+
+/**
+ * Desliga (ou reativa) um funcionário. O registro não é excluído, para que os
+ * recibos já emitidos continuem apontando para ele.
+ */
+async function alterarDesligamento(requisicao, resposta, desligar) {
+    try {
+        const { id } = requisicao.params;
+        const resultado = await bancoDeDados.transaction(async (transacao) => {
+            const funcionarioAnterior = await transacao('funcionarios').where({ id }).first();
+            if (!funcionarioAnterior) return { status: 404 };
+            if (Boolean(funcionarioAnterior.desligado_em) === desligar) return { status: 409 };
 
-        await navegador.close();
-        await archive.finalize();
+            await transacao('funcionarios').where({ id }).update({
+                desligado_em: desligar ? new Date().toISOString() : null,
+                updated_at: transacao.fn.now()
+            });
+            const funcionario = await transacao('funcionarios').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: desligar ? 'desligar' : 'reativar',
+                entidade: 'funcionario',
+                entidadeId: funcionario.id,
+                antes: funcionarioAnterior,
+                depois: funcionario
+            });
+            return { status: 200, funcionario };
+        });
 
+        if (resultado.status === 404) {
+            return resposta.status(404).json({ error: 'Funcionário não encontrado.' });
+        }
+        if (resultado.status === 409) {
+            return resposta.status(409).json({ error: desligar ? 'O funcionário já está desligado.' : 'O funcionário não está desligado.' });
+        }
+        resposta.status(200).json(resultado.funcionario);
     } catch (erro) {
-        console.error('Erro ao gerar recibos:', erro);
-        // Garante que o navegador seja fechado em caso de erro
-        if (navegador) {
-            await navegador.close();
+        console.error(`Erro ao ${desligar ? 'desligar' : 'reativar'} funcionário:`, erro);
+        resposta.status(500).json({ error: `Erro interno ao ${desligar ? 'desligar' : 'reativar'} funcionário.` });
+    }
+}
+
+aplicacao.delete('/api/funcionarios/:id', podeOperar, (requisicao, resposta) => alterarDesligamento(requisicao, resposta, true));
+aplicacao.post('/api/funcionarios/:id/reativar', podeOperar, (requisicao, resposta) => alterarDesligamento(requisicao, resposta, false));
+
+/**
+ * Lista o histórico salarial de um funcionário, da alteração mais recente para a mais antiga.
+ */
+aplicacao.get('/api/funcionarios/:id/salarios', podeLer, async (requisicao, resposta) => {
+    try {
+        const funcionario = await bancoDeDados('funcionarios').where({ id: requisicao.params.id }).first();
+        if (!funcionario) {
+            return resposta.status(404).json({ error: 'Funcionário não encontrado.' });
         }
-        resposta.status(500).json({ error: 'Falha interna ao gerar os recibos.' });
+        const historico = await bancoDeDados('historico_salarios').where({ funcionario_id: funcionario.id })
+            .orderBy('vigencia_inicio', 'desc');
+        resposta.status(200).json(historico);
+    } catch (erro) {
+        console.error('Erro ao buscar histórico salarial:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar histórico salarial.' });
     }
 });
 
+/**
+ * Exclui uma alteração do histórico salarial lançada por engano. O salário base do
+ * funcionário volta a ser o da alteração mais recente que restar; a única entrada
+ * do histórico não pode ser excluída.
+ */
+aplicacao.delete('/api/salarios/:id', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const resultado = await bancoDeDados.transaction(async (transacao) => {
+            const alteracao = await transacao('historico_salarios').where({ id }).first();
+            if (!alteracao) return { status: 404 };
+            const ultimaRestante = await transacao('historico_salarios')
+                .where({ funcionario_id: alteracao.funcionario_id }).whereNot({ id })
+                .orderBy('vigencia_inicio', 'desc').first();
+            if (!ultimaRestante) return { status: 409 };
 
-// =============================================================
+            await transacao('historico_salarios').where({ id }).del();
+            const funcionarioAnterior = await transacao('funcionarios').where({ id: alteracao.funcionario_id }).first();
+            await transacao('funcionarios').where({ id: alteracao.funcionario_id })
+                .update({ salario_base: ultimaRestante.salario, updated_at: transacao.fn.now() });
+            const funcionario = await transacao('funcionarios').where({ id: alteracao.funcionario_id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'excluir', entidade: 'salario', entidadeId: alteracao.id, antes: alteracao
+            });
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'funcionario', entidadeId: funcionario.id, antes: funcionarioAnterior, depois: funcionario
+            });
+            return { status: 204 };
+        });
+
+        if (resultado.status === 404) {
+            return resposta.status(404).json({ error: 'Alteração salarial não encontrada.' });
+        }
+        if (resultado.status === 409) {
+            return resposta.status(409).json({ error: 'O histórico precisa manter ao menos um salário; altere o salário pelo cadastro do funcionário.' });
+        }
+        resposta.status(204).send();
+    } catch (erro) {
+        console.error('Erro ao excluir alteração salarial:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao excluir alteração salarial.' });
+    }
+});
+
+
+// =============================================================
+//        IMPORTAÇÃO E EXPORTAÇÃO DE FUNCIONÁRIOS (CSV/XLSX)
+// =============================================================
+
+/**
+ * Importa funcionários de uma planilha CSV ou XLSX enviada no corpo da requisição.
+ * Query: empresa_id (obrigatório), modo=inserir|atualizar (atualizar = upsert pelo CPF)
+ * e simular=true para apenas validar e pré-visualizar, sem gravar.
+ * A importação é tudo ou nada: havendo qualquer erro, nenhuma linha é gravada.
+ */
+aplicacao.post('/api/funcionarios/importar', podeOperar, express.raw({ type: () => true, limit: '10mb' }), async (requisicao, resposta) => {
+    try {
+        const { empresa_id, modo = 'inserir' } = requisicao.query;
+        const simular = requisicao.query.simular === 'true';
+
+        if (!['inserir', 'atualizar'].includes(modo)) {
+            return resposta.status(400).json({ error: 'O modo deve ser "inserir" ou "atualizar".' });
+        }
+        if (!Buffer.isBuffer(requisicao.body) || requisicao.body.length === 0) {
+            return resposta.status(400).json({ error: 'Envie um arquivo CSV ou XLSX no corpo da requisição.' });
+        }
+        const empresa = empresa_id && await bancoDeDados('empresas').where({ id: empresa_id }).first();
+        if (!empresa) {
+            return resposta.status(400).json({ error: 'Empresa não encontrada.' });
+        }
+
+        let leitura;
+        try {
+            leitura = await lerPlanilhaFuncionarios(requisicao.body);
+        } catch (erroLeitura) {
+            console.error('Erro ao ler planilha:', erroLeitura);
+            return resposta.status(400).json({ error: 'Não foi possível ler o arquivo. Envie um CSV ou XLSX válido.' });
+        }
+        if (leitura.erro) {
+            return resposta.status(400).json({ error: leitura.erro });
+        }
+
+        const { erros, operacoes } = await planejarImportacao(leitura.linhas, empresa, modo);
+
+        const relatorio = {
+            simulacao: simular,
+            total: leitura.linhas.length,
+            inseridos: operacoes.filter(operacao => operacao.acao === 'inserir').length,
+            atualizados: operacoes.filter(operacao => operacao.acao === 'atualizar').length,
+            erros,
+            linhas: operacoes.map(({ id, ...operacao }) => operacao)
+        };
+
+        if (simular) {
+            return resposta.status(200).json(relatorio);
+        }
+        if (erros.length > 0) {
+            return resposta.status(422).json({ error: 'A planilha contém erros; nenhum funcionário foi importado.', ...relatorio });
+        }
+
+        await gravarImportacao(operacoes, empresa, requisicao.usuario);
+
+        resposta.status(200).json(relatorio);
+    } catch (erro) {
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            return resposta.status(409).json({ error: 'Um dos CPFs foi cadastrado durante a importação. Tente novamente.' });
+        }
+        console.error('Erro ao importar funcionários:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao importar funcionários.' });
+    }
+});
+
+/**
+ * Exporta os funcionários (opcionalmente de uma empresa) em CSV ou XLSX,
+ * com as mesmas colunas aceitas na importação.
+ */
+aplicacao.get('/api/funcionarios/exportar', podeLer, async (requisicao, resposta) => {
+    try {
+        const { empresa_id, formato = 'csv' } = requisicao.query;
+        if (!['csv', 'xlsx'].includes(formato)) {
+            return resposta.status(400).json({ error: 'O formato deve ser "csv" ou "xlsx".' });
+        }
+
+        const consulta = bancoDeDados('funcionarios').select('nome_completo', 'cpf', 'salario_base', 'email', 'data_admissao', 'data_demissao')
+            .whereNull('desligado_em')
+            .orderBy('nome_completo');
+        if (empresa_id) {
+            consulta.where({ empresa_id });
+        }
+        const funcionarios = await consulta;
+
+        const pastaDeTrabalho = new ExcelJS.Workbook();
+        const planilha = pastaDeTrabalho.addWorksheet('Funcionários');
+        planilha.columns = [
+            { header: 'nome_completo', key: 'nome_completo', width: 40 },
+            { header: 'cpf', key: 'cpf', width: 16 },
+            { header: 'salario_base', key: 'salario_base', width: 14 },
+            { header: 'email', key: 'email', width: 32 },
+            { header: 'data_admissao', key: 'data_admissao', width: 14 },
+            { header: 'data_demissao', key: 'data_demissao', width: 14 }
+        ];
+
+        const nomeArquivo = `funcionarios.${formato}`;
+        let conteudo;
+        if (formato === 'xlsx') {
+            funcionarios.forEach(funcionario => planilha.addRow({
+                ...funcionario,
+                salario_base: converterValorNumerico(funcionario.salario_base)
+            }));
+            planilha.getColumn('salario_base').numFmt = '#,##0.00';
+            conteudo = Buffer.from(await pastaDeTrabalho.xlsx.writeBuffer());
+            resposta.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        } else {
+            // CSV no padrão do Excel em português: ";" como separador e vírgula decimal
+            funcionarios.forEach(funcionario => planilha.addRow({
+                ...funcionario,
+                salario_base: converterValorNumerico(funcionario.salario_base).toFixed(2).replace('.', ',')
+            }));
+            const csv = await pastaDeTrabalho.csv.writeBuffer({ formatterOptions: { delimiter: ';' } });
+            conteudo = Buffer.concat([Buffer.from('\uFEFF'), Buffer.from(csv)]);
+            resposta.type('text/csv; charset=utf-8');
+        }
+
+        resposta.set('Content-Disposition', `attachment; filename="${nomeArquivo}"`);
+        resposta.status(200).send(conteudo);
+    } catch (erro) {
+        console.error('Erro ao exportar funcionários:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao exportar funcionários.' });
+    }
+});
+
+
+// =============================================================
+//        API CRUD PARA LANÇAMENTOS (PROVENTOS E DESCONTOS)
+// =============================================================
+
+const TIPOS_LANCAMENTO = ['provento', 'desconto'];
+
+/**
+ * Valida os dados de um lançamento: período (competência), tipo, descrição e valor
+ * decimal não negativo (aceita "1.234,56"). Com `parcial`, só valida os campos
+ * informados (PUT). Retorna { dados, erros }, com as mensagens por campo.
+ */
+function validarLancamento(corpo, { parcial = false } = {}) {
+    const dados = {};
+    const erros = {};
+    const informado = (campo) => corpo[campo] !== undefined;
+
+    if (informado('periodo') || !parcial) {
+        const { mes, ano } = interpretarPeriodo(String(corpo.periodo ?? ''));
+        if (!mes) erros.periodo = 'Período inválido. Use o formato Mês/Ano.';
+        else Object.assign(dados, { mes, ano });
+    }
+
+    if (informado('tipo') || !parcial) {
+        if (!TIPOS_LANCAMENTO.includes(corpo.tipo)) erros.tipo = 'O tipo deve ser "provento" ou "desconto".';
+        else dados.tipo = corpo.tipo;
+    }
+
+    if (informado('descricao') || !parcial) {
+        const descricao = typeof corpo.descricao === 'string' ? corpo.descricao.trim() : '';
+        if (!descricao) erros.descricao = 'A descrição é obrigatória.';
+        else if (descricao.length > 255) erros.descricao = 'A descrição deve ter no máximo 255 caracteres.';
+        else dados.descricao = descricao;
+    }
+
+    if (informado('valor') || !parcial) {
+        const valor = interpretarValorMonetario(typeof corpo.valor === 'string' ? corpo.valor.trim() : corpo.valor);
+        if (valor === null) erros.valor = 'Informe um valor não negativo com até duas casas decimais (ex: 150,00).';
+        else dados.valor = valor;
+    }
+
+    return { dados, erros };
+}
+
+aplicacao.get('/api/funcionarios/:id/lancamentos', podeLer, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const consulta = bancoDeDados('lancamentos').where({ funcionario_id: id });
+
+        if (requisicao.query.periodo) {
+            const { mes, ano } = interpretarPeriodo(String(requisicao.query.periodo));
+            if (!mes) {
+                return resposta.status(400).json({ error: 'Período inválido. Use o formato Mês/Ano.' });
+            }
+            consulta.andWhere({ mes, ano });
+        }
+
+        const lancamentos = await consulta.orderBy([{ column: 'ano' }, { column: 'mes' }, { column: 'tipo', order: 'desc' }, { column: 'id' }]);
+        resposta.status(200).json(lancamentos);
+    } catch (erro) {
+        console.error('Erro ao buscar lançamentos:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar lançamentos.' });
+    }
+});
+
+aplicacao.post('/api/funcionarios/:id/lancamentos', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const { dados, erros } = validarLancamento(requisicao.body);
+        if (Object.keys(erros).length > 0) {
+            return responderErrosDeValidacao(resposta, erros);
+        }
+
+        const funcionario = await bancoDeDados('funcionarios').where({ id }).first();
+        if (!funcionario) {
+            return resposta.status(404).json({ error: 'Funcionário não encontrado.' });
+        }
+
+        const novoLancamento = await bancoDeDados.transaction(async (transacao) => {
+            const [lancamento] = await transacao('lancamentos')
+                .insert({ funcionario_id: funcionario.id, ...dados })
+                .returning('*');
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'criar', entidade: 'lancamento', entidadeId: lancamento.id, depois: lancamento
+            });
+            return lancamento;
+        });
+        resposta.status(201).json(novoLancamento);
+    } catch (erro) {
+        console.error('Erro ao adicionar lançamento:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao adicionar lançamento.' });
+    }
+});
+
+aplicacao.put('/api/lancamentos/:id', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const { dados: alteracoes, erros } = validarLancamento(requisicao.body, { parcial: true });
+        if (Object.keys(erros).length > 0) {
+            return responderErrosDeValidacao(resposta, erros);
+        }
+        if (Object.keys(alteracoes).length === 0) {
+            return resposta.status(400).json({ error: 'Nenhum campo informado para atualização.' });
+        }
+
+        const lancamentoAtualizado = await bancoDeDados.transaction(async (transacao) => {
+            const lancamentoAnterior = await transacao('lancamentos').where({ id }).first();
+            if (!lancamentoAnterior) return null;
+            await transacao('lancamentos').where({ id }).update(alteracoes);
+            const lancamento = await transacao('lancamentos').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'lancamento', entidadeId: lancamento.id, antes: lancamentoAnterior, depois: lancamento
+            });
+            return lancamento;
+        });
+        if (!lancamentoAtualizado) {
+            return resposta.status(404).json({ error: 'Lançamento não encontrado.' });
+        }
+        resposta.status(200).json(lancamentoAtualizado);
+    } catch (erro) {
+        console.error('Erro ao atualizar lançamento:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao atualizar lançamento.' });
+    }
+});
+
+aplicacao.delete('/api/lancamentos/:id', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const lancamentoRemovido = await bancoDeDados.transaction(async (transacao) => {
+            const lancamento = await transacao('lancamentos').where({ id }).first();
+            if (!lancamento) return null;
+            await transacao('lancamentos').where({ id }).del();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'excluir', entidade: 'lancamento', entidadeId: lancamento.id, antes: lancamento
+            });
+            return lancamento;
+        });
+        if (!lancamentoRemovido) {
+            return resposta.status(404).json({ error: 'Lançamento não encontrado.' });
+        }
+        resposta.status(204).send();
+    } catch (erro) {
+        console.error('Erro ao deletar lançamento:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao deletar lançamento.' });
+    }
+});
+
+
+// =============================================================
+//        API CRUD PARA AUSÊNCIAS (FALTAS NÃO REMUNERADAS)
+// =============================================================
+
+/**
+ * Valida os dados de uma ausência: início e fim (AAAA-MM-DD) e o motivo. Na
+ * atualização, `anterior` completa os campos não enviados. Retorna { dados } ou { erro }.
+ */
+function validarAusencia(corpo, anterior = null) {
+    const dados = {};
+    for (const [campo, rotulo] of [['inicio', 'início'], ['fim', 'fim']]) {
+        if (corpo[campo] === undefined && anterior) continue;
+        const data = interpretarData(String(corpo[campo] ?? ''));
+        if (!data) return { erro: `Data de ${rotulo} da ausência inválida.` };
+        dados[campo] = data;
+    }
+    if (corpo.motivo !== undefined || !anterior) {
+        const motivo = typeof corpo.motivo === 'string' ? corpo.motivo.trim() : '';
+        if (!motivo) return { erro: 'O motivo da ausência é obrigatório.' };
+        if (motivo.length > 255) return { erro: 'O motivo deve ter no máximo 255 caracteres.' };
+        dados.motivo = motivo;
+    }
+    if ((dados.inicio ?? anterior.inicio) > (dados.fim ?? anterior.fim)) {
+        return { erro: 'A data de início da ausência deve ser anterior à data de fim.' };
+    }
+    return { dados };
+}
+
+/**
+ * Lista as ausências de um funcionário; com `periodo` (competência), apenas as que
+ * tocam o mês informado.
+ */
+aplicacao.get('/api/funcionarios/:id/ausencias', podeLer, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const consulta = bancoDeDados('ausencias').where({ funcionario_id: id });
+
+        if (requisicao.query.periodo) {
+            const { periodo, erro } = validarPeriodo(String(requisicao.query.periodo));
+            if (erro) {
+                return resposta.status(400).json({ error: erro });
+            }
+            consulta.andWhere('inicio', '<=', periodo.fim).andWhere('fim', '>=', periodo.inicio);
+        }
+
+        resposta.status(200).json(await consulta.orderBy([{ column: 'inicio', order: 'desc' }, { column: 'id' }]));
+    } catch (erro) {
+        console.error('Erro ao buscar ausências:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar ausências.' });
+    }
+});
+
+aplicacao.post('/api/funcionarios/:id/ausencias', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { dados, erro } = validarAusencia(requisicao.body);
+        if (erro) {
+            return resposta.status(400).json({ error: erro });
+        }
+        const funcionario = await bancoDeDados('funcionarios').where({ id: requisicao.params.id }).first();
+        if (!funcionario) {
+            return resposta.status(404).json({ error: 'Funcionário não encontrado.' });
+        }
+
+        const novaAusencia = await bancoDeDados.transaction(async (transacao) => {
+            const [ausencia] = await transacao('ausencias').insert({ funcionario_id: funcionario.id, ...dados }).returning('*');
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'criar', entidade: 'ausencia', entidadeId: ausencia.id, depois: ausencia
+            });
+            return ausencia;
+        });
+        resposta.status(201).json(novaAusencia);
+    } catch (erro) {
+        console.error('Erro ao adicionar ausência:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao adicionar ausência.' });
+    }
+});
+
+aplicacao.put('/api/ausencias/:id', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const resultado = await bancoDeDados.transaction(async (transacao) => {
+            const ausenciaAnterior = await transacao('ausencias').where({ id }).first();
+            if (!ausenciaAnterior) return { status: 404 };
+            const { dados, erro } = validarAusencia(requisicao.body, ausenciaAnterior);
+            if (erro) return { status: 400, erro };
+            if (Object.keys(dados).length === 0) return { status: 400, erro: 'Nenhum campo informado para atualização.' };
+
+            await transacao('ausencias').where({ id }).update({ ...dados, updated_at: transacao.fn.now() });
+            const ausencia = await transacao('ausencias').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'ausencia', entidadeId: ausencia.id, antes: ausenciaAnterior, depois: ausencia
+            });
+            return { status: 200, ausencia };
+        });
+
+        if (resultado.status === 404) {
+            return resposta.status(404).json({ error: 'Ausência não encontrada.' });
+        }
+        if (resultado.status === 400) {
+            return resposta.status(400).json({ error: resultado.erro });
+        }
+        resposta.status(200).json(resultado.ausencia);
+    } catch (erro) {
+        console.error('Erro ao atualizar ausência:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao atualizar ausência.' });
+    }
+});
+
+aplicacao.delete('/api/ausencias/:id', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const ausenciaRemovida = await bancoDeDados.transaction(async (transacao) => {
+            const ausencia = await transacao('ausencias').where({ id }).first();
+            if (!ausencia) return null;
+            await transacao('ausencias').where({ id }).del();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'excluir', entidade: 'ausencia', entidadeId: ausencia.id, antes: ausencia
+            });
+            return ausencia;
+        });
+        if (!ausenciaRemovida) {
+            return resposta.status(404).json({ error: 'Ausência não encontrada.' });
+        }
+        resposta.status(204).send();
+    } catch (erro) {
+        console.error('Erro ao deletar ausência:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao deletar ausência.' });
+    }
+});
+
+
+// =============================================================
+//               API CRUD PARA MODELOS DE RECIBO
+// =============================================================
+
+// Dados fictícios usados na pré-visualização dos modelos
+const FUNCIONARIO_EXEMPLO = { nome_completo: 'Maria da Silva Souza', cpf: '123.456.789-09', salario_base: 2500 };
+const LANCAMENTOS_EXEMPLO = [
+    { tipo: 'provento', descricao: 'Horas extras', valor: 320.45 },
+    { tipo: 'desconto', descricao: 'INSS', valor: 218.82 }
+];
+
+/**
+ * Valida nome e conteúdo de um modelo. Retorna a mensagem de erro ou null.
+ */
+function validarModelo({ nome, conteudo_html }, parcial = false) {
+    if (!parcial || nome !== undefined) {
+        if (!nome || !String(nome).trim()) return 'O nome do modelo é obrigatório.';
+    }
+    if (!parcial || conteudo_html !== undefined) {
+        if (!conteudo_html || !String(conteudo_html).trim()) return 'O conteúdo HTML do modelo é obrigatório.';
+        const desconhecidos = encontrarPlaceholdersDesconhecidos(String(conteudo_html));
+        if (desconhecidos.length > 0) {
+            return `Placeholders desconhecidos: ${desconhecidos.map(chave => `{{${chave}}}`).join(', ')}.`;
+        }
+    }
+    return null;
+}
+
+aplicacao.get('/api/modelos/placeholders', podeLer, (requisicao, resposta) => {
+    resposta.status(200).json(PLACEHOLDERS_RECIBO);
+});
+
+aplicacao.get('/api/modelos', podeLer, async (requisicao, resposta) => {
+    try {
+        const modelos = await bancoDeDados('modelos_recibo')
+            .select('id', 'nome', 'padrao', 'created_at', 'updated_at')
+            .orderBy('nome');
+        resposta.status(200).json(modelos);
+    } catch (erro) {
+        console.error('Erro ao buscar modelos:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar modelos.' });
+    }
+});
+
+aplicacao.get('/api/modelos/:id', podeLer, async (requisicao, resposta) => {
+    try {
+        const modelo = await bancoDeDados('modelos_recibo').where({ id: requisicao.params.id }).first();
+        if (!modelo) {
+            return resposta.status(404).json({ error: 'Modelo não encontrado.' });
+        }
+        resposta.status(200).json(modelo);
+    } catch (erro) {
+        console.error('Erro ao buscar modelo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar modelo.' });
+    }
+});
+
+aplicacao.post('/api/modelos', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { nome, conteudo_html, padrao = false } = requisicao.body;
+        const erroValidacao = validarModelo({ nome, conteudo_html });
+        if (erroValidacao) {
+            return resposta.status(400).json({ error: erroValidacao });
+        }
+
+        const novoModelo = await bancoDeDados.transaction(async (transacao) => {
+            if (padrao) {
+                await transacao('modelos_recibo').update({ padrao: false });
+            }
+            const [modelo] = await transacao('modelos_recibo')
+                .insert({ nome: String(nome).trim(), conteudo_html, padrao: Boolean(padrao) })
+                .returning('*');
+            await registrarAuditoria(transacao, requisicao.usuario, { acao: 'criar', entidade: 'modelo', entidadeId: modelo.id, depois: modelo });
+            return modelo;
+        });
+        resposta.status(201).json(novoModelo);
+    } catch (erro) {
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            return resposta.status(409).json({ error: 'Já existe um modelo com este nome.' });
+        }
+        console.error('Erro ao adicionar modelo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao adicionar modelo.' });
+    }
+});
+
+aplicacao.put('/api/modelos/:id', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const { nome, conteudo_html, padrao } = requisicao.body;
+        const erroValidacao = validarModelo({ nome, conteudo_html }, true);
+        if (erroValidacao) {
+            return resposta.status(400).json({ error: erroValidacao });
+        }
+
+        const alteracoes = { updated_at: bancoDeDados.fn.now() };
+        if (nome !== undefined) alteracoes.nome = String(nome).trim();
+        if (conteudo_html !== undefined) alteracoes.conteudo_html = conteudo_html;
+
+        const modeloAtual = await bancoDeDados('modelos_recibo').where({ id }).first();
+        if (!modeloAtual) {
+            return resposta.status(404).json({ error: 'Modelo não encontrado.' });
+        }
+        if (padrao === false && modeloAtual.padrao) {
+            return resposta.status(409).json({ error: 'Defina outro modelo como padrão antes de desmarcar este.' });
+        }
+
+        const modeloAtualizado = await bancoDeDados.transaction(async (transacao) => {
+            if (padrao === true) {
+                await transacao('modelos_recibo').update({ padrao: false });
+                alteracoes.padrao = true;
+            }
+            await transacao('modelos_recibo').where({ id }).update(alteracoes);
+            const modelo = await transacao('modelos_recibo').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'modelo', entidadeId: modelo.id, antes: modeloAtual, depois: modelo
+            });
+            return modelo;
+        });
+        resposta.status(200).json(modeloAtualizado);
+    } catch (erro) {
+        if (erro.code === '23505' || erro.code === 'SQLITE_CONSTRAINT') {
+            return resposta.status(409).json({ error: 'Já existe um modelo com este nome.' });
+        }
+        console.error('Erro ao atualizar modelo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao atualizar modelo.' });
+    }
+});
+
+aplicacao.delete('/api/modelos/:id', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const modelo = await bancoDeDados('modelos_recibo').where({ id: requisicao.params.id }).first();
+        if (!modelo) {
+            return resposta.status(404).json({ error: 'Modelo não encontrado.' });
+        }
+        if (modelo.padrao) {
+            return resposta.status(409).json({ error: 'O modelo padrão não pode ser excluído.' });
+        }
+        await bancoDeDados.transaction(async (transacao) => {
+            await transacao('modelos_recibo').where({ id: modelo.id }).del();
+            await registrarAuditoria(transacao, requisicao.usuario, { acao: 'excluir', entidade: 'modelo', entidadeId: modelo.id, antes: modelo });
+        });
+        resposta.status(204).send();
+    } catch (erro) {
+        console.error('Erro ao deletar modelo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao deletar modelo.' });
+    }
+});
+
+/**
+ * Renderiza um modelo (salvo ou ainda em edição) com dados fictícios de funcionário
+ * e os dados reais da empresa informada, para a pré-visualização no editor.
+ */
+aplicacao.post('/api/modelos/visualizar', podeLer, async (requisicao, resposta) => {
+    try {
+        const { conteudo_html, empresa_id } = requisicao.body;
+        const erroValidacao = validarModelo({ nome: 'pré-visualização', conteudo_html });
+        if (erroValidacao) {
+            return resposta.status(400).json({ error: erroValidacao });
+        }
+
+        const empresa = (empresa_id && await bancoDeDados('empresas').where({ id: empresa_id }).first())
+            || await bancoDeDados('empresas').orderBy('id').first()
+            || { nome: 'Empresa Exemplo Ltda', cnpj: '00.000.000/0001-00', cidade: 'Brasília', endereco: '' };
+
+        const hoje = new Date();
+        const html = preencherModelo(String(conteudo_html), montarValoresRecibo({
+            empresa,
+            funcionario: FUNCIONARIO_EXEMPLO,
+            valores: calcularValoresRecibo(FUNCIONARIO_EXEMPLO, LANCAMENTOS_EXEMPLO),
+            resultadoPeriodo: validarPeriodo(`${hoje.getMonth() + 1}/${hoje.getFullYear()}`).periodo,
+            numeroRecibo: 1,
+            dataEmissao: hoje,
+            codigoVerificacao: 'ABCD-EFGH-JKLM',
+            ...await montarVerificacao(obterUrlPublica(requisicao), 'ABCD-EFGH-JKLM'),
+            titularAssinatura: empresa.certificado_titular || null
+        }));
+        resposta.status(200).type('html').send(html);
+    } catch (erro) {
+        console.error('Erro ao pré-visualizar modelo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao pré-visualizar modelo.' });
+    }
+});
+
+
+// =============================================================
+//        GERAÇÃO DE RECIBOS EM SEGUNDO PLANO (TAREFAS)
+// =============================================================
+
+// Tarefas de geração em memória, indexadas pelo id. Cada tarefa usa sua própria
+// subpasta em temp_files, para que gerações simultâneas não apaguem arquivos umas das outras.
+const tarefasGeracao = new Map();
+const eventosGeracao = new EventEmitter();
+eventosGeracao.setMaxListeners(0);
+
+// Tempo que uma tarefa finalizada (e seu ZIP) fica disponível antes de ser descartada
+const TEMPO_EXPIRACAO_TAREFA_MS = 60 * 60 * 1000;
+
+/**
+ * Retorna a representação pública de uma tarefa de geração.
+ */
+function resumirTarefa(tarefa) {
+    return {
+        id: tarefa.id,
+        status: tarefa.status,
+        periodo: tarefa.periodo,
+        competencia: tarefa.competencia,
+        data_pagamento: tarefa.data_pagamento,
+        empresa_id: tarefa.empresa_id,
+        modelo_id: tarefa.modelo_id,
+        formato: tarefa.formato,
+        assinado: tarefa.assinado,
+        total: tarefa.total,
+        concluidos: tarefa.concluidos,
+        falhas: tarefa.falhas,
+        recibos: tarefa.recibos,
+        arquivo: tarefa.arquivo,
+        erro: tarefa.erro,
+        criadaEm: tarefa.criadaEm,
+        finalizadaEm: tarefa.finalizadaEm
+    };
+}
+
+/**
+ * Atualiza uma tarefa e notifica os ouvintes (Server-Sent Events) sobre o novo estado.
+ */
+function atualizarTarefa(tarefa, alteracoes) {
+    Object.assign(tarefa, alteracoes);
+    eventosGeracao.emit(tarefa.id, resumirTarefa(tarefa));
+}
+
+/**
+ * Busca uma tarefa de geração pertencente ao usuário logado. Tarefas de outros
+ * usuários são tratadas como inexistentes, para não revelar seus arquivos.
+ */
+function buscarTarefaDoUsuario(requisicao) {
+    const tarefa = tarefasGeracao.get(requisicao.params.id);
+    return tarefa && tarefa.usuario_id === requisicao.usuario.id ? tarefa : null;
+}
+
+/**
+ * Remove tarefas expiradas e as respectivas pastas temporárias.
+ */
+function limparTarefasExpiradas() {
+    const limite = Date.now() - TEMPO_EXPIRACAO_TAREFA_MS;
+    for (const tarefa of tarefasGeracao.values()) {
+        if (tarefa.finalizadaEm && new Date(tarefa.finalizadaEm).getTime() < limite) {
+            tarefasGeracao.delete(tarefa.id);
+            fs.rmSync(path.join(diretorioTemporario, tarefa.id), { recursive: true, force: true });
+        }
+    }
+}
+
+/**
+ * Gera os recibos de uma tarefa: renderiza um PDF por funcionário, registra cada
+ * recibo no histórico e compacta tudo em um ZIP na pasta da tarefa (ou, no formato
+ * 'pdf', disponibiliza diretamente o PDF do único funcionário selecionado).
+ * Até LIMITE_PAGINAS_PDF recibos são renderizados ao mesmo tempo, no navegador
+ * compartilhado, e os PDFs vão da memória direto para o ZIP.
+ * Falhas de um funcionário são registradas na tarefa sem interromper os demais.
+ * Com `assinante` (certificado da empresa), cada PDF é assinado digitalmente.
+ */
+async function processarGeracao(tarefa, resultadoPeriodo, empresa, modelo, listaFuncionarios, assinante = null) {
+    const diretorioTarefa = path.join(diretorioTemporario, tarefa.id);
+    let archive;
+    let recibosEmitidos = [];
+
+    try {
+        fs.mkdirSync(diretorioTarefa, { recursive: true });
+
+        const nomeArquivoZip = `Recibos_${resultadoPeriodo.stringSanitizada}.zip`;
+        let zipFinalizado;
+        let ultimoArquivoPdf;
+
+        if (tarefa.formato === 'zip') {
+            const output = fs.createWriteStream(path.join(diretorioTarefa, nomeArquivoZip));
+            archive = archiver('zip', { zlib: { level: 9 } });
+            zipFinalizado = new Promise((resolve, reject) => {
+                output.on('close', resolve);
+                archive.on('error', reject);
+            });
+            // Evita rejeição não tratada caso a tarefa falhe antes de aguardar o ZIP
+            zipFinalizado.catch(() => {});
+            archive.pipe(output);
+        }
+
+        atualizarTarefa(tarefa, { status: 'processando' });
+
+        ({ recibos: recibosEmitidos } = await gerarRecibos({
+            resultadoPeriodo, empresa, modelo, funcionarios: listaFuncionarios, assinante,
+            urlPublica: tarefa.urlPublica,
+            aoGerarRecibo: async ({ nomeArquivo, conteudoPdf }) => {
+                if (archive) {
+                    archive.append(conteudoPdf, { name: nomeArquivo });
+                } else {
+                    // No formato 'pdf' o próprio arquivo é o resultado da tarefa
+                    fs.writeFileSync(path.join(diretorioTarefa, nomeArquivo), conteudoPdf);
+                }
+                ultimoArquivoPdf = nomeArquivo;
+                atualizarTarefa(tarefa, { concluidos: tarefa.concluidos + 1 });
+            },
+            aoFalharRecibo: (falha, erroFuncionario) => {
+                console.error(`Erro ao gerar recibo de ${falha.nome_completo}:`, erroFuncionario);
+                atualizarTarefa(tarefa, { falhas: [...tarefa.falhas, falha] });
+            }
+        }));
+
+        if (tarefa.concluidos === 0) {
+            throw new Error('Nenhum recibo pôde ser gerado.');
+        }
+
+        if (archive) {
+            await archive.finalize();
+            await zipFinalizado;
+            console.log(`Arquivo ZIP criado: ${archive.pointer()} bytes totais.`);
+        }
+
+        atualizarTarefa(tarefa, {
+            status: 'concluida',
+            recibos: recibosEmitidos,
+            arquivo: archive ? nomeArquivoZip : ultimoArquivoPdf,
+            finalizadaEm: new Date().toISOString()
+        });
+    } catch (erro) {
+        console.error('Erro ao gerar recibos:', erro);
+        // A limpeza pode falhar pelo mesmo motivo da geração (ex: banco fora do ar); a tarefa termina em erro assim mesmo
+        try {
+            if (archive) {
+                archive.abort();
+            }
+            // Remove do histórico os recibos desta execução, já que o arquivo não foi entregue
+            await removerRecibos(recibosEmitidos);
+            fs.rmSync(diretorioTarefa, { recursive: true, force: true });
+        } catch (erroLimpeza) {
+            console.error('Erro ao limpar a geração que falhou:', erroLimpeza);
+        }
+        atualizarTarefa(tarefa, {
+            status: 'erro',
+            erro: 'Falha interna ao gerar os recibos.',
+            finalizadaEm: new Date().toISOString()
+        });
+    }
+
+    await registrarAuditoria(bancoDeDados, { id: tarefa.usuario_id, nome: tarefa.usuario_nome }, {
+        acao: 'gerar_recibos',
+        entidade: 'geracao',
+        entidadeId: tarefa.id,
+        depois: { ...resumirTarefa(tarefa), recibos: tarefa.recibos }
+    }).catch(erroAuditoria => console.error('Erro ao registrar a geração na auditoria:', erroAuditoria));
+}
+
+/**
+ * Gera recibos do `periodo` (a competência, como "10/2025", ou um objeto
+ * { competencia, inicio, fim, data_pagamento }; ver validarPeriodo) para todos os
+ * funcionários da empresa informada em `empresa_id` ou apenas para os ids
+ * informados em `funcionarios`, usando o modelo `modelo_id` (ou o modelo padrão).
+ * Com `formato: 'pdf'` (apenas um funcionário) o resultado da tarefa é o próprio
+ * PDF em vez de um ZIP. `assinar` define se os PDFs são assinados com o
+ * certificado da empresa (por padrão, sempre que houver um configurado).
+ */
+aplicacao.post('/gerar-recibos', podeOperar, async (requisicao, resposta) => {
+    const { periodo: periodoInformado, empresa_id, modelo_id, funcionarios: idsSelecionados, formato = 'zip', assinar } = requisicao.body;
+    if (!periodoInformado) {
+        return resposta.status(400).json({ error: 'O período de referência é obrigatório.' });
+    }
+    const { periodo, erro: erroPeriodo } = validarPeriodo(periodoInformado);
+    if (erroPeriodo) {
+        return resposta.status(400).json({ error: erroPeriodo });
+    }
+    if (!empresa_id) {
+        return resposta.status(400).json({ error: 'A empresa emissora é obrigatória.' });
+    }
+    if (!['zip', 'pdf'].includes(formato)) {
+        return resposta.status(400).json({ error: 'O formato deve ser "zip" ou "pdf".' });
+    }
+    if (assinar !== undefined && typeof assinar !== 'boolean') {
+        return resposta.status(400).json({ error: 'O campo "assinar" deve ser verdadeiro ou falso.' });
+    }
+    if (idsSelecionados !== undefined && (!Array.isArray(idsSelecionados) || idsSelecionados.length === 0
+        || !idsSelecionados.every(id => Number.isInteger(Number(id)) && Number(id) > 0))) {
+        return resposta.status(400).json({ error: 'Informe uma lista de ids de funcionários válida.' });
+    }
+
+    try {
+        limparTarefasExpiradas();
+
+        const preparacao = await prepararGeracao({ periodo, empresaId: empresa_id, modeloId: modelo_id, idsSelecionados, formato, assinar });
+        if (preparacao.erro) {
+            return resposta.status(preparacao.erro.status).json({ error: preparacao.erro.mensagem });
+        }
+        const { empresa, modelo, funcionarios: listaFuncionarios, assinante } = preparacao;
+
+        const tarefa = {
+            id: crypto.randomUUID(),
+            usuario_id: requisicao.usuario.id,
+            usuario_nome: requisicao.usuario.nome,
+            urlPublica: obterUrlPublica(requisicao),
+            status: 'pendente',
+            periodo: periodo.textoFormatado,
+            competencia: periodo.competencia,
+            data_pagamento: periodo.dataPagamento,
+            empresa_id: empresa.id,
+            modelo_id: modelo.id,
+            formato,
+            assinado: Boolean(assinante),
+            total: listaFuncionarios.length,
+            concluidos: 0,
+            falhas: [],
+            recibos: [],
+            arquivo: null,
+            erro: null,
+            criadaEm: new Date().toISOString(),
+            finalizadaEm: null
+        };
+        tarefasGeracao.set(tarefa.id, tarefa);
+
+        // A geração continua em segundo plano; o progresso é consultado pelas rotas abaixo
+        processarGeracao(tarefa, periodo, empresa, modelo, listaFuncionarios, assinante).catch((erroGeracao) => {
+            console.error('Erro inesperado na geração de recibos:', erroGeracao);
+            atualizarTarefa(tarefa, { status: 'erro', erro: 'Falha interna ao gerar os recibos.', finalizadaEm: new Date().toISOString() });
+        });
+
+        resposta.status(202).json({
+            message: 'Geração de recibos iniciada.',
+            jobId: tarefa.id,
+            status: `/gerar-recibos/${tarefa.id}`,
+            eventos: `/gerar-recibos/${tarefa.id}/eventos`,
+            arquivo: `/gerar-recibos/${tarefa.id}/arquivo`
+        });
+    } catch (erro) {
+        console.error('Erro ao iniciar geração de recibos:', erro);
+        resposta.status(500).json({ error: 'Falha interna ao iniciar a geração dos recibos.' });
+    }
+});
+
+aplicacao.get('/gerar-recibos/:id', podeOperar, (requisicao, resposta) => {
+    const tarefa = buscarTarefaDoUsuario(requisicao);
+    if (!tarefa) {
+        return resposta.status(404).json({ error: 'Tarefa de geração não encontrada.' });
+    }
+    resposta.status(200).json(resumirTarefa(tarefa));
+});
+
+aplicacao.get('/gerar-recibos/:id/eventos', podeOperar, (requisicao, resposta) => {
+    const tarefa = buscarTarefaDoUsuario(requisicao);
+    if (!tarefa) {
+        return resposta.status(404).json({ error: 'Tarefa de geração não encontrada.' });
+    }
+
+    resposta.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    resposta.flushHeaders();
+
+    const enviarEstado = (estado) => {
+        resposta.write(`data: ${JSON.stringify(estado)}\n\n`);
+        if (estado.status === 'concluida' || estado.status === 'erro') {
+            encerrar();
+        }
+    };
+    const encerrar = () => {
+        eventosGeracao.off(tarefa.id, enviarEstado);
+        resposta.end();
+    };
+
+    eventosGeracao.on(tarefa.id, enviarEstado);
+    requisicao.on('close', () => eventosGeracao.off(tarefa.id, enviarEstado));
+    enviarEstado(resumirTarefa(tarefa));
+});
+
+/**
+ * Entrega o ZIP (ou PDF) gerado. Apenas o usuário que iniciou a tarefa pode baixá-lo.
+ */
+aplicacao.get('/gerar-recibos/:id/arquivo', podeOperar, (requisicao, resposta) => {
+    const tarefa = buscarTarefaDoUsuario(requisicao);
+    if (!tarefa) {
+        return resposta.status(404).json({ error: 'Tarefa de geração não encontrada.' });
+    }
+    if (tarefa.status !== 'concluida') {
+        return resposta.status(409).json({ error: 'A geração ainda não foi concluída.' });
+    }
+    resposta.download(path.join(diretorioTemporario, tarefa.id, tarefa.arquivo), tarefa.arquivo, (erro) => {
+        if (erro && !resposta.headersSent) {
+            console.error('Erro ao enviar arquivo gerado:', erro);
+            resposta.status(404).json({ error: 'Arquivo não encontrado. Gere os recibos novamente.' });
+        }
+    });
+});
+
+
+// =============================================================
+//              HISTÓRICO DE RECIBOS EMITIDOS
+// =============================================================
+
+// Colunas de metadados do recibo (sem o conteúdo binário do PDF)
+const COLUNAS_RECIBO = [
+    'id', 'funcionario_id', 'empresa_id', 'empresa_nome', 'empresa_cnpj', 'nome_completo', 'cpf', 'valor', 'total_proventos', 'total_descontos', 'mes', 'ano',
+    'periodo', 'periodo_inicio', 'periodo_fim', 'data_pagamento', 'data_emissao', 'nome_arquivo', 'hash_arquivo', 'codigo_verificacao', 'assinado',
+    'status_confirmacao', 'confirmado_em', 'confirmado_nome', 'confirmado_ip'
+];
+
+aplicacao.get('/api/recibos', podeLer, async (requisicao, resposta) => {
+    try {
+        const { empresa_id, funcionario_id, periodo } = requisicao.query;
+        const consulta = bancoDeDados('recibos').select(COLUNAS_RECIBO);
+
+        if (empresa_id) {
+            consulta.where({ empresa_id });
+        }
+        if (funcionario_id) {
+            consulta.where({ funcionario_id });
+        }
+        if (periodo) {
+            const { mes, ano } = interpretarPeriodo(String(periodo));
+            if (!mes) {
+                return resposta.status(400).json({ error: 'Período inválido. Use o formato Mês/Ano.' });
+            }
+            consulta.where({ mes, ano });
+        }
+
+        const recibos = await consulta.orderBy('id', 'desc');
+
+        // Situação do último envio por e-mail de cada recibo
+        const ultimosEnvios = await bancoDeDados('envios_email')
+            .select('id', 'recibo_id', 'destinatario', 'status', 'tentativas', 'ultimo_erro', 'enviado_em')
+            .whereIn('id', bancoDeDados('envios_email').max('id').whereIn('recibo_id', recibos.map(recibo => recibo.id)).groupBy('recibo_id'));
+        const envioPorRecibo = new Map(ultimosEnvios.map(envio => [Number(envio.recibo_id), envio]));
+
+        resposta.status(200).json(recibos.map(recibo => ({
+            ...recibo,
+            numero: formatarNumeroRecibo(recibo.id),
+            envio_email: envioPorRecibo.get(Number(recibo.id)) || null
+        })));
+    } catch (erro) {
+        console.error('Erro ao buscar recibos:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar recibos.' });
+    }
+});
+
+aplicacao.get('/api/recibos/:id', podeLer, async (requisicao, resposta) => {
+    try {
+        const recibo = await bancoDeDados('recibos').select(COLUNAS_RECIBO).where({ id: requisicao.params.id }).first();
+        if (!recibo) {
+            return resposta.status(404).json({ error: 'Recibo não encontrado.' });
+        }
+        resposta.status(200).json({ ...recibo, numero: formatarNumeroRecibo(recibo.id) });
+    } catch (erro) {
+        console.error('Erro ao buscar recibo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar recibo.' });
+    }
+});
+
+/**
+ * Baixa o PDF do recibo. Com ?versao=confirmada, baixa a versão com o carimbo
+ * de confirmação do funcionário.
+ */
+aplicacao.get('/api/recibos/:id/pdf', podeLer, async (requisicao, resposta) => {
+    try {
+        const confirmada = requisicao.query.versao === 'confirmada';
+        const recibo = await bancoDeDados('recibos')
+            .select('nome_arquivo', 'hash_arquivo', 'conteudo_pdf', 'hash_arquivo_confirmado', 'conteudo_pdf_confirmado')
+            .where({ id: requisicao.params.id })
+            .first();
+        const conteudo = recibo && (confirmada ? recibo.conteudo_pdf_confirmado : recibo.conteudo_pdf);
+        if (!conteudo) {
+            return resposta.status(404).json({
+                error: recibo && confirmada ? 'O funcionário ainda não confirmou o recebimento deste recibo.' : 'Recibo não encontrado.'
+            });
+        }
+
+        const nomeArquivo = confirmada ? recibo.nome_arquivo.replace(/\.pdf$/i, '_confirmado.pdf') : recibo.nome_arquivo;
+        resposta.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${nomeArquivo}"`,
+            'X-Hash-SHA256': confirmada ? recibo.hash_arquivo_confirmado : recibo.hash_arquivo
+        });
+        resposta.status(200).send(Buffer.from(conteudo));
+    } catch (erro) {
+        console.error('Erro ao baixar recibo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao baixar recibo.' });
+    }
+});
+
+
+// =============================================================
+//              RELATÓRIOS MENSAIS DA FOLHA
+// =============================================================
+
+const TIPOS_CONTEUDO_RELATORIO = {
+    pdf: { tipo: 'application/pdf', extensao: 'pdf' },
+    csv: { tipo: 'text/csv; charset=utf-8', extensao: 'csv' },
+    contabil: { tipo: 'text/plain; charset=iso-8859-1', extensao: 'txt' }
+};
+
+/**
+ * Relatório da folha de uma competência, a partir dos recibos emitidos: total pago,
+ * funcionários, valores por funcionário e por empresa.
+ * Query: periodo (obrigatório, ex: 10/2025), empresa_id (opcional, todas por padrão)
+ * e formato=json|pdf|csv|contabil (padrão json).
+ */
+aplicacao.get('/api/relatorios/folha', podeLer, async (requisicao, resposta) => {
+    try {
+        const { periodo, empresa_id, formato = 'json' } = requisicao.query;
+        if (!FORMATOS_RELATORIO.includes(formato)) {
+            return resposta.status(400).json({ error: 'O formato deve ser "json", "pdf", "csv" ou "contabil".' });
+        }
+        const { mes, ano } = interpretarPeriodo(String(periodo ?? ''));
+        if (!mes) {
+            return resposta.status(400).json({ error: 'Período inválido. Use o formato Mês/Ano.' });
+        }
+        const empresa = empresa_id ? await bancoDeDados('empresas').select('id', 'nome').where({ id: empresa_id }).first() : null;
+        if (empresa_id && !empresa) {
+            return resposta.status(404).json({ error: 'Empresa não encontrada.' });
+        }
+
+        const relatorio = await montarRelatorioFolha({ mes, ano, empresaId: empresa ? empresa.id : null });
+        if (relatorio.totais.recibos === 0) {
+            return resposta.status(404).json({ error: `Nenhum recibo emitido na competência ${relatorio.competencia}.` });
+        }
+        if (formato === 'json') {
+            return resposta.status(200).json(relatorio);
+        }
+
+        let conteudo;
+        if (formato === 'pdf') {
+            conteudo = await renderizarPdf(gerarHtmlFolha(relatorio));
+        } else if (formato === 'csv') {
+            conteudo = await gerarCsvFolha(relatorio);
+        } else {
+            const exportacao = gerarExportacaoContabil(relatorio);
+            if (exportacao.erro) {
+                return resposta.status(400).json({ error: exportacao.erro });
+            }
+            conteudo = exportacao.conteudo;
+        }
+
+        const { tipo, extensao } = TIPOS_CONTEUDO_RELATORIO[formato];
+        const nomeArquivo = [
+            formato === 'contabil' ? 'lancamentos-folha' : 'folha',
+            relatorio.competencia.replace('/', '-'),
+            empresa ? sanitizarNomeArquivo(empresa.nome) : null
+        ].filter(Boolean).join('-');
+        resposta.set({
+            'Content-Type': tipo,
+            'Content-Disposition': `attachment; filename="${nomeArquivo}.${extensao}"`
+        });
+        resposta.status(200).send(conteudo);
+    } catch (erro) {
+        console.error('Erro ao gerar relatório da folha:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao gerar relatório da folha.' });
+    }
+});
+
+
+// =============================================================
+//        VERIFICAÇÃO PÚBLICA DE AUTENTICIDADE DOS RECIBOS
+// =============================================================
+
+/**
+ * Dados do recibo exibidos publicamente na verificação (com o CPF mascarado).
+ */
+function resumirReciboVerificado(recibo) {
+    return {
+        numero: formatarNumeroRecibo(recibo.id),
+        codigo_verificacao: recibo.codigo_verificacao,
+        nome_completo: recibo.nome_completo,
+        cpf_mascarado: mascararCpf(recibo.cpf),
+        empresa_nome: recibo.empresa_nome,
+        empresa_cnpj: recibo.empresa_cnpj,
+        periodo: recibo.periodo,
+        valor: recibo.valor,
+        data_emissao: recibo.data_emissao,
+        assinado: Boolean(recibo.assinado),
+        status_confirmacao: recibo.status_confirmacao
+    };
+}
+
+/**
+ * Consulta um recibo pelo código de verificação impresso nele.
+ */
+aplicacao.get('/api/verificacao/:codigo', async (requisicao, resposta) => {
+    try {
+        const codigo = normalizarCodigoVerificacao(requisicao.params.codigo);
+        const recibo = codigo && await bancoDeDados('recibos').where({ codigo_verificacao: codigo }).first();
+        if (!recibo) {
+            return resposta.status(404).json({ autentico: false, error: 'Nenhum recibo encontrado com este código.' });
+        }
+        resposta.status(200).json({
+            autentico: true,
+            recibo: resumirReciboVerificado(recibo),
+            assinatura: recibo.assinado && recibo.conteudo_pdf
+                ? verificarAssinaturaPdf(Buffer.from(recibo.conteudo_pdf), recibo.hash_certificado)
+                : { assinado: false }
+        });
+    } catch (erro) {
+        console.error('Erro ao verificar código do recibo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao verificar o recibo.' });
+    }
+});
+
+const modeloPaginaVerificacao = fs.readFileSync(path.join(__dirname, 'views', 'verificacao.html'), 'utf-8');
+
+/**
+ * Página pública aberta pelo QR code do recibo: mostra se o código é de um recibo
+ * emitido e os dados principais dele, com o CPF mascarado.
+ */
+aplicacao.get('/verificar/:codigo', async (requisicao, resposta) => {
+    try {
+        const codigo = normalizarCodigoVerificacao(requisicao.params.codigo);
+        const recibo = codigo && await bancoDeDados('recibos').where({ codigo_verificacao: codigo }).first();
+
+        const valores = recibo
+            ? { SITUACAO: 'authentic', TITULO: 'Recibo autêntico', MENSAGEM: 'Este recibo foi emitido pelo sistema com os dados abaixo.' }
+            : { SITUACAO: 'not-authentic', TITULO: 'Recibo não encontrado', MENSAGEM: 'Nenhum recibo foi emitido com este código. Confira o código impresso no recibo.' };
+
+        let detalhes = '';
+        if (recibo) {
+            const resumo = resumirReciboVerificado(recibo);
+            detalhes = [
+                ['Código', resumo.codigo_verificacao],
+                ['Recibo', `Nº ${resumo.numero}`],
+                ['Funcionário', resumo.nome_completo],
+                ['CPF', resumo.cpf_mascarado],
+                ['Empresa', `${resumo.empresa_nome} (CNPJ ${resumo.empresa_cnpj})`],
+                ['Período', resumo.periodo],
+                ['Valor líquido', formatarMoeda(converterValorNumerico(resumo.valor))],
+                ['Emissão', new Date(resumo.data_emissao).toLocaleDateString('pt-BR')],
+                ['Assinatura digital', resumo.assinado ? 'Sim' : 'Não'],
+                ['Confirmação do funcionário', recibo.status_confirmacao === 'assinado'
+                    ? `Confirmado em ${new Date(recibo.confirmado_em).toLocaleDateString('pt-BR')}`
+                    : 'Pendente']
+            ].map(([rotulo, valor]) => `\n                <dt>${escaparHtml(rotulo)}</dt><dd>${escaparHtml(valor)}</dd>`).join('');
+        }
+
+        const html = preencherModelo(modeloPaginaVerificacao, valores).replace('{{DETALHES}}', detalhes);
+        resposta.status(recibo ? 200 : 404).type('html').send(html);
+    } catch (erro) {
+        console.error('Erro ao exibir verificação do recibo:', erro);
+        resposta.status(500).send('Erro interno ao verificar o recibo.');
+    }
+});
+
+/**
+ * Verifica um PDF enviado no corpo da requisição: ele é autêntico e inalterado
+ * quando é idêntico (SHA-256) a um recibo emitido. A assinatura digital embutida,
+ * se houver, é conferida contra o certificado gravado no recibo ao assiná-lo.
+ */
+aplicacao.post('/api/verificacao', express.raw({ type: () => true, limit: '10mb' }), async (requisicao, resposta) => {
+    try {
+        if (!Buffer.isBuffer(requisicao.body) || !requisicao.body.subarray(0, 5).equals(Buffer.from('%PDF-'))) {
+            return resposta.status(400).json({ error: 'Envie o arquivo PDF do recibo.' });
+        }
+
+        const hashArquivo = crypto.createHash('sha256').update(requisicao.body).digest('hex');
+        // O arquivo pode ser a versão original ou a carimbada pela confirmação do funcionário
+        const recibo = await bancoDeDados('recibos')
+            .where({ hash_arquivo: hashArquivo })
+            .orWhere({ hash_arquivo_confirmado: hashArquivo })
+            .first();
+        // Sem recibo correspondente não há certificado gravado para conferir a assinatura:
+        // um certificado qualquer embutido no arquivo não prova nada
+        if (!recibo) {
+            return resposta.status(200).json({
+                autentico: false,
+                motivo: 'Este arquivo não corresponde a nenhum recibo emitido, ou foi alterado.'
+            });
+        }
+        const hashCertificado = recibo.hash_arquivo === hashArquivo ? recibo.hash_certificado : recibo.hash_certificado_confirmado;
+        const assinatura = verificarAssinaturaPdf(requisicao.body, hashCertificado);
+        resposta.status(200).json({ autentico: true, recibo: resumirReciboVerificado(recibo), assinatura });
+    } catch (erro) {
+        console.error('Erro ao verificar arquivo do recibo:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao verificar o recibo.' });
+    }
+});
+
+
+// =============================================================
+//       CONFIRMAÇÃO DE RECEBIMENTO PELO PRÓPRIO FUNCIONÁRIO
+// =============================================================
+
+const modeloPaginaConfirmacao = fs.readFileSync(path.join(__dirname, 'views', 'confirmacao.html'), 'utf-8');
+const FORMATO_TOKEN_CONFIRMACAO = /^[A-Za-z0-9_-]{43}$/;
+
+function hashTokenConfirmacao(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Cria um token de confirmação e o link correspondente, ainda sem gravá-lo no recibo.
+ */
+function criarLinkConfirmacao(urlPublica) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, url: `${urlPublica}/confirmar/${token}` };
+}
+
+/**
+ * Grava o token como o link de confirmação do recibo. Só o hash do token fica no
+ * banco, por isso cada gravação invalida o link anterior.
+ */
+async function gravarTokenConfirmacao(executor, reciboId, token) {
+    await executor('recibos').where({ id: reciboId }).update({ token_confirmacao_hash: hashTokenConfirmacao(token) });
+}
+
+/**
+ * Gera um novo link de confirmação para o recibo, invalidando o anterior.
+ */
+async function gerarLinkConfirmacao(executor, reciboId, urlPublica) {
+    const link = criarLinkConfirmacao(urlPublica);
+    await gravarTokenConfirmacao(executor, reciboId, link.token);
+    return link.url;
+}
+
+async function buscarReciboPorToken(token) {
+    if (!FORMATO_TOKEN_CONFIRMACAO.test(token)) return null;
+    return bancoDeDados('recibos').where({ token_confirmacao_hash: hashTokenConfirmacao(token) }).first();
+}
+
+/**
+ * Normaliza um nome para comparação: sem acentos, maiúsculas ou espaços repetidos.
+ */
+function normalizarNomeParaComparacao(nome) {
+    return String(nome ?? '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+}
+
+/**
+ * Gera a versão do PDF com o carimbo de ciência do funcionário no rodapé da última
+ * página. As páginas são copiadas para um novo documento (a assinatura anterior não
+ * valeria mais após a alteração) e, se a empresa tiver certificado, o novo PDF é assinado.
+ * Retorna o PDF e o hash do certificado que o assinou (null sem assinatura).
+ */
+async function carimbarConfirmacao(recibo, confirmacao) {
+    const original = await PDFDocument.load(Buffer.from(recibo.conteudo_pdf));
+    const documento = await PDFDocument.create();
+    const paginas = await documento.copyPages(original, original.getPageIndices());
+    for (const pagina of paginas) {
+        pagina.node.delete(PDFName.of('Annots')); // Remove o campo da assinatura anterior
+        documento.addPage(pagina);
+    }
+
+    const fonte = await documento.embedFont(StandardFonts.Helvetica);
+    const fonteNegrito = await documento.embedFont(StandardFonts.HelveticaBold);
+    // As fontes padrão do PDF só cobrem o Latin-1
+    const textoSeguro = (texto) => String(texto).normalize('NFC').replace(/[^\x20-\xFF]/g, '?');
+    const dataConfirmacao = new Date(confirmacao.confirmado_em).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+    const linhas = [
+        `${textoSeguro(confirmacao.confirmado_nome)} - CPF ${mascararCpf(recibo.cpf)}`,
+        `Em ${dataConfirmacao} (horário de Brasília), a partir do IP ${textoSeguro(confirmacao.confirmado_ip)}`,
+        `Recibo nº ${formatarNumeroRecibo(recibo.id)} - código de verificação ${recibo.codigo_verificacao}`
+    ];
+
+    const ultimaPagina = paginas[paginas.length - 1];
+    const { width: largura } = ultimaPagina.getSize();
+    const caixa = { x: 30, y: 15, largura: largura - 60, altura: 58 };
+    ultimaPagina.drawRectangle({
+        x: caixa.x, y: caixa.y, width: caixa.largura, height: caixa.altura,
+        color: rgb(1, 1, 1), borderColor: rgb(0.12, 0.49, 0.2), borderWidth: 1
+    });
+    ultimaPagina.drawText('RECEBIMENTO CONFIRMADO ELETRONICAMENTE PELO FUNCIONÁRIO', {
+        x: caixa.x + 8, y: caixa.y + caixa.altura - 14, size: 8, font: fonteNegrito, color: rgb(0.12, 0.49, 0.2)
+    });
+    linhas.forEach((linha, indice) => ultimaPagina.drawText(linha, {
+        x: caixa.x + 8, y: caixa.y + caixa.altura - 27 - indice * 11, size: 8, font: fonte, color: rgb(0.2, 0.2, 0.2)
+    }));
+
+    documento.setTitle(`Recibo ${formatarNumeroRecibo(recibo.id)} - confirmado`);
+    let conteudoPdf = Buffer.from(await documento.save({ useObjectStreams: false }));
+
+    let hashCertificado = null;
+    const empresa = recibo.empresa_id && await bancoDeDados('empresas').where({ id: recibo.empresa_id }).first();
+    if (empresa && empresa.certificado_p12 && new Date(empresa.certificado_validade) > new Date()) {
+        try {
+            const assinante = carregarAssinante(empresa);
+            conteudoPdf = await assinarPdf(conteudoPdf, assinante, empresa);
+            hashCertificado = assinante.hashCertificado;
+        } catch (erroAssinatura) {
+            console.error('Erro ao assinar o recibo confirmado; ele será mantido sem assinatura:', erroAssinatura);
+        }
+    }
+    return { conteudoPdf, hashCertificado };
+}
+
+/**
+ * Renderiza a página pública de confirmação de um recibo.
+ */
+function renderizarPaginaConfirmacao(resposta, status, { recibo, token, situacao, titulo, mensagem }) {
+    let detalhes = '';
+    if (recibo) {
+        const resumo = resumirReciboVerificado(recibo);
+        detalhes = [
+            ['Empresa', `${resumo.empresa_nome} (CNPJ ${resumo.empresa_cnpj})`],
+            ['Funcionário', resumo.nome_completo],
+            ['Recibo', `Nº ${resumo.numero}`],
+            ['Período', resumo.periodo],
+            ['Valor líquido', formatarMoeda(converterValorNumerico(resumo.valor))],
+            ['Situação', recibo.status_confirmacao === 'assinado'
+                ? `Recebimento confirmado em ${new Date(recibo.confirmado_em).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })}`
+                : 'Pendente de confirmação']
+        ].map(([rotulo, valor]) => `\n                <dt>${escaparHtml(rotulo)}</dt><dd>${escaparHtml(valor)}</dd>`).join('');
+    }
+
+    const html = preencherModelo(modeloPaginaConfirmacao, {
+        SITUACAO: situacao,
+        TITULO: titulo,
+        MENSAGEM: mensagem,
+        URL_PDF: recibo ? `/confirmar/${token}/pdf` : '',
+        URL_CONFIRMACAO: `/confirmar/${token}`,
+        OCULTAR_RECIBO: recibo ? '' : 'hidden',
+        OCULTAR_FORMULARIO: recibo && recibo.status_confirmacao === 'pendente' ? '' : 'hidden'
+    }).replace('{{DETALHES}}', detalhes);
+    resposta.status(status).type('html').send(html);
+}
+
+const PAGINA_LINK_INVALIDO = {
+    situacao: 'not-authentic',
+    titulo: 'Link inválido',
+    mensagem: 'Este link de confirmação não existe ou foi substituído por um mais recente. Peça um novo link ao RH.'
+};
+
+/**
+ * Gera (ou substitui) o link que o funcionário usa para confirmar o recebimento.
+ */
+aplicacao.post('/api/recibos/:id/link-confirmacao', podeOperar, async (requisicao, resposta) => {
+    try {
+        const recibo = await bancoDeDados('recibos').select('id', 'status_confirmacao').where({ id: requisicao.params.id }).first();
+        if (!recibo) {
+            return resposta.status(404).json({ error: 'Recibo não encontrado.' });
+        }
+        if (recibo.status_confirmacao === 'assinado') {
+            return resposta.status(409).json({ error: 'O funcionário já confirmou o recebimento deste recibo.' });
+        }
+        const url = await gerarLinkConfirmacao(bancoDeDados, recibo.id, obterUrlPublica(requisicao));
+        resposta.status(201).json({ url });
+    } catch (erro) {
+        console.error('Erro ao gerar link de confirmação:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao gerar o link de confirmação.' });
+    }
+});
+
+aplicacao.get('/confirmar/:token', async (requisicao, resposta) => {
+    try {
+        const { token } = requisicao.params;
+        const recibo = await buscarReciboPorToken(token);
+        if (!recibo) {
+            return renderizarPaginaConfirmacao(resposta, 404, { token, ...PAGINA_LINK_INVALIDO });
+        }
+        const confirmado = recibo.status_confirmacao === 'assinado';
+        renderizarPaginaConfirmacao(resposta, 200, {
+            recibo,
+            token,
+            situacao: confirmado ? 'authentic' : '',
+            titulo: confirmado ? 'Recebimento já confirmado' : 'Confira o seu recibo',
+            mensagem: confirmado
+                ? 'Você já confirmou o recebimento deste recibo. A versão com o carimbo de confirmação está abaixo.'
+                : 'Leia o recibo abaixo e, se estiver de acordo, confirme o recebimento com o seu nome e CPF.'
+        });
+    } catch (erro) {
+        console.error('Erro ao exibir confirmação de recibo:', erro);
+        resposta.status(500).send('Erro interno ao carregar o recibo.');
+    }
+});
+
+aplicacao.get('/confirmar/:token/pdf', async (requisicao, resposta) => {
+    try {
+        const recibo = await buscarReciboPorToken(requisicao.params.token);
+        if (!recibo || !recibo.conteudo_pdf) {
+            return resposta.status(404).send('Recibo não encontrado.');
+        }
+        const conteudo = recibo.conteudo_pdf_confirmado || recibo.conteudo_pdf;
+        resposta.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${recibo.nome_arquivo}"`,
+            'Cache-Control': 'no-store'
+        });
+        resposta.status(200).send(Buffer.from(conteudo));
+    } catch (erro) {
+        console.error('Erro ao exibir PDF para confirmação:', erro);
+        resposta.status(500).send('Erro interno ao carregar o recibo.');
+    }
+});
+
+/**
+ * Registra a confirmação: o nome digitado e o CPF precisam corresponder aos do recibo.
+ * Guarda data, IP e navegador, e gera o PDF com o carimbo de ciência.
+ */
+aplicacao.post('/confirmar/:token', express.urlencoded({ extended: false }), async (requisicao, resposta) => {
+    const { token } = requisicao.params;
+    try {
+        const recibo = await buscarReciboPorToken(token);
+        if (!recibo) {
+            return renderizarPaginaConfirmacao(resposta, 404, { token, ...PAGINA_LINK_INVALIDO });
+        }
+        if (recibo.status_confirmacao === 'assinado') {
+            return renderizarPaginaConfirmacao(resposta, 409, {
+                recibo, token, situacao: 'authentic',
+                titulo: 'Recebimento já confirmado',
+                mensagem: 'Você já confirmou o recebimento deste recibo.'
+            });
+        }
+
+        const { nome, cpf, declaracao } = requisicao.body;
+        const nomeConfere = normalizarNomeParaComparacao(nome) === normalizarNomeParaComparacao(recibo.nome_completo);
+        const cpfConfere = extrairDigitosCpf(cpf) === extrairDigitosCpf(recibo.cpf);
+        if (!nomeConfere || !cpfConfere || declaracao !== 'sim') {
+            return renderizarPaginaConfirmacao(resposta, 400, {
+                recibo, token, situacao: 'not-authentic',
+                titulo: 'Não foi possível confirmar',
+                mensagem: declaracao !== 'sim'
+                    ? 'Marque a declaração de recebimento para confirmar.'
+                    : 'O nome completo ou o CPF não conferem com os dados do recibo. Digite-os exatamente como no seu cadastro.'
+            });
+        }
+
+        const confirmacao = {
+            status_confirmacao: 'assinado',
+            confirmado_em: new Date().toISOString(),
+            confirmado_nome: String(nome).trim().replace(/\s+/g, ' '),
+            confirmado_ip: requisicao.ip,
+            confirmado_navegador: String(requisicao.get('user-agent') || '').slice(0, 255)
+        };
+        const { conteudoPdf: conteudoConfirmado, hashCertificado } = await carimbarConfirmacao(recibo, confirmacao);
+
+        const reciboConfirmado = await bancoDeDados.transaction(async (transacao) => {
+            // A condição de pendência evita duas confirmações simultâneas do mesmo recibo
+            const quantidadeAtualizada = await transacao('recibos')
+                .where({ id: recibo.id, status_confirmacao: 'pendente' })
+                .update({
+                    ...confirmacao,
+                    conteudo_pdf_confirmado: conteudoConfirmado,
+                    hash_arquivo_confirmado: crypto.createHash('sha256').update(conteudoConfirmado).digest('hex'),
+                    hash_certificado_confirmado: hashCertificado
+                });
+            if (quantidadeAtualizada === 0) return null;
+
+            await registrarAuditoria(transacao, { id: null, nome: `${recibo.nome_completo} (funcionário)` }, {
+                acao: 'confirmar',
+                entidade: 'recibo',
+                entidadeId: recibo.id,
+                antes: { status_confirmacao: 'pendente' },
+                depois: confirmacao
+            });
+            return transacao('recibos').where({ id: recibo.id }).first();
+        });
+
+        renderizarPaginaConfirmacao(resposta, 200, {
+            recibo: reciboConfirmado || await bancoDeDados('recibos').where({ id: recibo.id }).first(),
+            token,
+            situacao: 'authentic',
+            titulo: 'Recebimento confirmado',
+            mensagem: 'Obrigado! A confirmação foi registrada e o recibo com o carimbo de confirmação está disponível abaixo.'
+        });
+    } catch (erro) {
+        console.error('Erro ao confirmar recebimento:', erro);
+        resposta.status(500).send('Erro interno ao confirmar o recebimento.');
+    }
+});
+
+
+// =============================================================
+//              ENVIO DOS RECIBOS POR E-MAIL (SMTP)
+// =============================================================
+
+const MAXIMO_TENTATIVAS_EMAIL = 5;
+// Espera antes de cada nova tentativa (após a 1ª, 2ª, 3ª e 4ª falha)
+const ESPERAS_TENTATIVAS_EMAIL_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000];
+const INTERVALO_FILA_EMAIL_MS = 30 * 1000;
+
+const ASSUNTO_EMAIL_PADRAO = 'Recibo de pagamento - {{PERIODO}}';
+const MENSAGEM_EMAIL_PADRAO = [
+    'Olá, {{NOME}}.',
+    '',
+    'Segue em anexo o seu recibo de pagamento nº {{NUMERO_RECIBO}}, referente a {{PERIODO}}, no valor líquido de {{VALOR_FORMATADO}}.',
+    '',
+    'Confirme o recebimento pelo link: {{LINK_CONFIRMACAO}}',
+    '',
+    'Atenciosamente,',
+    '{{NOME_EMPRESA}}'
+].join('\n');
+
+/**
+ * Preenche os placeholders {{CHAVE}} de um texto simples (sem escapar HTML).
+ */
+function preencherTexto(texto, valores) {
+    return texto.replace(EXPRESSAO_PLACEHOLDER, (trecho, chave) => (chave in valores ? String(valores[chave]) : trecho));
+}
+
+/**
+ * Valida a configuração SMTP de uma empresa. A senha só é alterada quando informada
+ * (null ou "" remove a senha). Retorna { dados, erros }.
+ */
+function validarConfiguracaoSmtp(corpo) {
+    const dados = {};
+    const erros = {};
+    const texto = (valor) => (typeof valor === 'string' ? valor.trim() : '');
+
+    const host = texto(corpo.smtp_host);
+    if (!host) erros.smtp_host = 'Informe o servidor SMTP.';
+    else dados.smtp_host = host;
+
+    dados.smtp_seguro = corpo.smtp_seguro === true || corpo.smtp_seguro === 'true';
+    const porta = corpo.smtp_porta === undefined || corpo.smtp_porta === null || corpo.smtp_porta === ''
+        ? (dados.smtp_seguro ? 465 : 587)
+        : Number(corpo.smtp_porta);
+    if (!Number.isInteger(porta) || porta < 1 || porta > 65535) erros.smtp_porta = 'Informe uma porta entre 1 e 65535.';
+    else dados.smtp_porta = porta;
+
+    dados.smtp_usuario = texto(corpo.smtp_usuario) || null;
+    if (corpo.smtp_senha !== undefined) {
+        dados.smtp_senha = corpo.smtp_senha ? String(corpo.smtp_senha) : null;
+    }
+
+    // Aceita "email@dominio" ou "Nome <email@dominio>"
+    const remetente = texto(corpo.smtp_remetente);
+    const emailRemetente = (remetente.match(/<([^>]+)>$/) || [null, remetente])[1].trim();
+    if (!FORMATO_EMAIL.test(emailRemetente)) erros.smtp_remetente = 'Informe o e-mail do remetente (ex: RH <rh@empresa.com.br>).';
+    else dados.smtp_remetente = remetente;
+
+    dados.email_assunto = texto(corpo.email_assunto) || null;
+    dados.email_mensagem = texto(corpo.email_mensagem) || null;
+    return { dados, erros };
+}
+
+function criarTransporteSmtp(empresa) {
+    return nodemailer.createTransport({
+        host: empresa.smtp_host,
+        port: empresa.smtp_porta,
+        secure: Boolean(empresa.smtp_seguro),
+        auth: empresa.smtp_usuario
+            ? { user: empresa.smtp_usuario, pass: empresa.smtp_senha ? decifrarSegredo(empresa.smtp_senha) : '' }
+            : undefined,
+        connectionTimeout: 15000,
+        greetingTimeout: 15000,
+        socketTimeout: 30000
+    });
+}
+
+/**
+ * Envia um item da fila: o PDF do recibo em anexo, com a mensagem da empresa e,
+ * se o recibo ainda não foi confirmado, um novo link de confirmação.
+ * Em caso de falha, agenda outra tentativa até MAXIMO_TENTATIVAS_EMAIL.
+ */
+async function enviarReciboPorEmail(envio) {
+    const tentativas = envio.tentativas + 1;
+    try {
+        const recibo = await bancoDeDados('recibos').where({ id: envio.recibo_id }).first();
+        const empresa = recibo && await bancoDeDados('empresas').where({ id: envio.empresa_id ?? recibo.empresa_id }).first();
+        if (!recibo || !recibo.conteudo_pdf) throw new Error('O PDF do recibo não está disponível.');
+        if (!empresa || !empresa.smtp_host) throw new Error('A empresa não tem servidor SMTP configurado.');
+
+        // O novo link só substitui o anterior depois que a mensagem sai: uma falha no SMTP
+        // não pode deixar o funcionário sem um link que funcione
+        const linkConfirmacao = recibo.status_confirmacao === 'pendente' && envio.url_publica
+            ? criarLinkConfirmacao(envio.url_publica)
+            : null;
+        const valores = {
+            NOME: recibo.nome_completo,
+            NOME_EMPRESA: empresa.nome,
+            NUMERO_RECIBO: formatarNumeroRecibo(recibo.id),
+            PERIODO: recibo.periodo,
+            VALOR_FORMATADO: formatarMoeda(converterValorNumerico(recibo.valor)),
+            CODIGO_VERIFICACAO: recibo.codigo_verificacao,
+            LINK_CONFIRMACAO: linkConfirmacao ? linkConfirmacao.url : '(recebimento já confirmado)'
+        };
+
+        await criarTransporteSmtp(empresa).sendMail({
+            from: empresa.smtp_remetente,
+            to: envio.destinatario,
+            subject: preencherTexto(empresa.email_assunto || ASSUNTO_EMAIL_PADRAO, valores),
+            text: preencherTexto(empresa.email_mensagem || MENSAGEM_EMAIL_PADRAO, valores),
+            attachments: [{ filename: recibo.nome_arquivo, content: Buffer.from(recibo.conteudo_pdf), contentType: 'application/pdf' }]
+        });
+
+        await bancoDeDados.transaction(async (transacao) => {
+            if (linkConfirmacao) await gravarTokenConfirmacao(transacao, recibo.id, linkConfirmacao.token);
+            await transacao('envios_email').where({ id: envio.id }).update({
+                status: 'enviado',
+                tentativas,
+                ultimo_erro: null,
+                proxima_tentativa_em: null,
+                enviado_em: new Date().toISOString(),
+                updated_at: transacao.fn.now()
+            });
+        });
+    } catch (erro) {
+        console.error(`Erro ao enviar o recibo ${envio.recibo_id} para ${envio.destinatario}:`, erro.message);
+        const esgotado = tentativas >= MAXIMO_TENTATIVAS_EMAIL;
+        await bancoDeDados('envios_email').where({ id: envio.id }).update({
+            status: esgotado ? 'falhou' : 'pendente',
+            tentativas,
+            ultimo_erro: String(erro.message).slice(0, 1000),
+            proxima_tentativa_em: esgotado ? null : new Date(Date.now() + ESPERAS_TENTATIVAS_EMAIL_MS[tentativas - 1]).toISOString(),
+            updated_at: bancoDeDados.fn.now()
+        });
+    }
+}
+
+let processandoFilaEmail = false;
+
+/**
+ * Envia, um de cada vez, os e-mails pendentes cuja próxima tentativa já venceu.
+ * Chamada ao enfileirar novos envios e periodicamente (novas tentativas).
+ */
+async function processarFilaEmail() {
+    if (processandoFilaEmail) return;
+    processandoFilaEmail = true;
+    try {
+        for (;;) {
+            const envio = await bancoDeDados('envios_email')
+                .where({ status: 'pendente' })
+                .andWhere(consulta => consulta.whereNull('proxima_tentativa_em').orWhere('proxima_tentativa_em', '<=', new Date().toISOString()))
+                .orderBy('id')
+                .first();
+            if (!envio) break;
+            await enviarReciboPorEmail(envio);
+        }
+    } catch (erro) {
+        console.error('Erro ao processar a fila de e-mails:', erro);
+    } finally {
+        processandoFilaEmail = false;
+    }
+}
+
+const COLUNAS_ENVIO_EMAIL = [
+    'envios_email.id', 'envios_email.recibo_id', 'envios_email.empresa_id', 'envios_email.destinatario', 'envios_email.status',
+    'envios_email.tentativas', 'envios_email.ultimo_erro', 'envios_email.proxima_tentativa_em', 'envios_email.enviado_em',
+    'envios_email.created_at', 'recibos.nome_completo', 'recibos.periodo'
+];
+
+function resumirEnvioEmail(envio) {
+    return { ...envio, numero: formatarNumeroRecibo(envio.recibo_id) };
+}
+
+/**
+ * Configura o servidor SMTP e a mensagem usados para enviar os recibos da empresa.
+ * Na mensagem e no assunto valem os placeholders {{NOME}}, {{NOME_EMPRESA}},
+ * {{NUMERO_RECIBO}}, {{PERIODO}}, {{VALOR_FORMATADO}}, {{CODIGO_VERIFICACAO}} e {{LINK_CONFIRMACAO}}.
+ */
+aplicacao.put('/api/empresas/:id/smtp', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const { dados, erros } = validarConfiguracaoSmtp(requisicao.body);
+        if (Object.keys(erros).length > 0) {
+            return responderErrosDeValidacao(resposta, erros);
+        }
+        if (dados.smtp_senha) {
+            try {
+                dados.smtp_senha = cifrarSegredo(dados.smtp_senha);
+            } catch (erroChave) {
+                return resposta.status(500).json({ error: erroChave.message });
+            }
+        }
+
+        const empresaAtualizada = await bancoDeDados.transaction(async (transacao) => {
+            const empresaAnterior = await transacao('empresas').where({ id }).first();
+            if (!empresaAnterior) return null;
+            await transacao('empresas').where({ id }).update({ ...dados, updated_at: transacao.fn.now() });
+            const empresa = await transacao('empresas').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'empresa', entidadeId: empresa.id,
+                antes: resumirEmpresa(empresaAnterior), depois: resumirEmpresa(empresa)
+            });
+            return empresa;
+        });
+        if (!empresaAtualizada) {
+            return resposta.status(404).json({ error: 'Empresa não encontrada.' });
+        }
+        resposta.status(200).json(resumirEmpresa(empresaAtualizada));
+    } catch (erro) {
+        console.error('Erro ao configurar SMTP:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao configurar o envio de e-mails.' });
+    }
+});
+
+aplicacao.delete('/api/empresas/:id/smtp', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const empresaAtualizada = await bancoDeDados.transaction(async (transacao) => {
+            const empresaAnterior = await transacao('empresas').where({ id }).first();
+            if (!empresaAnterior) return null;
+            await transacao('empresas').where({ id }).update({
+                smtp_host: null,
+                smtp_porta: null,
+                smtp_seguro: false,
+                smtp_usuario: null,
+                smtp_senha: null,
+                smtp_remetente: null,
+                updated_at: transacao.fn.now()
+            });
+            const empresa = await transacao('empresas').where({ id }).first();
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'atualizar', entidade: 'empresa', entidadeId: empresa.id,
+                antes: resumirEmpresa(empresaAnterior), depois: resumirEmpresa(empresa)
+            });
+            return empresa;
+        });
+        if (!empresaAtualizada) {
+            return resposta.status(404).json({ error: 'Empresa não encontrada.' });
+        }
+        resposta.status(200).json(resumirEmpresa(empresaAtualizada));
+    } catch (erro) {
+        console.error('Erro ao remover SMTP:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao remover a configuração de e-mail.' });
+    }
+});
+
+/**
+ * Testa a configuração SMTP da empresa enviando uma mensagem ao usuário logado.
+ */
+aplicacao.post('/api/empresas/:id/smtp/teste', somenteAdmin, async (requisicao, resposta) => {
+    try {
+        const empresa = await bancoDeDados('empresas').where({ id: requisicao.params.id }).first();
+        if (!empresa) {
+            return resposta.status(404).json({ error: 'Empresa não encontrada.' });
+        }
+        if (!empresa.smtp_host) {
+            return resposta.status(400).json({ error: 'Configure o servidor SMTP da empresa antes de testar.' });
+        }
+        try {
+            await criarTransporteSmtp(empresa).sendMail({
+                from: empresa.smtp_remetente,
+                to: requisicao.usuario.email,
+                subject: `Teste de envio - ${empresa.nome}`,
+                text: 'Se você recebeu esta mensagem, o envio de recibos por e-mail está configurado corretamente.'
+            });
+        } catch (erroEnvio) {
+            return resposta.status(502).json({ error: `Falha ao enviar pelo servidor SMTP: ${erroEnvio.message}` });
+        }
+        resposta.status(200).json({ message: `Mensagem de teste enviada para ${requisicao.usuario.email}.` });
+    } catch (erro) {
+        console.error('Erro ao testar SMTP:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao testar o envio de e-mails.' });
+    }
+});
+
+/**
+ * Envia por e-mail os recibos informados em `recibos` (ids), cada um para o e-mail
+ * atual do respectivo funcionário. Os envios entram na fila e são feitos em segundo
+ * plano; recibos sem e-mail do funcionário ou sem SMTP na empresa são ignorados.
+ */
+aplicacao.post('/api/recibos/enviar-email', podeOperar, async (requisicao, resposta) => {
+    try {
+        const ids = requisicao.body.recibos;
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+            return resposta.status(400).json({ error: 'Informe os recibos a enviar.' });
+        }
+
+        const recibos = await bancoDeDados('recibos')
+            .leftJoin('funcionarios', 'funcionarios.id', 'recibos.funcionario_id')
+            .leftJoin('empresas', 'empresas.id', 'recibos.empresa_id')
+            .select('recibos.id', 'recibos.nome_completo', 'recibos.empresa_id', 'funcionarios.email', 'empresas.smtp_host')
+            .whereIn('recibos.id', ids.map(Number));
+        const pendentes = new Set((await bancoDeDados('envios_email')
+            .whereIn('recibo_id', recibos.map(recibo => recibo.id))
+            .where({ status: 'pendente' })
+            .pluck('recibo_id')).map(Number));
+
+        const ignorados = [];
+        const ignorar = (recibo, motivo) => ignorados.push({
+            recibo_id: recibo.id, numero: formatarNumeroRecibo(recibo.id), nome_completo: recibo.nome_completo, motivo
+        });
+        const enviosNovos = [];
+        for (const recibo of recibos) {
+            if (!recibo.smtp_host) ignorar(recibo, 'A empresa não tem servidor SMTP configurado.');
+            else if (!recibo.email) ignorar(recibo, 'O funcionário não tem e-mail cadastrado.');
+            else if (pendentes.has(recibo.id)) ignorar(recibo, 'Já há um envio pendente deste recibo.');
+            else enviosNovos.push({ recibo_id: recibo.id, empresa_id: recibo.empresa_id, destinatario: recibo.email });
+        }
+        const encontrados = new Set(recibos.map(recibo => recibo.id));
+        for (const id of ids.map(Number).filter(id => !encontrados.has(id))) {
+            ignorados.push({ recibo_id: id, numero: formatarNumeroRecibo(id), nome_completo: null, motivo: 'Recibo não encontrado.' });
+        }
+
+        if (enviosNovos.length > 0) {
+            const urlPublica = obterUrlPublica(requisicao);
+            await bancoDeDados.transaction(async (transacao) => {
+                for (const envio of enviosNovos) {
+                    await transacao('envios_email').insert({ ...envio, url_publica: urlPublica, usuario_id: requisicao.usuario.id });
+                    await registrarAuditoria(transacao, requisicao.usuario, {
+                        acao: 'enviar_email', entidade: 'recibo', entidadeId: envio.recibo_id, depois: { destinatario: envio.destinatario }
+                    });
+                }
+            });
+            processarFilaEmail();
+        }
+
+        resposta.status(202).json({ enfileirados: enviosNovos.length, ignorados });
+    } catch (erro) {
+        console.error('Erro ao enviar recibos por e-mail:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao enviar os recibos por e-mail.' });
+    }
+});
+
+/**
+ * Lista os envios de e-mail, do mais recente para o mais antigo.
+ * Filtros: recibo_id, empresa_id e status.
+ */
+aplicacao.get('/api/envios-email', podeLer, async (requisicao, resposta) => {
+    try {
+        const { recibo_id, empresa_id, status } = requisicao.query;
+        const consulta = bancoDeDados('envios_email')
+            .join('recibos', 'recibos.id', 'envios_email.recibo_id')
+            .select(COLUNAS_ENVIO_EMAIL)
+            .orderBy('envios_email.id', 'desc')
+            .limit(500);
+        if (recibo_id) consulta.where('envios_email.recibo_id', recibo_id);
+        if (empresa_id) consulta.where('envios_email.empresa_id', empresa_id);
+        if (status) consulta.where('envios_email.status', status);
+
+        const envios = await consulta;
+        resposta.status(200).json(envios.map(resumirEnvioEmail));
+    } catch (erro) {
+        console.error('Erro ao buscar envios de e-mail:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao buscar os envios de e-mail.' });
+    }
+});
+
+/**
+ * Coloca de novo na fila um envio que falhou em todas as tentativas.
+ */
+aplicacao.post('/api/envios-email/:id/reenviar', podeOperar, async (requisicao, resposta) => {
+    try {
+        const { id } = requisicao.params;
+        const envio = await bancoDeDados('envios_email').where({ id }).first();
+        if (!envio) {
+            return resposta.status(404).json({ error: 'Envio não encontrado.' });
+        }
+        if (envio.status !== 'falhou') {
+            return resposta.status(409).json({ error: 'Só é possível reenviar um e-mail que falhou.' });
+        }
+        await bancoDeDados.transaction(async (transacao) => {
+            await transacao('envios_email').where({ id }).update({
+                status: 'pendente',
+                tentativas: 0,
+                ultimo_erro: null,
+                proxima_tentativa_em: null,
+                updated_at: transacao.fn.now()
+            });
+            await registrarAuditoria(transacao, requisicao.usuario, {
+                acao: 'enviar_email', entidade: 'recibo', entidadeId: envio.recibo_id,
+                antes: { status: envio.status, ultimo_erro: envio.ultimo_erro },
+                depois: { destinatario: envio.destinatario }
+            });
+        });
+        processarFilaEmail();
+
+        const envioAtualizado = await bancoDeDados('envios_email')
+            .join('recibos', 'recibos.id', 'envios_email.recibo_id')
+            .select(COLUNAS_ENVIO_EMAIL)
+            .where('envios_email.id', id)
+            .first();
+        resposta.status(200).json(resumirEnvioEmail(envioAtualizado));
+    } catch (erro) {
+        console.error('Erro ao reenviar e-mail:', erro);
+        resposta.status(500).json({ error: 'Erro interno ao reenviar o e-mail.' });
+    }
+});
+
+
+// =============================================================
 //               INICIA O SERVIDOR EXPRESS
 // =============================================================
-aplicacao.listen(porta, () => {
-    console.log(`🚀 Servidor rodando na porta ${porta}`);
-});
\ No newline at end of file
+/**
+ * Inicia o servidor: cria o administrador inicial, agenda a fila de e-mails e
+ * abre a porta. Só é chamada quando este arquivo é executado (node index.js);
+ * os testes importam a `aplicacao` e a escutam em uma porta própria.
+ */
+function iniciarServidor() {
+    criarAdministradorInicial()
+        .catch(erro => console.error('Erro ao verificar o administrador inicial:', erro));
+
+    // Envia os e-mails pendentes e refaz as tentativas que falharam
+    setInterval(processarFilaEmail, INTERVALO_FILA_EMAIL_MS);
+
+    return aplicacao.listen(porta, () => {
+        console.log(`🚀 Servidor rodando na porta ${porta}`);
+    });
+}
+
+if (require.main === module) {
+    iniciarServidor();
+}
+
+module.exports = {
+    aplicacao,
+    criarAdministradorInicial,
+    iniciarServidor
+};
\ No newline at end of file
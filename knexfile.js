@@ -10,6 +10,28 @@ module.exports = {
     useNullAsDefault: true,
     migrations: {
       directory: './database/migrations'
+    },
+    pool: {
+      // O SQLite só respeita chaves estrangeiras (ON DELETE CASCADE) com este pragma ativo
+      afterCreate: (conexao, concluido) => conexao.run('PRAGMA foreign_keys = ON', concluido)
+    }
+  },
+
+  // Configuração dos testes automatizados (npm test): banco em memória, recriado a cada execução
+  test: {
+    client: 'sqlite3',
+    connection: {
+      filename: ':memory:'
+    },
+    useNullAsDefault: true,
+    migrations: {
+      directory: './database/migrations'
+    },
+    pool: {
+      // Cada conexão teria o seu próprio banco em memória; por isso, uma só
+      min: 1,
+      max: 1,
+      afterCreate: (conexao, concluido) => conexao.run('PRAGMA foreign_keys = ON', concluido)
     }
   },
 
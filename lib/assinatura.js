@@ -0,0 +1,255 @@
+/**
+ * assinatura.js
+ *
+ * Código e QR code de verificação dos recibos, guarda cifrada de segredos (senhas
+ * de certificados e de SMTP) e assinatura digital PKCS#7 dos PDFs com o
+ * certificado PKCS#12 de cada empresa.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const QRCode = require('qrcode');
+const { PDFDocument } = require('pdf-lib');
+const { SignPdf } = require('@signpdf/signpdf');
+const { P12Signer } = require('@signpdf/signer-p12');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+const { extrairDigitosCpf } = require('./utilitarios');
+
+// Alfabeto do código de verificação, sem caracteres ambíguos (0/O, 1/I)
+const ALFABETO_CODIGO = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Gera o código público de verificação de um recibo (ex: K7QM-2XPA-9RTD).
+ */
+function gerarCodigoVerificacao() {
+    let codigo = '';
+    for (let i = 0; i < 12; i++) codigo += ALFABETO_CODIGO[crypto.randomInt(ALFABETO_CODIGO.length)];
+    return codigo.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normaliza um código digitado (minúsculas, sem hífens ou com espaços) para o formato gravado.
+ */
+function normalizarCodigoVerificacao(texto) {
+    const caracteres = String(texto ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return caracteres.length === 12 ? caracteres.match(/.{4}/g).join('-') : null;
+}
+
+/**
+ * Endereço público do sistema, usado nos links e QR codes impressos nos recibos.
+ * Usa URL_PUBLICA quando definida (necessária atrás de proxy) ou o endereço da requisição.
+ */
+function obterUrlPublica(requisicao) {
+    const urlConfigurada = process.env.URL_PUBLICA;
+    return urlConfigurada ? urlConfigurada.replace(/\/+$/, '') : `${requisicao.protocol}://${requisicao.get('host')}`;
+}
+
+/**
+ * Monta o endereço de verificação de um recibo e o QR code correspondente.
+ */
+async function montarVerificacao(urlPublica, codigoVerificacao) {
+    const urlVerificacao = `${urlPublica}/verificar/${codigoVerificacao}`;
+    const qrCodeVerificacao = await QRCode.toDataURL(urlVerificacao, { margin: 1, width: 200, errorCorrectionLevel: 'M' });
+    return { urlVerificacao, qrCodeVerificacao };
+}
+
+/**
+ * Mascara o CPF para exibição pública (ex: ***.456.789-**).
+ */
+function mascararCpf(cpf) {
+    const digitos = extrairDigitosCpf(cpf);
+    return digitos.length === 11 ? `***.${digitos.slice(3, 6)}.${digitos.slice(6, 9)}-**` : '***';
+}
+
+/**
+ * Chave AES-256 usada para cifrar as senhas dos certificados no banco,
+ * derivada da variável de ambiente CHAVE_CERTIFICADOS.
+ */
+function obterChaveCertificados() {
+    const segredo = process.env.CHAVE_CERTIFICADOS;
+    if (!segredo) {
+        throw new Error('Defina a variável de ambiente CHAVE_CERTIFICADOS para usar certificados digitais e senhas de SMTP.');
+    }
+    return crypto.createHash('sha256').update(segredo).digest();
+}
+
+/**
+ * Cifra um texto com AES-256-GCM, no formato "iv:tag:dados" em base64.
+ */
+function cifrarSegredo(texto) {
+    const iv = crypto.randomBytes(12);
+    const cifra = crypto.createCipheriv('aes-256-gcm', obterChaveCertificados(), iv);
+    const dados = Buffer.concat([cifra.update(String(texto), 'utf-8'), cifra.final()]);
+    return [iv, cifra.getAuthTag(), dados].map(parte => parte.toString('base64')).join(':');
+}
+
+function decifrarSegredo(textoCifrado) {
+    const [iv, tag, dados] = String(textoCifrado).split(':').map(parte => Buffer.from(parte, 'base64'));
+    const decifra = crypto.createDecipheriv('aes-256-gcm', obterChaveCertificados(), iv);
+    decifra.setAuthTag(tag);
+    return Buffer.concat([decifra.update(dados), decifra.final()]).toString('utf-8');
+}
+
+/**
+ * Nome comum (CN) do titular de um certificado. Certificados ICP-Brasil gravam o
+ * nome em UTF-8; outros emissores podem usar Latin-1.
+ */
+function obterTitularCertificado(certificado) {
+    const nomeComum = certificado.subject.getField('CN');
+    if (!nomeComum) return null;
+    try {
+        return forge.util.decodeUtf8(nomeComum.value);
+    } catch {
+        return nomeComum.value;
+    }
+}
+
+/**
+ * Abre um certificado PKCS#12 e retorna o certificado (node-forge) que acompanha a
+ * chave privada. Lança erro se a senha estiver errada ou faltar a chave.
+ */
+function abrirCertificadoP12(conteudoP12, senha) {
+    const asn1 = forge.asn1.fromDer(forge.util.createBuffer(conteudoP12.toString('binary')));
+    const p12 = forge.pkcs12.pkcs12FromAsn1(asn1, String(senha));
+
+    const chaves = [
+        ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+        ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+    ];
+    const certificados = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+    if (chaves.length === 0 || certificados.length === 0) {
+        throw new Error('O arquivo não contém um certificado com chave privada.');
+    }
+
+    // O certificado do titular é o que corresponde à chave privada
+    const chavePrivada = chaves[0].key;
+    return certificados
+        .map(bolsa => bolsa.cert)
+        .find(cert => cert.publicKey.n && cert.publicKey.n.equals(chavePrivada.n)) || certificados[0].cert;
+}
+
+/**
+ * Abre um certificado PKCS#12 e retorna o titular (CN) e a validade do certificado
+ * que acompanha a chave privada. Lança erro se a senha estiver errada ou faltar a chave.
+ */
+function lerCertificadoP12(conteudoP12, senha) {
+    const certificado = abrirCertificadoP12(conteudoP12, senha);
+    return {
+        titular: obterTitularCertificado(certificado) || 'Titular não identificado',
+        validade: certificado.validity.notAfter
+    };
+}
+
+/**
+ * Hash SHA-256 (hex) da forma DER de um certificado, gravado em cada recibo assinado
+ * para conferir depois qual certificado o assinou.
+ */
+function calcularHashCertificado(certificado) {
+    const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certificado)).getBytes();
+    return crypto.createHash('sha256').update(der, 'binary').digest('hex');
+}
+
+/**
+ * Prepara o certificado da empresa para assinar os PDFs de uma geração.
+ * Retorna null quando a empresa não tem certificado configurado.
+ */
+function carregarAssinante(empresa) {
+    if (!empresa.certificado_p12) return null;
+    const conteudoP12 = Buffer.from(empresa.certificado_p12);
+    const senha = decifrarSegredo(empresa.certificado_senha);
+    return {
+        titular: empresa.certificado_titular,
+        hashCertificado: calcularHashCertificado(abrirCertificadoP12(conteudoP12, senha)),
+        // O P12Signer consome o certificado ao assinar: cada assinatura precisa de uma instância nova
+        criarSigner: () => new P12Signer(conteudoP12, { passphrase: senha })
+    };
+}
+
+/**
+ * Assina um PDF com o certificado da empresa (PKCS#7 destacado, adbe.pkcs7.detached),
+ * no padrão usado pelos leitores de PDF e pelo verificador do ITI.
+ */
+async function assinarPdf(conteudoPdf, assinante, empresa) {
+    const documento = await PDFDocument.load(conteudoPdf);
+    pdflibAddPlaceholder({
+        pdfDoc: documento,
+        reason: 'Recibo de pagamento emitido pela empresa',
+        contactInfo: empresa.cnpj,
+        name: assinante.titular,
+        location: empresa.cidade
+    });
+    const pdfComEspaco = Buffer.from(await documento.save({ useObjectStreams: false }));
+    return new SignPdf().sign(pdfComEspaco, assinante.criarSigner());
+}
+
+/**
+ * Confere a assinatura PKCS#7 embutida em um PDF: se o conteúdo assinado não foi
+ * alterado (resumo SHA-256), se a assinatura confere com o certificado embutido e se
+ * esse certificado é o que o sistema usou para assinar o recibo (`hashCertificado`,
+ * gravado no recibo). Qualquer um pode assinar um PDF com um certificado autoassinado;
+ * por isso, sem o hash gravado, a assinatura nunca é `valida`.
+ * Retorna { assinado: false } quando o PDF não tem assinatura.
+ */
+function verificarAssinaturaPdf(conteudoPdf, hashCertificado = null) {
+    const texto = conteudoPdf.toString('latin1');
+    const correspondencias = [...texto.matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)];
+    if (correspondencias.length === 0) return { assinado: false };
+
+    // Considera a última assinatura do arquivo, que cobre o documento inteiro
+    const [inicio1, tamanho1, inicio2, tamanho2] = correspondencias[correspondencias.length - 1].slice(1).map(Number);
+    const conteudoAssinado = Buffer.concat([
+        conteudoPdf.subarray(inicio1, inicio1 + tamanho1),
+        conteudoPdf.subarray(inicio2, inicio2 + tamanho2)
+    ]);
+    const cobreArquivoInteiro = inicio1 === 0 && inicio2 + tamanho2 === conteudoPdf.length;
+
+    try {
+        const assinaturaHex = texto.slice(inicio1 + tamanho1 + 1, inicio2 - 1).replace(/(00)+$/, '');
+        const mensagem = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(forge.util.hexToBytes(assinaturaHex)));
+        const { authenticatedAttributes, signature, digestAlgorithm } = mensagem.rawCapture;
+        if (forge.asn1.derToOid(digestAlgorithm) !== forge.pki.oids.sha256) {
+            return { assinado: true, valida: false, motivo: 'Algoritmo de resumo não suportado.' };
+        }
+
+        const atributo = (oid) => authenticatedAttributes
+            .find(item => forge.asn1.derToOid(item.value[0].value) === oid);
+        const resumoDeclarado = atributo(forge.pki.oids.messageDigest).value[1].value[0].value;
+        const resumoCalculado = crypto.createHash('sha256').update(conteudoAssinado).digest('binary');
+        const atributoData = atributo(forge.pki.oids.signingTime);
+
+        // A assinatura é feita sobre o conjunto DER dos atributos autenticados
+        const conjuntoAtributos = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, authenticatedAttributes);
+        const resumoAtributos = forge.md.sha256.create().update(forge.asn1.toDer(conjuntoAtributos).getBytes());
+        const certificado = mensagem.certificates[0];
+
+        const integro = cobreArquivoInteiro && resumoDeclarado === resumoCalculado;
+        const certificadoDaEmpresa = Boolean(hashCertificado) && calcularHashCertificado(certificado) === hashCertificado;
+        const resultado = {
+            assinado: true,
+            valida: integro && certificadoDaEmpresa && certificado.publicKey.verify(resumoAtributos.digest().bytes(), signature),
+            integro,
+            titular: obterTitularCertificado(certificado),
+            assinadoEm: atributoData ? forge.asn1.utcTimeToDate(atributoData.value[1].value[0].value).toISOString() : null,
+            certificadoValidoAte: certificado.validity.notAfter.toISOString()
+        };
+        if (!integro) resultado.motivo = 'O arquivo foi alterado depois de assinado.';
+        else if (!certificadoDaEmpresa) resultado.motivo = 'O certificado não é o da empresa emissora.';
+        return resultado;
+    } catch (erro) {
+        return { assinado: true, valida: false, motivo: 'Assinatura ilegível ou corrompida.' };
+    }
+}
+
+module.exports = {
+    gerarCodigoVerificacao,
+    normalizarCodigoVerificacao,
+    obterUrlPublica,
+    montarVerificacao,
+    mascararCpf,
+    cifrarSegredo,
+    decifrarSegredo,
+    lerCertificadoP12,
+    carregarAssinante,
+    assinarPdf,
+    verificarAssinaturaPdf
+};
@@ -0,0 +1,33 @@
+/**
+ * auditoria.js
+ *
+ * Registro das alterações (quem fez o quê, quando, com os valores antes e depois)
+ * feitas pelo dashboard e pela linha de comando.
+ */
+
+const ACOES_AUDITORIA = ['criar', 'atualizar', 'excluir', 'desligar', 'reativar', 'importar', 'gerar_recibos', 'confirmar', 'enviar_email'];
+const ENTIDADES_AUDITORIA = ['funcionario', 'salario', 'lancamento', 'ausencia', 'empresa', 'modelo', 'usuario', 'geracao', 'recibo'];
+
+/**
+ * Registra uma ação na trilha de auditoria, com os dados antes e depois da alteração.
+ * `executor` é o banco ou a transação da própria alteração, para que ambos sejam
+ * gravados (ou descartados) juntos.
+ */
+async function registrarAuditoria(executor, usuario, { acao, entidade, entidadeId = null, antes = null, depois = null }) {
+    await executor('auditoria').insert({
+        usuario_id: usuario ? usuario.id : null,
+        usuario_nome: usuario ? usuario.nome : null,
+        acao,
+        entidade,
+        entidade_id: entidadeId === null ? null : String(entidadeId),
+        dados_anteriores: antes ? JSON.stringify(antes) : null,
+        dados_novos: depois ? JSON.stringify(depois) : null,
+        created_at: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    ACOES_AUDITORIA,
+    ENTIDADES_AUDITORIA,
+    registrarAuditoria
+};
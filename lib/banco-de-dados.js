@@ -0,0 +1,40 @@
+/**
+ * banco-de-dados.js
+ *
+ * Conexão Knex compartilhada pelo servidor e pela linha de comando, com a
+ * configuração do ambiente atual (NODE_ENV) definida em knexfile.js.
+ */
+
+const path = require('path');
+const configuracaoKnexArquivo = require('../knexfile');
+
+const diretorioProjeto = path.join(__dirname, '..');
+const ambienteAtual = process.env.NODE_ENV || 'development';
+
+/**
+ * Monta a configuração do ambiente. O arquivo do SQLite é resolvido a partir da
+ * raiz do projeto, para que a linha de comando use o mesmo banco do servidor
+ * qualquer que seja o diretório de onde é executada.
+ */
+function montarConfiguracaoKnex(ambiente = ambienteAtual) {
+    const configuracao = configuracaoKnexArquivo[ambiente];
+    if (!configuracao) {
+        throw new Error(`Ambiente "${ambiente}" não está configurado em knexfile.js.`);
+    }
+    const arquivoSqlite = configuracao.connection && configuracao.connection.filename;
+    if (arquivoSqlite && arquivoSqlite !== ':memory:' && !path.isAbsolute(arquivoSqlite)) {
+        return {
+            ...configuracao,
+            connection: { ...configuracao.connection, filename: path.join(diretorioProjeto, arquivoSqlite) }
+        };
+    }
+    return configuracao;
+}
+
+const bancoDeDados = require('knex')(montarConfiguracaoKnex());
+
+module.exports = {
+    ambienteAtual,
+    montarConfiguracaoKnex,
+    bancoDeDados
+};
@@ -0,0 +1,294 @@
+/**
+ * funcionarios.js
+ *
+ * Validação dos dados dos funcionários e importação de planilhas CSV/XLSX,
+ * compartilhadas pela API e pela linha de comando.
+ */
+
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const { bancoDeDados } = require('./banco-de-dados');
+const { registrarAuditoria } = require('./auditoria');
+const { extrairDigitosCpf, validarCpf, formatarCpf, FORMATO_EMAIL, interpretarValorMonetario } = require('./utilitarios');
+const { interpretarData, formatarData, dataAtual } = require('./periodos');
+const { registrarSalarioInicial, registrarAlteracaoSalarial } = require('./salarios');
+
+/**
+ * Valida e normaliza os dados de um funcionário: nome sem espaços sobrando, CPF com
+ * dígitos verificadores corretos no formato 000.000.000-00 e salário decimal não
+ * negativo (aceita "1.234,56"). Com `parcial`, só valida os campos informados (PATCH).
+ * Retorna { dados, erros }, em que `erros` mapeia cada campo para sua mensagem.
+ */
+function validarFuncionario(corpo, { parcial = false } = {}) {
+    const dados = {};
+    const erros = {};
+    const informado = (campo) => corpo[campo] !== undefined;
+
+    if (informado('nome_completo') || !parcial) {
+        const nome = typeof corpo.nome_completo === 'string' ? corpo.nome_completo.trim().replace(/\s+/g, ' ') : '';
+        if (!nome) erros.nome_completo = 'O nome completo é obrigatório.';
+        else if (nome.length > 255) erros.nome_completo = 'O nome deve ter no máximo 255 caracteres.';
+        else dados.nome_completo = nome;
+    }
+
+    if (informado('cpf') || !parcial) {
+        if (corpo.cpf === undefined || corpo.cpf === null || String(corpo.cpf).trim() === '') erros.cpf = 'O CPF é obrigatório.';
+        else if (!validarCpf(corpo.cpf)) erros.cpf = 'CPF inválido.';
+        else dados.cpf = formatarCpf(corpo.cpf);
+    }
+
+    if (informado('salario_base') || !parcial) {
+        const salario = interpretarValorMonetario(
+            typeof corpo.salario_base === 'string' ? corpo.salario_base.trim() : corpo.salario_base
+        );
+        if (corpo.salario_base === undefined || corpo.salario_base === null || corpo.salario_base === '') {
+            erros.salario_base = 'O salário base é obrigatório.';
+        } else if (salario === null) {
+            erros.salario_base = 'Informe um valor não negativo com até duas casas decimais (ex: 2500,00).';
+        } else {
+            dados.salario_base = salario;
+        }
+    }
+
+    // O e-mail é opcional: sem ele, o funcionário só não recebe o recibo por e-mail
+    if (informado('email')) {
+        const email = typeof corpo.email === 'string' ? corpo.email.trim().toLowerCase() : '';
+        if (corpo.email === null || email === '') dados.email = null;
+        else if (!FORMATO_EMAIL.test(email) || email.length > 255) erros.email = 'Informe um e-mail válido.';
+        else dados.email = email;
+    }
+
+    // Admissão e demissão são opcionais e tornam o salário proporcional nos meses em que caem
+    for (const [campo, rotulo] of [['data_admissao', 'admissão'], ['data_demissao', 'demissão']]) {
+        if (!informado(campo)) continue;
+        if (corpo[campo] === null || String(corpo[campo]).trim() === '') dados[campo] = null;
+        else if (!interpretarData(String(corpo[campo]))) erros[campo] = `Data de ${rotulo} inválida.`;
+        else dados[campo] = interpretarData(String(corpo[campo]));
+    }
+    if (dados.data_admissao && dados.data_demissao && dados.data_demissao < dados.data_admissao) {
+        erros.data_demissao = 'A demissão não pode ser anterior à admissão.';
+    }
+
+    if (informado('empresa_id')) {
+        if (!Number.isInteger(Number(corpo.empresa_id)) || Number(corpo.empresa_id) <= 0) erros.empresa_id = 'Empresa inválida.';
+        else dados.empresa_id = Number(corpo.empresa_id);
+    } else if (!parcial) {
+        erros.empresa_id = 'A empresa é obrigatória.';
+    }
+
+    return { dados, erros };
+}
+
+// Nomes de coluna aceitos na planilha (normalizados) para cada campo
+const COLUNAS_IMPORTACAO = {
+    nome_completo: ['nome_completo', 'nome', 'funcionario'],
+    cpf: ['cpf'],
+    salario_base: ['salario_base', 'salario', 'valor']
+};
+
+// Colunas que podem faltar na planilha; quando ausentes, o campo não é alterado
+const COLUNAS_IMPORTACAO_OPCIONAIS = {
+    email: ['email', 'e_mail'],
+    data_admissao: ['data_admissao', 'admissao', 'data_de_admissao'],
+    data_demissao: ['data_demissao', 'demissao', 'data_de_demissao']
+};
+
+/**
+ * Normaliza o cabeçalho de uma coluna (sem acentos, minúsculo, com "_").
+ */
+function normalizarCabecalho(texto) {
+    return String(texto ?? '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+/**
+ * Lê uma planilha CSV (separada por ";" ou ",") ou XLSX e retorna as linhas como
+ * objetos { linha, nome_completo, cpf, salario_base[, email, data_admissao, data_demissao] },
+ * com a linha original da planilha.
+ */
+async function lerPlanilhaFuncionarios(conteudo) {
+    const pastaDeTrabalho = new ExcelJS.Workbook();
+    let planilha;
+
+    // Arquivos XLSX são pacotes ZIP (assinatura "PK")
+    if (conteudo[0] === 0x50 && conteudo[1] === 0x4b) {
+        await pastaDeTrabalho.xlsx.load(conteudo);
+        planilha = pastaDeTrabalho.worksheets[0];
+    } else {
+        const texto = conteudo.toString('utf-8').replace(/^\uFEFF/, '');
+        const primeiraLinha = texto.split(/\r?\n/)[0];
+        const delimitador = primeiraLinha.split(';').length >= primeiraLinha.split(',').length ? ';' : ',';
+        planilha = await pastaDeTrabalho.csv.read(Readable.from([texto]), {
+            parserOptions: { delimiter: delimitador },
+            map: valor => valor // Mantém os valores como texto, sem conversão automática
+        });
+    }
+    if (!planilha) return { erro: 'A planilha está vazia.' };
+
+    const valorCelula = (celula) => {
+        const valor = celula.value;
+        // Datas do XLSX chegam como Date (meia-noite UTC)
+        if (valor instanceof Date) return valor.toISOString().slice(0, 10);
+        if (valor && typeof valor === 'object') return valor.result ?? valor.text ?? '';
+        return valor ?? '';
+    };
+
+    const cabecalho = [];
+    planilha.getRow(1).eachCell((celula, coluna) => { cabecalho[coluna] = normalizarCabecalho(valorCelula(celula)); });
+
+    const indicesColunas = {};
+    for (const [campo, aliases] of Object.entries(COLUNAS_IMPORTACAO)) {
+        const indice = cabecalho.findIndex(nome => aliases.includes(nome));
+        if (indice === -1) {
+            return { erro: `Coluna obrigatória ausente: ${campo}.` };
+        }
+        indicesColunas[campo] = indice;
+    }
+    for (const [campo, aliases] of Object.entries(COLUNAS_IMPORTACAO_OPCIONAIS)) {
+        const indice = cabecalho.findIndex(nome => aliases.includes(nome));
+        if (indice !== -1) indicesColunas[campo] = indice;
+    }
+
+    const linhas = [];
+    planilha.eachRow((linha, numeroLinha) => {
+        if (numeroLinha === 1) return;
+        const registro = { linha: numeroLinha };
+        for (const [campo, indice] of Object.entries(indicesColunas)) {
+            registro[campo] = valorCelula(linha.getCell(indice));
+        }
+        // Uma célula numérica do XLSX perde os zeros à esquerda do CPF
+        if (typeof registro.cpf === 'number') {
+            registro.cpf = String(registro.cpf).padStart(11, '0');
+        }
+        // Ignora linhas completamente em branco
+        if (Object.keys(indicesColunas).some(campo => String(registro[campo]).trim() !== '')) {
+            linhas.push(registro);
+        }
+    });
+    return { linhas };
+}
+
+/**
+ * Valida as linhas lidas da planilha contra os funcionários já cadastrados e
+ * monta as operações da importação na empresa: com o modo "inserir", CPFs já
+ * cadastrados são erro; com "atualizar", atualizam o funcionário da mesma empresa
+ * (um novo salário entra no histórico salarial com vigência a partir de hoje).
+ * Retorna { erros, operacoes }, com os erros por linha e campo.
+ */
+async function planejarImportacao(linhas, empresa, modo) {
+    const existentesPorCpf = new Map();
+    for (const funcionario of await bancoDeDados('funcionarios').select('id', 'cpf', 'salario_base', 'empresa_id', 'desligado_em')) {
+        existentesPorCpf.set(extrairDigitosCpf(funcionario.cpf), funcionario);
+    }
+    const ultimaVigenciaPorFuncionario = new Map((await bancoDeDados('historico_salarios')
+        .select('funcionario_id').max('vigencia_inicio as vigencia_inicio').groupBy('funcionario_id'))
+        .map(({ funcionario_id, vigencia_inicio }) => [funcionario_id, vigencia_inicio]));
+
+    const erros = [];
+    const operacoes = [];
+    const cpfsNaPlanilha = new Map();
+
+    for (const registro of linhas) {
+        const digitosCpf = extrairDigitosCpf(registro.cpf);
+        const { dados, erros: errosDosCampos } = validarFuncionario({
+            nome_completo: String(registro.nome_completo),
+            cpf: String(registro.cpf),
+            salario_base: typeof registro.salario_base === 'number' ? registro.salario_base : String(registro.salario_base),
+            ...Object.fromEntries(Object.keys(COLUNAS_IMPORTACAO_OPCIONAIS)
+                .filter(campo => registro[campo] !== undefined)
+                .map(campo => [campo, String(registro[campo])]))
+        }, { parcial: true });
+        const errosDaLinha = Object.entries(errosDosCampos).map(([campo, mensagem]) => ({
+            campo,
+            mensagem: String(registro[campo]).trim() ? `${mensagem} Valor: "${registro[campo]}".` : mensagem
+        }));
+
+        if (!errosDosCampos.cpf && cpfsNaPlanilha.has(digitosCpf)) {
+            errosDaLinha.push({ campo: 'cpf', mensagem: `CPF repetido na planilha (linha ${cpfsNaPlanilha.get(digitosCpf)}).` });
+        }
+
+        const existente = existentesPorCpf.get(digitosCpf);
+        if (errosDaLinha.length === 0 && existente) {
+            if (modo === 'inserir') {
+                errosDaLinha.push({ campo: 'cpf', mensagem: 'Este CPF já está cadastrado.' });
+            } else if (String(existente.empresa_id) !== String(empresa.id)) {
+                errosDaLinha.push({ campo: 'cpf', mensagem: 'Este CPF está cadastrado em outra empresa.' });
+            } else if (existente.desligado_em) {
+                errosDaLinha.push({ campo: 'cpf', mensagem: 'Este CPF pertence a um funcionário desligado; reative-o antes de importar.' });
+            } else if (Number(dados.salario_base) !== Number(existente.salario_base)
+                && ultimaVigenciaPorFuncionario.get(existente.id) > dataAtual()) {
+                // O novo salário valeria a partir de hoje, antes de uma alteração já agendada
+                errosDaLinha.push({
+                    campo: 'salario_base',
+                    mensagem: `Há uma alteração salarial com vigência em ${formatarData(ultimaVigenciaPorFuncionario.get(existente.id))}; altere o salário pelo cadastro do funcionário.`
+                });
+            }
+        }
+
+        if (validarCpf(digitosCpf) && !cpfsNaPlanilha.has(digitosCpf)) {
+            cpfsNaPlanilha.set(digitosCpf, registro.linha);
+        }
+        if (errosDaLinha.length > 0) {
+            erros.push(...errosDaLinha.map(erro => ({ linha: registro.linha, ...erro })));
+            continue;
+        }
+
+        operacoes.push({
+            linha: registro.linha,
+            acao: existente ? 'atualizar' : 'inserir',
+            id: existente ? existente.id : undefined,
+            ...dados
+        });
+    }
+
+    return { erros, operacoes };
+}
+
+/**
+ * Grava as operações de uma importação sem erros em uma única transação,
+ * registrando cada funcionário inserido ou atualizado na auditoria.
+ */
+async function gravarImportacao(operacoes, empresa, usuario) {
+    await bancoDeDados.transaction(async (transacao) => {
+        for (const operacao of operacoes) {
+            const dados = { nome_completo: operacao.nome_completo, cpf: operacao.cpf, salario_base: operacao.salario_base };
+            for (const campo of Object.keys(COLUNAS_IMPORTACAO_OPCIONAIS)) {
+                if (operacao[campo] !== undefined) dados[campo] = operacao[campo];
+            }
+            if (operacao.acao === 'atualizar') {
+                const funcionarioAnterior = await transacao('funcionarios').where({ id: operacao.id }).first();
+                if (Number(dados.salario_base) !== Number(funcionarioAnterior.salario_base)) {
+                    const { erros } = await registrarAlteracaoSalarial(transacao, usuario, operacao.id, {
+                        salario: dados.salario_base, motivo: 'Importação de planilha'
+                    });
+                    if (erros) throw new Error(`Linha ${operacao.linha}: ${Object.values(erros).join(' ')}`);
+                }
+                await transacao('funcionarios').where({ id: operacao.id })
+                    .update({ ...dados, updated_at: transacao.fn.now() });
+                const funcionario = await transacao('funcionarios').where({ id: operacao.id }).first();
+                await registrarAuditoria(transacao, usuario, {
+                    acao: 'importar', entidade: 'funcionario', entidadeId: funcionario.id, antes: funcionarioAnterior, depois: funcionario
+                });
+            } else {
+                const [funcionario] = await transacao('funcionarios').insert({ ...dados, empresa_id: empresa.id }).returning('*');
+                await registrarSalarioInicial(transacao, funcionario);
+                await registrarAuditoria(transacao, usuario, {
+                    acao: 'importar', entidade: 'funcionario', entidadeId: funcionario.id, depois: funcionario
+                });
+            }
+        }
+    });
+}
+
+module.exports = {
+    validarFuncionario,
+    COLUNAS_IMPORTACAO,
+    COLUNAS_IMPORTACAO_OPCIONAIS,
+    lerPlanilhaFuncionarios,
+    planejarImportacao,
+    gravarImportacao
+};
@@ -0,0 +1,248 @@
+/**
+ * geracao.js
+ *
+ * Geração dos recibos de um período, compartilhada pelo servidor (tarefas em
+ * segundo plano) e pela linha de comando: seleção da empresa, do modelo e dos
+ * funcionários, registro no histórico, renderização e assinatura dos PDFs.
+ */
+
+const crypto = require('crypto');
+const { bancoDeDados } = require('./banco-de-dados');
+const { LIMITE_PAGINAS_PDF, renderizarPdf, processarEmParalelo } = require('./renderizador-pdf');
+const { sanitizarNomeArquivo, calcularValoresRecibo } = require('./utilitarios');
+const { preencherModelo, montarValoresRecibo } = require('./modelos');
+const { gerarCodigoVerificacao, montarVerificacao, carregarAssinante, assinarPdf } = require('./assinatura');
+const { contratadoNoPeriodo, calcularDiasPagos } = require('./periodos');
+const { dividirPeriodoPorSalario } = require('./salarios');
+
+/**
+ * Carrega e valida o que é preciso para uma geração: a empresa, o certificado
+ * (quando `assinar`, por padrão sempre que a empresa tiver um), o modelo (`modeloId`
+ * ou o padrão) e os funcionários (`idsSelecionados` ou todos os ativos da empresa
+ * contratados em algum dia do `periodo`, pelas datas de admissão e demissão).
+ * Retorna { empresa, modelo, funcionarios, assinante } ou { erro: { status, mensagem } }.
+ */
+async function prepararGeracao({ periodo, empresaId, modeloId, idsSelecionados, formato = 'zip', assinar }) {
+    const empresa = await bancoDeDados('empresas').where({ id: empresaId }).first();
+    if (!empresa) {
+        return { erro: { status: 404, mensagem: 'Empresa não encontrada.' } };
+    }
+
+    let assinante = null;
+    if (assinar ?? Boolean(empresa.certificado_p12)) {
+        if (!empresa.certificado_p12) {
+            return { erro: { status: 400, mensagem: 'A empresa não tem certificado digital configurado.' } };
+        }
+        if (new Date(empresa.certificado_validade) < new Date()) {
+            return { erro: { status: 400, mensagem: 'O certificado digital da empresa está vencido.' } };
+        }
+        try {
+            assinante = carregarAssinante(empresa);
+        } catch (erroCertificado) {
+            console.error('Erro ao carregar certificado da empresa:', erroCertificado);
+            return { erro: { status: 500, mensagem: 'Não foi possível carregar o certificado digital da empresa.' } };
+        }
+    }
+
+    // Usa o modelo escolhido ou, se nenhum for informado, o modelo padrão
+    const modelo = modeloId
+        ? await bancoDeDados('modelos_recibo').where({ id: modeloId }).first()
+        : await bancoDeDados('modelos_recibo').where({ padrao: true }).first();
+    if (!modelo) {
+        return { erro: { status: 404, mensagem: 'Modelo de recibo não encontrado.' } };
+    }
+
+    const consultaFuncionarios = bancoDeDados('funcionarios').select('*')
+        .where({ empresa_id: empresa.id })
+        .orderBy('nome_completo');
+    if (idsSelecionados) {
+        consultaFuncionarios.whereIn('id', idsSelecionados.map(Number));
+    } else {
+        consultaFuncionarios.whereNull('desligado_em');
+    }
+    let funcionarios = await consultaFuncionarios;
+    if (!funcionarios || funcionarios.length === 0) {
+        return { erro: { status: 404, mensagem: 'Nenhum funcionário cadastrado para gerar recibos.' } };
+    }
+    if (idsSelecionados) {
+        const idsEncontrados = new Set(funcionarios.map(funcionario => funcionario.id));
+        const idsAusentes = [...new Set(idsSelecionados.map(Number))].filter(id => !idsEncontrados.has(id));
+        if (idsAusentes.length > 0) {
+            return { erro: { status: 404, mensagem: `Funcionário(s) não encontrado(s): ${idsAusentes.join(', ')}.` } };
+        }
+        const desligados = funcionarios.filter(funcionario => funcionario.desligado_em);
+        if (desligados.length > 0) {
+            return {
+                erro: {
+                    status: 409,
+                    mensagem: `Funcionário(s) desligado(s): ${desligados.map(funcionario => funcionario.nome_completo).join(', ')}.`
+                }
+            };
+        }
+        const foraDoContrato = funcionarios.filter(funcionario => !contratadoNoPeriodo(funcionario, periodo));
+        if (foraDoContrato.length > 0) {
+            return {
+                erro: {
+                    status: 409,
+                    mensagem: `Funcionário(s) não contratado(s) no período: ${foraDoContrato.map(funcionario => funcionario.nome_completo).join(', ')}.`
+                }
+            };
+        }
+    } else {
+        // Admitidos depois do período ou demitidos antes dele não recebem recibo
+        funcionarios = funcionarios.filter(funcionario => contratadoNoPeriodo(funcionario, periodo));
+        if (funcionarios.length === 0) {
+            return { erro: { status: 404, mensagem: 'Nenhum funcionário contratado no período para gerar recibos.' } };
+        }
+    }
+    if (formato === 'pdf' && funcionarios.length !== 1) {
+        return { erro: { status: 400, mensagem: 'O formato PDF só está disponível para um único funcionário.' } };
+    }
+
+    return { empresa, modelo, funcionarios, assinante };
+}
+
+/**
+ * Agrupa registros (lançamentos, ausências) pelo funcionário_id.
+ */
+function agruparPorFuncionario(registros) {
+    const registrosPorFuncionario = new Map();
+    for (const registro of registros) {
+        if (!registrosPorFuncionario.has(registro.funcionario_id)) {
+            registrosPorFuncionario.set(registro.funcionario_id, []);
+        }
+        registrosPorFuncionario.get(registro.funcionario_id).push(registro);
+    }
+    return registrosPorFuncionario;
+}
+
+/**
+ * Gera um recibo por funcionário no período validado por validarPeriodo, com o
+ * salário de cada trecho do período pelo histórico salarial, proporcional aos dias
+ * pagos (admissão, demissão e ausências): registra
+ * cada recibo no histórico, renderiza o PDF (até LIMITE_PAGINAS_PDF ao mesmo
+ * tempo), assina-o com `assinante`, se houver, e entrega o conteúdo a
+ * `aoGerarRecibo`. A falha de um funcionário remove o recibo incompleto e é
+ * informada a `aoFalharRecibo`, sem interromper os demais.
+ * Retorna { recibos, falhas }, com os números emitidos.
+ */
+async function gerarRecibos({
+    resultadoPeriodo, empresa, modelo, funcionarios, assinante = null, urlPublica,
+    aoGerarRecibo = async () => {}, aoFalharRecibo = () => {}
+}) {
+    const recibos = [];
+    const falhas = [];
+
+    // Lançamentos da competência, ausências que tocam o período e histórico salarial, por funcionário
+    const lancamentosPorFuncionario = agruparPorFuncionario(await bancoDeDados('lancamentos')
+        .where({ mes: resultadoPeriodo.mes, ano: resultadoPeriodo.ano }).orderBy('id'));
+    const ausenciasPorFuncionario = agruparPorFuncionario(await bancoDeDados('ausencias')
+        .where('inicio', '<=', resultadoPeriodo.fim).andWhere('fim', '>=', resultadoPeriodo.inicio));
+    const historicoPorFuncionario = agruparPorFuncionario(await bancoDeDados('historico_salarios')
+        .whereIn('funcionario_id', funcionarios.map(funcionario => funcionario.id)));
+
+    await processarEmParalelo(funcionarios, LIMITE_PAGINAS_PDF, async (funcionario) => {
+        let numeroRecibo;
+        try {
+            const ausencias = ausenciasPorFuncionario.get(funcionario.id);
+            const diasPagos = calcularDiasPagos(resultadoPeriodo, funcionario, ausencias);
+            // Uma alteração salarial no meio do período divide o salário em trechos, cada
+            // um proporcional aos seus dias pagos; trechos sem dia pago não entram
+            const trechos = dividirPeriodoPorSalario(historicoPorFuncionario.get(funcionario.id), resultadoPeriodo)
+                .map(trecho => ({
+                    ...trecho,
+                    diasPagos: calcularDiasPagos({ ...resultadoPeriodo, ...trecho }, funcionario, ausencias).diasPagos
+                }));
+            const trechosPagos = trechos.filter(trecho => trecho.diasPagos > 0);
+            const { salario } = trechosPagos.length === 1 ? trechosPagos[0] : trechos[trechos.length - 1];
+            const valores = calcularValoresRecibo(
+                salario ? { ...funcionario, salario_base: salario.salario } : funcionario,
+                lancamentosPorFuncionario.get(funcionario.id) || [],
+                diasPagos,
+                trechosPagos.length > 1
+                    ? trechosPagos.map(trecho => ({
+                        inicio: trecho.inicio, fim: trecho.fim, salarioBase: trecho.salario.salario, diasPagos: trecho.diasPagos
+                    }))
+                    : null
+            );
+            const dataEmissao = new Date();
+            const codigoVerificacao = gerarCodigoVerificacao();
+
+            // Registra o recibo antes de renderizar para obter o número sequencial
+            [{ id: numeroRecibo }] = await bancoDeDados('recibos').insert({
+                funcionario_id: funcionario.id,
+                empresa_id: empresa.id,
+                empresa_nome: empresa.nome,
+                empresa_cnpj: empresa.cnpj,
+                nome_completo: funcionario.nome_completo,
+                cpf: funcionario.cpf,
+                valor: valores.valorLiquido,
+                total_proventos: valores.totalProventos,
+                total_descontos: valores.totalDescontos,
+                mes: resultadoPeriodo.mes,
+                ano: resultadoPeriodo.ano,
+                periodo: resultadoPeriodo.textoFormatado,
+                periodo_inicio: resultadoPeriodo.inicio,
+                periodo_fim: resultadoPeriodo.fim,
+                data_pagamento: resultadoPeriodo.dataPagamento,
+                data_emissao: dataEmissao.toISOString(),
+                codigo_verificacao: codigoVerificacao
+            }).returning('id');
+            recibos.push(numeroRecibo);
+
+            const conteudoHtml = preencherModelo(modelo.conteudo_html, montarValoresRecibo({
+                empresa, funcionario, valores, resultadoPeriodo, numeroRecibo, dataEmissao,
+                codigoVerificacao,
+                ...await montarVerificacao(urlPublica, codigoVerificacao),
+                titularAssinatura: assinante ? assinante.titular : null
+            }));
+
+            const nomeArquivo = `RECIBO-${sanitizarNomeArquivo(funcionario.nome_completo)}-${resultadoPeriodo.stringSanitizada}.pdf`;
+
+            let conteudoPdf = await renderizarPdf(conteudoHtml);
+            if (assinante) {
+                conteudoPdf = await assinarPdf(conteudoPdf, assinante, empresa);
+            }
+
+            await bancoDeDados('recibos').where({ id: numeroRecibo }).update({
+                nome_arquivo: nomeArquivo,
+                assinado: Boolean(assinante),
+                hash_certificado: assinante ? assinante.hashCertificado : null,
+                hash_arquivo: crypto.createHash('sha256').update(conteudoPdf).digest('hex'),
+                conteudo_pdf: conteudoPdf
+            });
+
+            await aoGerarRecibo({ funcionario, numeroRecibo, nomeArquivo, conteudoPdf });
+        } catch (erroFuncionario) {
+            if (numeroRecibo) {
+                recibos.splice(recibos.indexOf(numeroRecibo), 1);
+                await bancoDeDados('recibos').where({ id: numeroRecibo }).del()
+                    .catch(erroLimpeza => console.error('Erro ao remover recibo incompleto:', erroLimpeza));
+            }
+            const falha = {
+                funcionario_id: funcionario.id,
+                nome_completo: funcionario.nome_completo,
+                erro: erroFuncionario.message
+            };
+            falhas.push(falha);
+            aoFalharRecibo(falha, erroFuncionario);
+        }
+    });
+
+    return { recibos: recibos.sort((a, b) => a - b), falhas };
+}
+
+/**
+ * Remove do histórico recibos de uma geração cujo arquivo não chegou a ser entregue.
+ */
+async function removerRecibos(ids) {
+    if (ids.length === 0) return;
+    await bancoDeDados('recibos').whereIn('id', ids).del()
+        .catch(erroLimpeza => console.error('Erro ao remover recibos incompletos:', erroLimpeza));
+}
+
+module.exports = {
+    prepararGeracao,
+    gerarRecibos,
+    removerRecibos
+};
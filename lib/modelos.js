@@ -0,0 +1,150 @@
+/**
+ * modelos.js
+ *
+ * Placeholders dos modelos de recibo e preenchimento do HTML com os dados de cada recibo.
+ */
+
+const numeroPorExtenso = require('numero-por-extenso');
+const { formatarNumeroRecibo, formatarMoeda, escaparHtml, montarLinhasLancamentos } = require('./utilitarios');
+const { CSS_FONTES_RECIBO } = require('./renderizador-pdf');
+const { formatarData, converterDataIso } = require('./periodos');
+
+const FORMATO_DATA_POR_EXTENSO = { day: '2-digit', month: 'long', year: 'numeric' };
+
+// Placeholders disponíveis nos modelos de recibo, no formato {{CHAVE}}
+const PLACEHOLDERS_RECIBO = [
+    { chave: 'NUMERO_RECIBO', descricao: 'Número sequencial do recibo (ex: 000042).' },
+    { chave: 'NOME', descricao: 'Nome completo do funcionário.' },
+    { chave: 'CPF', descricao: 'CPF do funcionário.' },
+    { chave: 'VALOR_FORMATADO', descricao: 'Valor líquido em reais (ex: R$ 2.500,00).' },
+    { chave: 'VALOR_POR_EXTENSO', descricao: 'Valor líquido por extenso, em maiúsculas.' },
+    { chave: 'TOTAL_PROVENTOS', descricao: 'Soma dos proventos (salário base incluído).' },
+    { chave: 'TOTAL_DESCONTOS', descricao: 'Soma dos descontos.' },
+    { chave: 'DIAS_PAGOS', descricao: 'Dias pagos no período sobre os dias do mês (ex: 16 de 31); vazio se o mês for pago inteiro.' },
+    { chave: 'CALCULO_PROPORCIONAL', descricao: 'Cálculo do salário proporcional (admissão, demissão, ausências); vazio se o mês for pago inteiro.' },
+    { chave: 'LINHAS_LANCAMENTOS', descricao: 'Linhas <tr> da tabela de proventos e descontos (descrição, provento, desconto).' },
+    { chave: 'PERIODO', descricao: 'Período de referência (ex: 01/10/2025 a 31/10/2025).' },
+    { chave: 'PERIODO_INICIO', descricao: 'Data de início do período de referência (ex: 01/10/2025).' },
+    { chave: 'PERIODO_FIM', descricao: 'Data de fim do período de referência (ex: 31/10/2025).' },
+    { chave: 'COMPETENCIA', descricao: 'Mês e ano de competência da folha (ex: 10/2025).' },
+    { chave: 'DATA_ATUAL', descricao: 'Data de emissão por extenso (ex: 20 de outubro de 2025).' },
+    { chave: 'DATA_PAGAMENTO', descricao: 'Data de pagamento por extenso (ex: 05 de novembro de 2025); sem ela, a data de emissão.' },
+    { chave: 'EMPRESA_NOME', descricao: 'Nome da empresa emissora.' },
+    { chave: 'EMPRESA_CNPJ', descricao: 'CNPJ da empresa emissora.' },
+    { chave: 'EMPRESA_ENDERECO', descricao: 'Endereço da empresa emissora.' },
+    { chave: 'CIDADE', descricao: 'Cidade da empresa emissora.' },
+    { chave: 'LOGO_CABECALHO', descricao: 'Logo do cabeçalho da empresa (Data URI, para uso em <img src>).' },
+    { chave: 'LOGO_RODAPE', descricao: 'Logo do rodapé da empresa (Data URI, para uso em <img src>).' },
+    { chave: 'CODIGO_VERIFICACAO', descricao: 'Código para conferir a autenticidade do recibo na página de verificação.' },
+    { chave: 'URL_VERIFICACAO', descricao: 'Endereço da página pública de verificação deste recibo.' },
+    { chave: 'QR_CODE_VERIFICACAO', descricao: 'QR code que aponta para a página de verificação (Data URI, para uso em <img src>).' },
+    { chave: 'ASSINATURA_DIGITAL', descricao: 'Aviso de assinatura digital com o titular do certificado (vazio se o recibo não for assinado).' },
+    { chave: 'FONTES', descricao: 'Regras @font-face da fonte Roboto embutida, para uso dentro de <style> (não depende de internet).' }
+];
+
+// Placeholders cujo valor já é HTML montado pelo servidor e não deve ser escapado
+const PLACEHOLDERS_HTML = new Set(['LINHAS_LANCAMENTOS', 'FONTES']);
+
+const EXPRESSAO_PLACEHOLDER = /{{\s*([A-Z_]+)\s*}}/g;
+
+/**
+ * Retorna os placeholders usados no modelo que não existem na lista de disponíveis.
+ */
+function encontrarPlaceholdersDesconhecidos(conteudoHtml) {
+    const conhecidos = new Set(PLACEHOLDERS_RECIBO.map(placeholder => placeholder.chave));
+    const usados = [...conteudoHtml.matchAll(EXPRESSAO_PLACEHOLDER)].map(([, chave]) => chave);
+    return [...new Set(usados)].filter(chave => !conhecidos.has(chave));
+}
+
+/**
+ * Substitui os placeholders do modelo pelos valores informados, escapando o HTML.
+ */
+function preencherModelo(conteudoHtml, valores) {
+    return conteudoHtml.replace(EXPRESSAO_PLACEHOLDER, (trecho, chave) => {
+        if (!(chave in valores)) return trecho;
+        return PLACEHOLDERS_HTML.has(chave) ? valores[chave] : escaparHtml(valores[chave]);
+    });
+}
+
+/**
+ * Escreve um valor em reais por extenso, em minúsculas. Corrige duas falhas da
+ * biblioteca: zero sai vazio e milhões redondos saem sem o "de" ("um milhão reais").
+ */
+function valorPorExtenso(valor) {
+    if (Math.round(Number(valor) * 100) === 0) return 'zero reais';
+    return numeroPorExtenso.porExtenso(valor, 'monetario')
+        .replace(/\b(milhão|milhões|bilhão|bilhões|trilhão|trilhões) reais\b/, '$1 de reais');
+}
+
+/**
+ * Descreve o cálculo do salário proporcional impresso no recibo, como
+ * "Salário proporcional: R$ 3.000,00 ÷ 31 dias × 16 dias = R$ 1.548,39 (admissão em 16/10/2025).",
+ * com uma parcela por trecho quando o salário muda no meio do período.
+ */
+function descreverCalculoProporcional(proporcionalidade) {
+    if (!proporcionalidade) return '';
+    const dias = (quantidade) => `${quantidade} ${quantidade === 1 ? 'dia' : 'dias'}`;
+    const detalhes = [];
+    if (proporcionalidade.diasPeriodo !== proporcionalidade.diasMes) detalhes.push(`período de ${dias(proporcionalidade.diasPeriodo)}`);
+    if (proporcionalidade.admissao) detalhes.push(`admissão em ${formatarData(proporcionalidade.admissao)}`);
+    if (proporcionalidade.demissao) detalhes.push(`demissão em ${formatarData(proporcionalidade.demissao)}`);
+    if (proporcionalidade.diasAusencia > 0) detalhes.push(`${dias(proporcionalidade.diasAusencia)} de ausência`);
+
+    const parcelas = proporcionalidade.trechos
+        ? proporcionalidade.trechos.map(trecho => `${formatarMoeda(trecho.salarioBase)} ÷ ${dias(proporcionalidade.diasMes)}`
+            + ` × ${dias(trecho.diasPagos)} (de ${formatarData(trecho.inicio)} a ${formatarData(trecho.fim)})`)
+        : [`${formatarMoeda(proporcionalidade.salarioBase)} ÷ ${dias(proporcionalidade.diasMes)} × ${dias(proporcionalidade.diasPagos)}`];
+    return `Salário proporcional: ${parcelas.join(' + ')} = ${formatarMoeda(proporcionalidade.salarioProporcional)}`
+        + `${detalhes.length > 0 ? ` (${detalhes.join('; ')})` : ''}.`;
+}
+
+/**
+ * Monta os valores dos placeholders de um recibo. `resultadoPeriodo` é o período
+ * validado por validarPeriodo (lib/periodos.js).
+ */
+function montarValoresRecibo({
+    empresa, funcionario, valores, resultadoPeriodo, numeroRecibo, dataEmissao,
+    codigoVerificacao, urlVerificacao, qrCodeVerificacao, titularAssinatura
+}) {
+    return {
+        NUMERO_RECIBO: formatarNumeroRecibo(numeroRecibo),
+        NOME: funcionario.nome_completo,
+        CPF: funcionario.cpf,
+        VALOR_FORMATADO: formatarMoeda(valores.valorLiquido),
+        VALOR_POR_EXTENSO: valorPorExtenso(valores.valorLiquido).toUpperCase(),
+        TOTAL_PROVENTOS: formatarMoeda(valores.totalProventos),
+        TOTAL_DESCONTOS: formatarMoeda(valores.totalDescontos),
+        DIAS_PAGOS: valores.proporcionalidade
+            ? `${valores.proporcionalidade.diasPagos} de ${valores.proporcionalidade.diasMes}` : '',
+        CALCULO_PROPORCIONAL: descreverCalculoProporcional(valores.proporcionalidade),
+        LINHAS_LANCAMENTOS: montarLinhasLancamentos(valores.itens),
+        PERIODO: resultadoPeriodo.textoFormatado,
+        PERIODO_INICIO: formatarData(resultadoPeriodo.inicio),
+        PERIODO_FIM: formatarData(resultadoPeriodo.fim),
+        COMPETENCIA: resultadoPeriodo.competencia,
+        DATA_ATUAL: dataEmissao.toLocaleDateString('pt-BR', FORMATO_DATA_POR_EXTENSO),
+        DATA_PAGAMENTO: (resultadoPeriodo.dataPagamento ? converterDataIso(resultadoPeriodo.dataPagamento) : dataEmissao)
+            .toLocaleDateString('pt-BR', FORMATO_DATA_POR_EXTENSO),
+        EMPRESA_NOME: empresa.nome,
+        EMPRESA_CNPJ: empresa.cnpj,
+        EMPRESA_ENDERECO: empresa.endereco || '',
+        CIDADE: empresa.cidade,
+        LOGO_CABECALHO: empresa.logo_cabecalho || '',
+        LOGO_RODAPE: empresa.logo_rodape || '',
+        CODIGO_VERIFICACAO: codigoVerificacao,
+        URL_VERIFICACAO: urlVerificacao,
+        QR_CODE_VERIFICACAO: qrCodeVerificacao,
+        ASSINATURA_DIGITAL: titularAssinatura ? `Documento assinado digitalmente por ${titularAssinatura}` : '',
+        FONTES: CSS_FONTES_RECIBO
+    };
+}
+
+module.exports = {
+    PLACEHOLDERS_RECIBO,
+    PLACEHOLDERS_HTML,
+    EXPRESSAO_PLACEHOLDER,
+    encontrarPlaceholdersDesconhecidos,
+    preencherModelo,
+    valorPorExtenso,
+    montarValoresRecibo
+};
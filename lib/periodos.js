@@ -0,0 +1,195 @@
+/**
+ * periodos.js
+ *
+ * Período de referência dos recibos: a competência (mês e ano dos lançamentos),
+ * as datas de início e fim do período trabalhado (o mês inteiro, uma quinzena,
+ * uma semana ou os dias desde a admissão) e a data de pagamento.
+ */
+
+const { interpretarPeriodo } = require('./utilitarios');
+
+const MILISSEGUNDOS_POR_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * Interpreta uma data no formato AAAA-MM-DD (campo de data do navegador) ou
+ * DD/MM/AAAA e retorna-a como AAAA-MM-DD, ou null se não for uma data existente.
+ */
+function interpretarData(texto) {
+    const valor = typeof texto === 'string' ? texto.trim() : '';
+    const formatoIso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(valor);
+    const formatoBrasileiro = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(valor);
+    if (!formatoIso && !formatoBrasileiro) return null;
+
+    const [ano, mes, dia] = formatoIso
+        ? formatoIso.slice(1).map(Number)
+        : formatoBrasileiro.slice(1).reverse().map(Number);
+    const data = new Date(Date.UTC(ano, mes - 1, dia));
+    // Rejeita datas inexistentes, como 31/02, que o Date converteria para março
+    if (data.getUTCFullYear() !== ano || data.getUTCMonth() !== mes - 1 || data.getUTCDate() !== dia) return null;
+    return data.toISOString().slice(0, 10);
+}
+
+/**
+ * Formata uma data AAAA-MM-DD como DD/MM/AAAA.
+ */
+function formatarData(dataIso) {
+    const [ano, mes, dia] = dataIso.split('-');
+    return `${dia}/${mes}/${ano}`;
+}
+
+/**
+ * Data de hoje, no fuso local, como AAAA-MM-DD.
+ */
+function dataAtual() {
+    const hoje = new Date();
+    return `${hoje.getFullYear()}-${String(hoje.getMonth() + 1).padStart(2, '0')}-${String(hoje.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Converte uma data AAAA-MM-DD em um Date no fuso local, para formatação por extenso.
+ */
+function converterDataIso(dataIso) {
+    const [ano, mes, dia] = dataIso.split('-').map(Number);
+    return new Date(ano, mes - 1, dia);
+}
+
+/**
+ * Valida o período de uma geração. Aceita o texto da competência ("10/2025",
+ * "outubro/2025" ou "2025-10"), que cobre o mês inteiro, ou um objeto
+ * { competencia, inicio, fim, data_pagamento } com as datas em AAAA-MM-DD;
+ * sem início e fim, o período também é o mês inteiro da competência.
+ * Retorna { periodo } ou { erro } com a mensagem para o usuário.
+ */
+function validarPeriodo(entrada) {
+    const dados = entrada !== null && typeof entrada === 'object' ? entrada : { competencia: entrada };
+    const informado = (campo) => dados[campo] !== undefined && dados[campo] !== null && dados[campo] !== '';
+
+    const competencia = typeof dados.competencia === 'string' ? interpretarPeriodo(dados.competencia) : {};
+    if (!competencia.mes || competencia.ano < 2000 || competencia.ano > 2100) {
+        return { erro: 'Competência inválida. Informe o mês e o ano (ex: 10/2025).' };
+    }
+    const { mes, ano } = competencia;
+    const mesFormatado = String(mes).padStart(2, '0');
+    const diasMes = new Date(ano, mes, 0).getDate();
+    const primeiroDia = `${ano}-${mesFormatado}-01`;
+    const ultimoDia = `${ano}-${mesFormatado}-${String(diasMes).padStart(2, '0')}`;
+
+    if (informado('inicio') !== informado('fim')) {
+        return { erro: 'Informe as datas de início e de fim do período, ou nenhuma delas para usar o mês inteiro da competência.' };
+    }
+    const inicio = informado('inicio') ? interpretarData(dados.inicio) : primeiroDia;
+    if (!inicio) {
+        return { erro: 'Data de início do período inválida.' };
+    }
+    const fim = informado('fim') ? interpretarData(dados.fim) : ultimoDia;
+    if (!fim) {
+        return { erro: 'Data de fim do período inválida.' };
+    }
+    if (inicio > fim) {
+        return { erro: 'A data de início do período deve ser anterior à data de fim.' };
+    }
+    // O salário é proporcional aos dias da competência: o período não pode passar deles
+    if (numeroDoDia(fim) - numeroDoDia(inicio) + 1 > diasMes) {
+        return { erro: `O período pode ter no máximo ${diasMes} dias, os dias da competência ${mesFormatado}/${ano}.` };
+    }
+    if (fim < primeiroDia || inicio > ultimoDia) {
+        return { erro: `O período deve incluir dias da competência ${mesFormatado}/${ano}.` };
+    }
+
+    let dataPagamento = null;
+    if (informado('data_pagamento')) {
+        dataPagamento = interpretarData(dados.data_pagamento);
+        if (!dataPagamento) {
+            return { erro: 'Data de pagamento inválida.' };
+        }
+    }
+
+    const mesInteiro = inicio === primeiroDia && fim === ultimoDia;
+    return {
+        periodo: {
+            mes,
+            ano,
+            competencia: `${mesFormatado}/${ano}`,
+            inicio,
+            fim,
+            dataPagamento,
+            textoFormatado: `${formatarData(inicio)} a ${formatarData(fim)}`,
+            // Usado nos nomes dos arquivos: "10-2025" para o mês inteiro, as datas nos demais casos
+            stringSanitizada: mesInteiro
+                ? `${mesFormatado}-${ano}`
+                : `${formatarData(inicio)}-a-${formatarData(fim)}`.replace(/\//g, '-')
+        }
+    };
+}
+
+/**
+ * Número do dia (desde 1970) de uma data AAAA-MM-DD, para contar dias entre datas.
+ */
+function numeroDoDia(dataIso) {
+    return Date.parse(dataIso) / MILISSEGUNDOS_POR_DIA;
+}
+
+/**
+ * Dia anterior a uma data AAAA-MM-DD, no mesmo formato.
+ */
+function diaAnterior(dataIso) {
+    return new Date(Date.parse(dataIso) - MILISSEGUNDOS_POR_DIA).toISOString().slice(0, 10);
+}
+
+/**
+ * Informa se o funcionário estava contratado em algum dia do período, pelas datas
+ * de admissão e de demissão (quando informadas).
+ */
+function contratadoNoPeriodo(funcionario, periodo) {
+    return (!funcionario.data_admissao || funcionario.data_admissao <= periodo.fim)
+        && (!funcionario.data_demissao || funcionario.data_demissao >= periodo.inicio);
+}
+
+/**
+ * Conta os dias pagos ao funcionário no período: os dias entre o início e o fim
+ * que estão dentro do contrato (admissão e demissão), menos os dias de ausência.
+ * O salário é proporcional aos dias pagos sobre os dias do mês da competência;
+ * `proporcional` é falso quando o mês inteiro é pago.
+ */
+function calcularDiasPagos(periodo, funcionario, ausencias = []) {
+    const diasMes = new Date(periodo.ano, periodo.mes, 0).getDate();
+    const diasPeriodo = numeroDoDia(periodo.fim) - numeroDoDia(periodo.inicio) + 1;
+
+    const inicioContrato = funcionario.data_admissao && funcionario.data_admissao > periodo.inicio
+        ? funcionario.data_admissao : periodo.inicio;
+    const fimContrato = funcionario.data_demissao && funcionario.data_demissao < periodo.fim
+        ? funcionario.data_demissao : periodo.fim;
+    const diasContrato = Math.max(0, numeroDoDia(fimContrato) - numeroDoDia(inicioContrato) + 1);
+
+    // Ausências podem se sobrepor: cada dia é descontado uma única vez
+    const diasAusentes = new Set();
+    for (const ausencia of ausencias) {
+        const primeiro = Math.max(numeroDoDia(ausencia.inicio), numeroDoDia(inicioContrato));
+        const ultimo = Math.min(numeroDoDia(ausencia.fim), numeroDoDia(fimContrato));
+        for (let dia = primeiro; dia <= ultimo; dia++) diasAusentes.add(dia);
+    }
+
+    const diasPagos = Math.max(0, diasContrato - diasAusentes.size);
+    return {
+        diasMes,
+        diasPeriodo,
+        diasContrato,
+        diasAusencia: diasAusentes.size,
+        diasPagos,
+        // Admissão e demissão só aparecem no cálculo quando caem dentro do período
+        admissao: inicioContrato !== periodo.inicio ? inicioContrato : null,
+        demissao: fimContrato !== periodo.fim ? fimContrato : null,
+        proporcional: diasPagos !== diasMes
+    };
+}
+
+module.exports = {
+    interpretarData,
+    formatarData,
+    dataAtual,
+    converterDataIso,
+    diaAnterior,
+    validarPeriodo,
+    contratadoNoPeriodo,
+    calcularDiasPagos
+};
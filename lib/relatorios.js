@@ -0,0 +1,302 @@
+/**
+ * relatorios.js
+ *
+ * Relatórios da folha de uma competência, montados a partir dos recibos emitidos:
+ * total pago, número de funcionários, valores por funcionário e por empresa, em
+ * JSON, PDF de resumo, CSV e no layout de lançamentos da exportação contábil.
+ */
+
+const ExcelJS = require('exceljs');
+const { bancoDeDados } = require('./banco-de-dados');
+const { CSS_FONTES_RECIBO } = require('./renderizador-pdf');
+const { converterValorNumerico, formatarMoeda, formatarNumeroRecibo, escaparHtml } = require('./utilitarios');
+const { formatarData } = require('./periodos');
+
+const FORMATOS_RELATORIO = ['json', 'pdf', 'csv', 'contabil'];
+
+// Soma valores monetários em centavos, sem acumular erros de ponto flutuante
+const somarValores = (valores) => valores.reduce((total, valor) => total + Math.round(valor * 100), 0) / 100;
+
+/**
+ * Resume uma lista de linhas do relatório: recibos, funcionários distintos e os
+ * totais de proventos, descontos e líquido.
+ */
+function totalizar(linhas) {
+    return {
+        recibos: linhas.length,
+        funcionarios: new Set(linhas.map(linha => linha.funcionario_id ?? linha.cpf)).size,
+        proventos: somarValores(linhas.map(linha => linha.proventos)),
+        descontos: somarValores(linhas.map(linha => linha.descontos)),
+        liquido: somarValores(linhas.map(linha => linha.liquido))
+    };
+}
+
+/**
+ * Monta o relatório da folha da competência `mes`/`ano`, de uma empresa ou de
+ * todas. Cada recibo gerado de novo para o mesmo funcionário e período substitui
+ * o anterior: conta só o mais recente, para que as regerações não dupliquem os
+ * totais. Retorna { competencia, totais, empresas, funcionarios }, com as
+ * empresas em ordem alfabética e, em cada uma, as suas linhas e contas contábeis.
+ */
+async function montarRelatorioFolha({ mes, ano, empresaId }) {
+    const consulta = bancoDeDados('recibos')
+        .select('id', 'funcionario_id', 'empresa_id', 'empresa_nome', 'empresa_cnpj', 'nome_completo', 'cpf',
+            'valor', 'total_proventos', 'total_descontos', 'periodo', 'periodo_inicio', 'periodo_fim', 'data_pagamento')
+        .where({ mes, ano })
+        .orderBy('id', 'desc');
+    if (empresaId) {
+        consulta.where({ empresa_id: empresaId });
+    }
+
+    const vistos = new Set();
+    const linhas = [];
+    for (const recibo of await consulta) {
+        const chave = [recibo.empresa_id, recibo.funcionario_id ?? recibo.cpf, recibo.periodo_inicio, recibo.periodo_fim].join('|');
+        if (vistos.has(chave)) continue;
+        vistos.add(chave);
+
+        const liquido = converterValorNumerico(recibo.valor);
+        // Recibos anteriores aos totais gravados: o líquido conta como provento
+        const totaisGravados = recibo.total_proventos !== null && recibo.total_proventos !== undefined;
+        linhas.push({
+            recibo_id: recibo.id,
+            numero: formatarNumeroRecibo(recibo.id),
+            funcionario_id: recibo.funcionario_id,
+            empresa_id: recibo.empresa_id,
+            empresa_nome: recibo.empresa_nome,
+            empresa_cnpj: recibo.empresa_cnpj,
+            nome_completo: recibo.nome_completo,
+            cpf: recibo.cpf,
+            periodo: recibo.periodo,
+            data_pagamento: recibo.data_pagamento,
+            proventos: totaisGravados ? converterValorNumerico(recibo.total_proventos) : liquido,
+            descontos: totaisGravados ? converterValorNumerico(recibo.total_descontos) : 0,
+            liquido
+        });
+    }
+    linhas.sort((a, b) => (a.empresa_nome || '').localeCompare(b.empresa_nome || '', 'pt-BR')
+        || a.nome_completo.localeCompare(b.nome_completo, 'pt-BR')
+        || a.recibo_id - b.recibo_id);
+
+    const idsEmpresas = [...new Set(linhas.map(linha => linha.empresa_id).filter(Boolean))];
+    const contasPorEmpresa = new Map((await bancoDeDados('empresas')
+        .select('id', 'conta_despesa_salarios', 'conta_salarios_a_pagar', 'conta_descontos_a_recolher')
+        .whereIn('id', idsEmpresas))
+        .map(({ id, ...contas }) => [id, contas]));
+
+    const empresas = [];
+    for (const linha of linhas) {
+        let empresa = empresas[empresas.length - 1];
+        if (!empresa || empresa.empresa_id !== linha.empresa_id) {
+            empresa = {
+                empresa_id: linha.empresa_id,
+                empresa_nome: linha.empresa_nome,
+                empresa_cnpj: linha.empresa_cnpj,
+                contas: contasPorEmpresa.get(linha.empresa_id) || null,
+                linhas: []
+            };
+            empresas.push(empresa);
+        }
+        empresa.linhas.push(linha);
+    }
+    empresas.forEach(empresa => { empresa.totais = totalizar(empresa.linhas); });
+
+    return {
+        competencia: `${String(mes).padStart(2, '0')}/${ano}`,
+        mes,
+        ano,
+        totais: totalizar(linhas),
+        empresas,
+        funcionarios: linhas
+    };
+}
+
+/**
+ * Gera o CSV do relatório no padrão do Excel em português (";" e vírgula decimal):
+ * uma linha por recibo, o total de cada empresa depois das suas linhas e o total
+ * geral no fim, identificados pela coluna "tipo".
+ */
+async function gerarCsvFolha(relatorio) {
+    const pastaDeTrabalho = new ExcelJS.Workbook();
+    const planilha = pastaDeTrabalho.addWorksheet('Folha');
+    planilha.columns = [
+        'tipo', 'competencia', 'empresa', 'cnpj', 'numero_recibo', 'nome_completo', 'cpf', 'periodo',
+        'data_pagamento', 'funcionarios', 'proventos', 'descontos', 'liquido'
+    ].map(coluna => ({ header: coluna, key: coluna }));
+
+    const valores = (item) => ({
+        proventos: item.proventos.toFixed(2).replace('.', ','),
+        descontos: item.descontos.toFixed(2).replace('.', ','),
+        liquido: item.liquido.toFixed(2).replace('.', ',')
+    });
+    for (const empresa of relatorio.empresas) {
+        for (const linha of empresa.linhas) {
+            planilha.addRow({
+                tipo: 'funcionario',
+                competencia: relatorio.competencia,
+                empresa: linha.empresa_nome,
+                cnpj: linha.empresa_cnpj,
+                numero_recibo: linha.numero,
+                nome_completo: linha.nome_completo,
+                cpf: linha.cpf,
+                periodo: linha.periodo,
+                data_pagamento: linha.data_pagamento ? formatarData(linha.data_pagamento) : '',
+                funcionarios: 1,
+                ...valores(linha)
+            });
+        }
+        planilha.addRow({
+            tipo: 'total_empresa',
+            competencia: relatorio.competencia,
+            empresa: empresa.empresa_nome,
+            cnpj: empresa.empresa_cnpj,
+            funcionarios: empresa.totais.funcionarios,
+            ...valores(empresa.totais)
+        });
+    }
+    planilha.addRow({
+        tipo: 'total_geral',
+        competencia: relatorio.competencia,
+        funcionarios: relatorio.totais.funcionarios,
+        ...valores(relatorio.totais)
+    });
+
+    const csv = await pastaDeTrabalho.csv.writeBuffer({ formatterOptions: { delimiter: ';' } });
+    return Buffer.concat([Buffer.from('\uFEFF'), Buffer.from(csv)]);
+}
+
+/**
+ * Gera a exportação contábil: um arquivo texto, sem cabeçalho, com um lançamento
+ * por linha no layout "data;conta débito;conta crédito;valor;histórico;CNPJ"
+ * (data DD/MM/AAAA, valor com vírgula decimal e sem separador de milhar). Cada
+ * recibo gera a despesa com salários (proventos) contra os salários a pagar e,
+ * se houver descontos, os salários a pagar contra os descontos a recolher; o que
+ * sobra em salários a pagar é o líquido do recibo. A data é a de pagamento do
+ * recibo ou, sem ela, o último dia da competência. O arquivo é gravado em Latin-1
+ * (ANSI), a codificação esperada pelos importadores de lançamentos.
+ * Retorna { conteudo } ou { erro } se alguma empresa não tiver as contas configuradas.
+ */
+function gerarExportacaoContabil(relatorio) {
+    const semContas = relatorio.empresas.filter(empresa => !empresa.contas
+        || !empresa.contas.conta_despesa_salarios || !empresa.contas.conta_salarios_a_pagar
+        || (empresa.totais.descontos > 0 && !empresa.contas.conta_descontos_a_recolher));
+    if (semContas.length > 0) {
+        return {
+            erro: `Configure as contas contábeis da(s) empresa(s): ${semContas.map(empresa => empresa.empresa_nome).join(', ')}.`
+        };
+    }
+
+    const ultimoDia = String(new Date(relatorio.ano, relatorio.mes, 0).getDate()).padStart(2, '0');
+    const dataPadrao = `${ultimoDia}/${relatorio.competencia}`;
+    // O ";" separa os campos e não pode aparecer no histórico; o que não existe em Latin-1 vira "?"
+    const campo = (valor) => String(valor ?? '').replace(/[;\r\n]+/g, ' ').replace(/[^\x00-\xFF]/g, '?').trim();
+
+    const lancamentos = [];
+    for (const empresa of relatorio.empresas) {
+        const { conta_despesa_salarios, conta_salarios_a_pagar, conta_descontos_a_recolher } = empresa.contas;
+        for (const linha of empresa.linhas) {
+            const data = linha.data_pagamento ? formatarData(linha.data_pagamento) : dataPadrao;
+            const historico = `Folha ${relatorio.competencia} - ${linha.nome_completo} - recibo ${linha.numero}`;
+            lancamentos.push([data, conta_despesa_salarios, conta_salarios_a_pagar, linha.proventos, `${historico} - proventos`, empresa.empresa_cnpj]);
+            if (linha.descontos > 0) {
+                lancamentos.push([data, conta_salarios_a_pagar, conta_descontos_a_recolher, linha.descontos, `${historico} - descontos`, empresa.empresa_cnpj]);
+            }
+        }
+    }
+
+    const conteudo = lancamentos
+        .map(([data, debito, credito, valor, historico, cnpj]) =>
+            [data, debito, credito, valor.toFixed(2).replace('.', ','), historico, cnpj].map(campo).join(';'))
+        .join('\r\n');
+    return { conteudo: Buffer.from(`${conteudo}\r\n`, 'latin1') };
+}
+
+/**
+ * Monta o HTML do resumo da folha, renderizado em PDF pelo mesmo Chromium dos recibos:
+ * os totais gerais, o quadro por empresa e a lista de funcionários de cada uma.
+ */
+function gerarHtmlFolha(relatorio, dataEmissao = new Date()) {
+    const celulasValores = (item) => `
+                    <td class="valor">${formatarMoeda(item.proventos)}</td>
+                    <td class="valor">${formatarMoeda(item.descontos)}</td>
+                    <td class="valor">${formatarMoeda(item.liquido)}</td>`;
+
+    const quadroEmpresas = relatorio.empresas.map(empresa => `
+                <tr>
+                    <td>${escaparHtml(empresa.empresa_nome)}<br><small>${escaparHtml(empresa.empresa_cnpj)}</small></td>
+                    <td class="numero">${empresa.totais.funcionarios}</td>${celulasValores(empresa.totais)}
+                </tr>`).join('');
+
+    const secoesEmpresas = relatorio.empresas.map(empresa => `
+        <h2>${escaparHtml(empresa.empresa_nome)}</h2>
+        <table>
+            <thead>
+                <tr><th>Recibo</th><th>Funcionário</th><th>CPF</th><th>Período</th><th>Proventos</th><th>Descontos</th><th>Líquido</th></tr>
+            </thead>
+            <tbody>${empresa.linhas.map(linha => `
+                <tr>
+                    <td>${linha.numero}</td>
+                    <td>${escaparHtml(linha.nome_completo)}</td>
+                    <td>${escaparHtml(linha.cpf)}</td>
+                    <td>${escaparHtml(linha.periodo)}</td>${celulasValores(linha)}
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr><td colspan="4">Total (${empresa.totais.funcionarios} funcionário(s))</td>${celulasValores(empresa.totais)}</tr>
+            </tfoot>
+        </table>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <title>Resumo da folha ${relatorio.competencia}</title>
+    <style>
+        ${CSS_FONTES_RECIBO}
+        body { font-family: 'Roboto', sans-serif; font-size: 10pt; color: #222; margin: 30px; }
+        h1 { font-size: 16pt; margin: 0 0 4px; }
+        h2 { font-size: 12pt; margin: 24px 0 8px; }
+        .subtitulo { color: #555; margin: 0 0 16px; }
+        .totais { display: flex; gap: 12px; margin-bottom: 16px; }
+        .totais div { flex: 1; border: 1px solid #ccc; border-radius: 4px; padding: 8px; }
+        .totais strong { display: block; font-size: 13pt; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+        th { background: #f2f2f2; }
+        tfoot td { font-weight: 700; }
+        .valor, .numero { text-align: right; white-space: nowrap; }
+        small { color: #666; }
+    </style>
+</head>
+<body>
+    <h1>Resumo da folha de pagamento</h1>
+    <p class="subtitulo">Competência ${relatorio.competencia} · emitido em ${escaparHtml(dataEmissao.toLocaleString('pt-BR'))}</p>
+
+    <div class="totais">
+        <div>Funcionários<strong>${relatorio.totais.funcionarios}</strong></div>
+        <div>Recibos<strong>${relatorio.totais.recibos}</strong></div>
+        <div>Proventos<strong>${formatarMoeda(relatorio.totais.proventos)}</strong></div>
+        <div>Descontos<strong>${formatarMoeda(relatorio.totais.descontos)}</strong></div>
+        <div>Total pago<strong>${formatarMoeda(relatorio.totais.liquido)}</strong></div>
+    </div>
+
+    <h2>Por empresa</h2>
+    <table>
+        <thead>
+            <tr><th>Empresa</th><th>Funcionários</th><th>Proventos</th><th>Descontos</th><th>Líquido</th></tr>
+        </thead>
+        <tbody>${quadroEmpresas}
+        </tbody>
+    </table>
+${secoesEmpresas}
+</body>
+</html>`;
+}
+
+module.exports = {
+    FORMATOS_RELATORIO,
+    montarRelatorioFolha,
+    gerarCsvFolha,
+    gerarExportacaoContabil,
+    gerarHtmlFolha
+};
@@ -0,0 +1,124 @@
+/**
+ * renderizador-pdf.js
+ *
+ * Renderização de HTML em PDF com um Chromium (Puppeteer) compartilhado entre as
+ * gerações: o navegador é aberto na primeira renderização, reaproveitado pelas
+ * seguintes e fechado depois de alguns minutos ocioso. O número de páginas
+ * renderizando ao mesmo tempo é limitado por LIMITE_PAGINAS_PDF (padrão 4).
+ */
+
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+
+const LIMITE_PAGINAS_PDF = Math.max(1, Number(process.env.LIMITE_PAGINAS_PDF) || 4);
+const TEMPO_OCIOSO_NAVEGADOR_MS = 5 * 60 * 1000;
+
+/**
+ * @font-face da fonte Roboto (400 e 700) embutida como Data URI, para que a
+ * renderização dos recibos não dependa de acesso à internet.
+ */
+const CSS_FONTES_RECIBO = [400, 700].map((peso) => {
+    const arquivo = require.resolve(`@fontsource/roboto/files/roboto-latin-${peso}-normal.woff2`);
+    const conteudo = fs.readFileSync(arquivo).toString('base64');
+    return `@font-face { font-family: 'Roboto'; font-style: normal; font-weight: ${peso}; `
+        + `src: url(data:font/woff2;base64,${conteudo}) format('woff2'); }`;
+}).join('\n');
+
+let navegadorCompartilhado = null; // Promise do navegador aberto
+let temporizadorOcioso = null;
+let paginasEmUso = 0;
+const aguardandoVaga = [];
+
+function obterNavegador() {
+    if (!navegadorCompartilhado) {
+        navegadorCompartilhado = puppeteer.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+        }).then((navegador) => {
+            // Se o Chromium cair, a próxima renderização abre outro
+            navegador.on('disconnected', () => { navegadorCompartilhado = null; });
+            return navegador;
+        });
+        navegadorCompartilhado.catch(() => { navegadorCompartilhado = null; });
+    }
+    return navegadorCompartilhado;
+}
+
+async function reservarVaga() {
+    clearTimeout(temporizadorOcioso);
+    if (paginasEmUso >= LIMITE_PAGINAS_PDF) {
+        await new Promise(resolve => aguardandoVaga.push(resolve));
+    } else {
+        paginasEmUso++;
+    }
+}
+
+function liberarVaga() {
+    const proximo = aguardandoVaga.shift();
+    if (proximo) {
+        proximo(); // A vaga passa direto para quem estava esperando
+        return;
+    }
+    paginasEmUso--;
+    if (paginasEmUso === 0) {
+        temporizadorOcioso = setTimeout(encerrarNavegador, TEMPO_OCIOSO_NAVEGADOR_MS);
+        temporizadorOcioso.unref();
+    }
+}
+
+/**
+ * Renderiza um documento HTML como PDF A4 e retorna o conteúdo em um Buffer.
+ * Aguarda uma vaga quando LIMITE_PAGINAS_PDF páginas já estão renderizando.
+ */
+async function renderizarPdf(conteudoHtml) {
+    await reservarVaga();
+    try {
+        const navegador = await obterNavegador();
+        const pagina = await navegador.newPage();
+        try {
+            await pagina.setContent(conteudoHtml, { waitUntil: 'load' });
+            await pagina.evaluate(() => document.fonts.ready.then(() => true));
+            return Buffer.from(await pagina.pdf({ format: 'A4', printBackground: true }));
+        } finally {
+            await pagina.close().catch(() => {});
+        }
+    } finally {
+        liberarVaga();
+    }
+}
+
+/**
+ * Fecha o navegador compartilhado, se estiver aberto.
+ */
+async function encerrarNavegador() {
+    clearTimeout(temporizadorOcioso);
+    const navegadorAberto = navegadorCompartilhado;
+    navegadorCompartilhado = null;
+    if (navegadorAberto) {
+        const navegador = await navegadorAberto.catch(() => null);
+        if (navegador) await navegador.close().catch(() => {});
+    }
+}
+
+/**
+ * Executa `tarefa` para cada item da lista com no máximo `limite` execuções
+ * simultâneas, preservando a ordem de início.
+ */
+async function processarEmParalelo(itens, limite, tarefa) {
+    let proximoIndice = 0;
+    const trabalhador = async () => {
+        while (proximoIndice < itens.length) {
+            const indice = proximoIndice++;
+            await tarefa(itens[indice], indice);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limite, itens.length) }, trabalhador));
+}
+
+module.exports = {
+    CSS_FONTES_RECIBO,
+    LIMITE_PAGINAS_PDF,
+    renderizarPdf,
+    encerrarNavegador,
+    processarEmParalelo
+};
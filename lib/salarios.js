@@ -0,0 +1,109 @@
+/**
+ * salarios.js
+ *
+ * Histórico salarial dos funcionários: cada alteração do salário base é gravada
+ * com a data de início da vigência e o motivo. O salario_base do funcionário é o
+ * da alteração mais recente; os recibos usam o salário vigente em cada trecho do
+ * período gerado.
+ */
+
+const { registrarAuditoria } = require('./auditoria');
+const { interpretarData, formatarData, dataAtual, diaAnterior } = require('./periodos');
+
+/**
+ * Retorna a entrada do histórico vigente na data AAAA-MM-DD: a de vigência mais
+ * recente que já começou. Para datas anteriores a todo o histórico (recibos de
+ * antes do cadastro), usa a primeira entrada; sem histórico, retorna null.
+ */
+function salarioVigente(historico = [], data) {
+    const ordenado = [...historico].sort((a, b) => a.vigencia_inicio.localeCompare(b.vigencia_inicio));
+    const vigentes = ordenado.filter(entrada => entrada.vigencia_inicio <= data);
+    return vigentes.length > 0 ? vigentes[vigentes.length - 1] : ordenado[0] || null;
+}
+
+/**
+ * Divide o período ({ inicio, fim }) nos trechos de salário constante: cada alteração
+ * com vigência depois do início do período abre um novo trecho. Retorna
+ * [{ inicio, fim, salario }], com a entrada do histórico vigente no trecho (ou null
+ * sem histórico); sem alterações no meio do período, há um único trecho.
+ */
+function dividirPeriodoPorSalario(historico = [], periodo) {
+    const mudancas = [...new Set(historico.map(entrada => entrada.vigencia_inicio))]
+        .filter(data => data > periodo.inicio && data <= periodo.fim)
+        .sort();
+    const trechos = [];
+    let inicio = periodo.inicio;
+    for (const mudanca of mudancas) {
+        trechos.push({ inicio, fim: diaAnterior(mudanca), salario: salarioVigente(historico, inicio) });
+        inicio = mudanca;
+    }
+    trechos.push({ inicio, fim: periodo.fim, salario: salarioVigente(historico, inicio) });
+    return trechos;
+}
+
+/**
+ * Grava o salário inicial de um funcionário recém-cadastrado, vigente desde a
+ * admissão (ou desde hoje, sem data de admissão).
+ */
+async function registrarSalarioInicial(executor, funcionario) {
+    await executor('historico_salarios').insert({
+        funcionario_id: funcionario.id,
+        salario: funcionario.salario_base,
+        vigencia_inicio: funcionario.data_admissao || dataAtual(),
+        motivo: 'Salário inicial'
+    });
+}
+
+/**
+ * Valida e grava no histórico, dentro da transação `executor`, uma alteração do
+ * salário do funcionário. A `vigencia` (padrão: hoje) não pode ser anterior à da
+ * última alteração; se for igual, corrige aquela entrada. O `motivo` é obrigatório.
+ * Não altera o salario_base do funcionário, que fica a cargo de quem chama.
+ * Retorna { alteracao } ou { erros } com as mensagens por campo
+ * (vigencia_salario, motivo_salario).
+ */
+async function registrarAlteracaoSalarial(executor, usuario, funcionarioId, { salario, vigencia, motivo }) {
+    const erros = {};
+    const vigenciaInformada = vigencia !== undefined && vigencia !== null && String(vigencia).trim() !== '';
+    const vigenciaInicio = vigenciaInformada ? interpretarData(String(vigencia)) : dataAtual();
+    if (!vigenciaInicio) erros.vigencia_salario = 'Data de vigência inválida.';
+
+    const motivoAlteracao = typeof motivo === 'string' ? motivo.trim() : '';
+    if (!motivoAlteracao) erros.motivo_salario = 'Informe o motivo da alteração salarial.';
+    else if (motivoAlteracao.length > 255) erros.motivo_salario = 'O motivo deve ter no máximo 255 caracteres.';
+
+    const ultimaAlteracao = await executor('historico_salarios').where({ funcionario_id: funcionarioId })
+        .orderBy('vigencia_inicio', 'desc').first();
+    if (vigenciaInicio && ultimaAlteracao && vigenciaInicio < ultimaAlteracao.vigencia_inicio) {
+        erros.vigencia_salario = `A vigência não pode ser anterior à da última alteração salarial (${formatarData(ultimaAlteracao.vigencia_inicio)}).`;
+    }
+    if (Object.keys(erros).length > 0) return { erros };
+
+    if (ultimaAlteracao && ultimaAlteracao.vigencia_inicio === vigenciaInicio) {
+        await executor('historico_salarios').where({ id: ultimaAlteracao.id })
+            .update({ salario, motivo: motivoAlteracao, updated_at: executor.fn.now() });
+        const alteracao = await executor('historico_salarios').where({ id: ultimaAlteracao.id }).first();
+        await registrarAuditoria(executor, usuario, {
+            acao: 'atualizar', entidade: 'salario', entidadeId: alteracao.id, antes: ultimaAlteracao, depois: alteracao
+        });
+        return { alteracao };
+    }
+
+    const [alteracao] = await executor('historico_salarios').insert({
+        funcionario_id: funcionarioId,
+        salario,
+        vigencia_inicio: vigenciaInicio,
+        motivo: motivoAlteracao
+    }).returning('*');
+    await registrarAuditoria(executor, usuario, {
+        acao: 'criar', entidade: 'salario', entidadeId: alteracao.id, depois: alteracao
+    });
+    return { alteracao };
+}
+
+module.exports = {
+    salarioVigente,
+    dividirPeriodoPorSalario,
+    registrarSalarioInicial,
+    registrarAlteracaoSalarial
+};
@@ -0,0 +1,264 @@
+/**
+ * utilitarios.js
+ *
+ * Funções auxiliares compartilhadas pelo servidor e pela linha de comando:
+ * CPF, valores monetários, período de referência, cálculo e formatação dos recibos.
+ */
+
+/**
+ * Sanitiza uma string para uso em nome de arquivo.
+ */
+function sanitizarNomeArquivo(texto) {
+    return texto
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9\-_. ]/g, '')
+        .trim()
+        .replace(/\s+/g, '_');
+}
+
+/**
+ * Remove a máscara de um CPF, mantendo apenas os dígitos.
+ */
+function extrairDigitosCpf(cpf) {
+    return String(cpf ?? '').replace(/\D/g, '');
+}
+
+/**
+ * Verifica se um CPF (com ou sem máscara) tem 11 dígitos e dígitos verificadores corretos.
+ */
+function validarCpf(cpf) {
+    const digitos = extrairDigitosCpf(cpf);
+    if (digitos.length !== 11 || /^(\d)\1{10}$/.test(digitos)) return false;
+
+    const calcularDigito = (quantidade) => {
+        let soma = 0;
+        for (let i = 0; i < quantidade; i++) {
+            soma += Number(digitos[i]) * (quantidade + 1 - i);
+        }
+        const resto = (soma * 10) % 11;
+        return resto === 10 ? 0 : resto;
+    };
+
+    return calcularDigito(9) === Number(digitos[9]) && calcularDigito(10) === Number(digitos[10]);
+}
+
+/**
+ * Formata um CPF no padrão 000.000.000-00.
+ */
+function formatarCpf(cpf) {
+    return extrairDigitosCpf(cpf).replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+}
+
+// Validação simples de endereço de e-mail (usuários, funcionários e remetente SMTP)
+const FORMATO_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Converte um valor monetário (número, "2500.00", "2.500,00" ou "R$ 2.500,00") para número.
+ * Retorna null se não for um decimal não negativo com até duas casas.
+ */
+function interpretarValorMonetario(valor) {
+    if (typeof valor === 'number') {
+        // 1.1 * 100 dá 110.00000000000001: compara os centavos com tolerância
+        const centavos = valor * 100;
+        if (!Number.isFinite(valor) || valor < 0 || Math.abs(centavos - Math.round(centavos)) >= 1e-6) return null;
+        return Math.round(centavos) / 100;
+    }
+    if (typeof valor !== 'string') return null;
+
+    let texto = valor.replace(/R\$/i, '').replace(/\s/g, '');
+    if (texto.includes(',')) {
+        // Formato brasileiro: pontos de milhar e vírgula decimal
+        if (!/^\d{1,3}(\.\d{3})*,\d{1,2}$|^\d+,\d{1,2}$/.test(texto)) return null;
+        texto = texto.replace(/\./g, '').replace(',', '.');
+    } else if (/^\d{1,3}(\.\d{3})+$/.test(texto)) {
+        // Apenas pontos de milhar (ex: "2.500")
+        texto = texto.replace(/\./g, '');
+    }
+
+    if (!/^\d+(\.\d{1,2})?$/.test(texto)) return null;
+    return parseFloat(texto);
+}
+
+/**
+ * Interpreta o período de entrada.
+ */
+function interpretarPeriodo(periodoEntrada) {
+    if (!periodoEntrada || typeof periodoEntrada !== 'string') {
+        return { mes: null, ano: null, textoFormatado: periodoEntrada, stringSanitizada: String(periodoEntrada).replace(/[^a-z0-9]/gi, '-') };
+    }
+
+    const textoOriginal = periodoEntrada.trim();
+    const mesesPorNome = {
+        'janeiro': 1, 'fevereiro': 2, 'março': 3, 'marco': 3, 'abril': 4,
+        'maio': 5, 'junho': 6, 'julho': 7, 'agosto': 8, 'setembro': 9,
+        'outubro': 10, 'novembro': 11, 'dezembro': 12
+    };
+    const abreviaturas = {
+        'jan': 1, 'fev': 2, 'mar': 3, 'abr': 4, 'mai': 5, 'jun': 6, 'jul': 7, 'ago': 8, 'set': 9, 'out': 10, 'nov': 11, 'dez': 12
+    };
+
+    let partes = textoOriginal.split(/[\/\-\s]+/).filter(Boolean);
+    // Formato do campo de mês do navegador (AAAA-MM)
+    if (/^\d{4}-\d{1,2}$/.test(textoOriginal)) {
+        partes = partes.reverse();
+    }
+    let mesDetectado = NaN;
+    let anoDetectado = NaN;
+
+    if (partes.length >= 2) {
+        const possivelMes = partes[0].toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        const possivelAno = partes[1];
+
+        // Lógica para detectar o mês (igual a anterior)
+        if (/^\d{1,2}$/.test(possivelMes)) {
+            mesDetectado = parseInt(possivelMes, 10);
+        } else if (mesesPorNome[possivelMes]) {
+            mesDetectado = mesesPorNome[possivelMes];
+        } else {
+            const abre = possivelMes.substr(0, 3);
+            if (abreviaturas[abre]) mesDetectado = abreviaturas[abre];
+        }
+
+        // ### CORREÇÃO: Lógica melhorada para detectar o ano ###
+        if (/^\d{4}$/.test(possivelAno)) { // Checa se tem 4 dígitos (ex: 2025)
+            anoDetectado = parseInt(possivelAno, 10);
+        } else if (/^\d{2}$/.test(possivelAno)) { // Checa se tem 2 dígitos (ex: 25)
+            anoDetectado = 2000 + parseInt(possivelAno, 10); // Converte para 2025
+        }
+    }
+
+    if (!Number.isNaN(mesDetectado) && mesDetectado >= 1 && mesDetectado <= 12 && !Number.isNaN(anoDetectado)) {
+        const ultimoDia = new Date(anoDetectado, mesDetectado, 0).getDate();
+        const mesFormatado = String(mesDetectado).padStart(2, '0');
+        const textoFormatado = `01/${mesFormatado}/${anoDetectado} a ${String(ultimoDia).padStart(2, '0')}/${mesFormatado}/${anoDetectado}`;
+        const stringSanitizada = `${mesFormatado}-${anoDetectado}`;
+        return { mes: mesDetectado, ano: anoDetectado, textoFormatado, stringSanitizada };
+    }
+
+    // Se não conseguir entender, retorna o texto original
+    return { mes: null, ano: null, textoFormatado: textoOriginal, stringSanitizada: textoOriginal.replace(/[^a-z0-9]/gi, '-') };
+}
+
+/**
+ * Formata um valor numérico como moeda brasileira (R$).
+ */
+function formatarMoeda(valor) {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(valor);
+}
+
+/**
+ * Converte um valor vindo do banco (decimal como string no PostgreSQL) para número.
+ */
+function converterValorNumerico(valor) {
+    return parseFloat(String(valor).replace(',', '.')) || 0;
+}
+
+/**
+ * Calcula os valores do recibo a partir do salário base e dos lançamentos do período.
+ * O salário base entra como o primeiro provento; o líquido é proventos menos descontos.
+ * Com `diasPagos` (calcularDiasPagos, em lib/periodos.js) proporcionais, o salário é
+ * salario_base / dias do mês × dias pagos, e `proporcionalidade` traz o cálculo.
+ * Quando o salário muda no meio do período, `trechosSalario` traz cada trecho
+ * ({ inicio, fim, salarioBase, diasPagos }): cada um é um provento proporcional
+ * aos seus dias, e `proporcionalidade.trechos` traz o cálculo de cada um.
+ */
+function calcularValoresRecibo(funcionario, lancamentos, diasPagos = null, trechosSalario = null) {
+    const proporcional = (salario, dias) => Math.round(salario / diasPagos.diasMes * dias * 100) / 100;
+    let proporcionalidade = null;
+    let itensSalario;
+
+    if (trechosSalario && trechosSalario.length > 1) {
+        const trechos = trechosSalario.map(trecho => {
+            const salarioBase = converterValorNumerico(trecho.salarioBase);
+            return { ...trecho, salarioBase, salarioProporcional: proporcional(salarioBase, trecho.diasPagos) };
+        });
+        proporcionalidade = {
+            ...diasPagos,
+            trechos,
+            salarioProporcional: Math.round(trechos.reduce((total, trecho) => total + trecho.salarioProporcional, 0) * 100) / 100
+        };
+        itensSalario = trechos.map(trecho => ({
+            tipo: 'provento',
+            descricao: `Salário base de ${formatarMoeda(trecho.salarioBase)} proporcional (${trecho.diasPagos} de ${diasPagos.diasMes} dias)`,
+            valor: trecho.salarioProporcional
+        }));
+    } else {
+        const salarioBase = converterValorNumerico(funcionario.salario_base);
+        proporcionalidade = diasPagos && diasPagos.proporcional
+            ? { ...diasPagos, salarioBase, salarioProporcional: proporcional(salarioBase, diasPagos.diasPagos) }
+            : null;
+        itensSalario = [proporcionalidade
+            ? {
+                tipo: 'provento',
+                descricao: `Salário base proporcional (${proporcionalidade.diasPagos} de ${proporcionalidade.diasMes} dias)`,
+                valor: proporcionalidade.salarioProporcional
+            }
+            : { tipo: 'provento', descricao: 'Salário base', valor: salarioBase }];
+    }
+
+    const itens = [
+        ...itensSalario,
+        ...lancamentos.map(lancamento => ({
+            tipo: lancamento.tipo,
+            descricao: lancamento.descricao,
+            valor: converterValorNumerico(lancamento.valor)
+        }))
+    ];
+
+    const somar = (tipo) => itens
+        .filter(item => item.tipo === tipo)
+        .reduce((total, item) => total + item.valor, 0);
+
+    const totalProventos = Math.round(somar('provento') * 100) / 100;
+    const totalDescontos = Math.round(somar('desconto') * 100) / 100;
+    const valorLiquido = Math.round((totalProventos - totalDescontos) * 100) / 100;
+
+    return { itens, totalProventos, totalDescontos, valorLiquido, proporcionalidade };
+}
+
+/**
+ * Formata o número sequencial do recibo (ex: 000042).
+ */
+function formatarNumeroRecibo(numero) {
+    return String(numero).padStart(6, '0');
+}
+
+/**
+ * Escapa caracteres especiais de HTML em um valor substituído no modelo.
+ */
+function escaparHtml(valor) {
+    return String(valor ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Monta as linhas HTML da tabela de proventos e descontos do recibo.
+ */
+function montarLinhasLancamentos(itens) {
+    return itens.map(item => `
+                    <tr>
+                        <td>${escaparHtml(item.descricao)}</td>
+                        <td class="valor">${item.tipo === 'provento' ? formatarMoeda(item.valor) : ''}</td>
+                        <td class="valor">${item.tipo === 'desconto' ? formatarMoeda(item.valor) : ''}</td>
+                    </tr>`).join('');
+}
+
+module.exports = {
+    sanitizarNomeArquivo,
+    extrairDigitosCpf,
+    validarCpf,
+    formatarCpf,
+    FORMATO_EMAIL,
+    interpretarValorMonetario,
+    interpretarPeriodo,
+    formatarMoeda,
+    converterValorNumerico,
+    calcularValoresRecibo,
+    formatarNumeroRecibo,
+    escaparHtml,
+    montarLinhasLancamentos
+};
@@ -0,0 +1,29 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const loginForm = document.getElementById('login-form');
+    const loginBtn = document.getElementById('login-btn');
+    const statusMessage = document.getElementById('status-message');
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginBtn.disabled = true;
+        statusMessage.textContent = '';
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('login-email').value,
+                    senha: document.getElementById('login-senha').value,
+                }),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao entrar.');
+            window.location.href = 'index.html';
+        } catch (error) {
+            console.error('Erro ao entrar:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        } finally {
+            loginBtn.disabled = false;
+        }
+    });
+});
@@ -0,0 +1,182 @@
+document.addEventListener('DOMContentLoaded', () => {
+    // --- ELEMENTOS DO DOM ---
+    const templateForm = document.getElementById('template-form');
+    const templateSelect = document.getElementById('template-select');
+    const nameInput = document.getElementById('template-nome');
+    const defaultCheckbox = document.getElementById('template-padrao');
+    const htmlInput = document.getElementById('template-html');
+    const previewFrame = document.getElementById('template-preview');
+    const previewCompanySelect = document.getElementById('preview-empresa');
+    const deleteBtn = document.getElementById('template-delete-btn');
+    const statusMessage = document.getElementById('status-message');
+    let templates = [];
+    let previewTimeout = null;
+
+    // --- FUNÇÕES DA API ---
+
+    const fetchTemplates = async () => {
+        const response = await fetch('/api/modelos');
+        if (!response.ok) throw new Error('Falha ao buscar modelos.');
+        templates = await response.json();
+
+        templateSelect.innerHTML = '<option value="">(novo modelo)</option>';
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.padrao ? `${template.nome} (padrão)` : template.nome;
+            templateSelect.appendChild(option);
+        });
+    };
+
+    const loadTemplate = async (id) => {
+        if (!id) {
+            templateSelect.value = '';
+            nameInput.value = '';
+            defaultCheckbox.checked = false;
+            deleteBtn.disabled = true;
+            schedulePreview();
+            return;
+        }
+        try {
+            const response = await fetch(`/api/modelos/${id}`);
+            const template = await response.json();
+            if (!response.ok) throw new Error(template.error || 'Falha ao carregar modelo.');
+
+            templateSelect.value = template.id;
+            nameInput.value = template.nome;
+            defaultCheckbox.checked = Boolean(template.padrao);
+            deleteBtn.disabled = Boolean(template.padrao);
+            htmlInput.value = template.conteudo_html;
+            schedulePreview();
+        } catch (error) {
+            console.error('Erro ao carregar modelo:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const fetchCompanies = async () => {
+        const response = await fetch('/api/empresas');
+        if (!response.ok) throw new Error('Falha ao buscar empresas.');
+        const companies = await response.json();
+        previewCompanySelect.innerHTML = '';
+        companies.forEach(company => {
+            const option = document.createElement('option');
+            option.value = company.id;
+            option.textContent = company.nome;
+            previewCompanySelect.appendChild(option);
+        });
+        const selected = localStorage.getItem('empresaSelecionada');
+        if (companies.some(company => String(company.id) === selected)) previewCompanySelect.value = selected;
+    };
+
+    const fetchPlaceholders = async () => {
+        const response = await fetch('/api/modelos/placeholders');
+        const placeholders = await response.json();
+        const tableBody = document.getElementById('placeholders-table-body');
+        tableBody.innerHTML = '';
+        placeholders.forEach(placeholder => {
+            const row = document.createElement('tr');
+            const keyCell = document.createElement('td');
+            const code = document.createElement('code');
+            code.textContent = `{{${placeholder.chave}}}`;
+            keyCell.appendChild(code);
+            const descriptionCell = document.createElement('td');
+            descriptionCell.textContent = placeholder.descricao;
+            row.append(keyCell, descriptionCell);
+            tableBody.appendChild(row);
+        });
+    };
+
+    const renderPreview = async () => {
+        try {
+            const response = await fetch('/api/modelos/visualizar', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ conteudo_html: htmlInput.value, empresa_id: Number(previewCompanySelect.value) || undefined }),
+            });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Falha ao gerar a pré-visualização.');
+            }
+            previewFrame.srcdoc = await response.text();
+            statusMessage.textContent = '';
+        } catch (error) {
+            statusMessage.textContent = `Pré-visualização: ${error.message}`;
+        }
+    };
+
+    // Atualiza a pré-visualização pouco depois que o usuário para de digitar
+    const schedulePreview = () => {
+        clearTimeout(previewTimeout);
+        previewTimeout = setTimeout(renderPreview, 400);
+    };
+
+    const saveTemplate = async () => {
+        const id = templateSelect.value;
+        try {
+            const response = await fetch(id ? `/api/modelos/${id}` : '/api/modelos', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    nome: nameInput.value,
+                    conteudo_html: htmlInput.value,
+                    padrao: defaultCheckbox.checked,
+                }),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao salvar modelo.');
+
+            await fetchTemplates();
+            await loadTemplate(result.id);
+            statusMessage.textContent = 'Modelo salvo com sucesso!';
+        } catch (error) {
+            console.error('Erro ao salvar modelo:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const deleteTemplate = async () => {
+        const id = templateSelect.value;
+        if (!id || !confirm('Tem certeza que deseja excluir este modelo?')) return;
+        try {
+            const response = await fetch(`/api/modelos/${id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Falha ao excluir modelo.');
+            }
+            await fetchTemplates();
+            await loadTemplate(templates.find(template => template.padrao)?.id);
+            statusMessage.textContent = 'Modelo excluído com sucesso!';
+        } catch (error) {
+            console.error('Erro ao excluir modelo:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    // --- EVENT LISTENERS ---
+
+    templateSelect.addEventListener('change', () => loadTemplate(templateSelect.value));
+    htmlInput.addEventListener('input', schedulePreview);
+    previewCompanySelect.addEventListener('change', schedulePreview);
+
+    templateForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveTemplate();
+    });
+
+    // Novo modelo parte de uma cópia do HTML atual
+    document.getElementById('template-new-btn').addEventListener('click', () => {
+        nameInput.value = '';
+        loadTemplate('');
+        nameInput.focus();
+    });
+
+    deleteBtn.addEventListener('click', deleteTemplate);
+
+    Promise.all([fetchTemplates(), fetchCompanies(), fetchPlaceholders()])
+        .then(() => loadTemplate(templates.find(template => template.padrao)?.id || ''))
+        .catch(error => {
+            console.error('Erro ao carregar a página de modelos:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        });
+});
@@ -6,43 +6,100 @@ document.addEventListener('DOMContentLoaded', () => {
     const employeeIdInput = document.getElementById('employee-id');
     const cancelBtn = document.getElementById('cancel-btn');
     const statusMessage = document.getElementById('status-message');
+    const entriesSection = document.getElementById('entries-section');
+    const entryForm = document.getElementById('entry-form');
+    const entriesTableBody = document.getElementById('entries-table-body');
+    const salaryChangeSection = document.getElementById('salary-change');
+    const salaryHistoryTableBody = document.getElementById('salary-history-table-body');
+    const absenceForm = document.getElementById('absence-form');
+    const absencesTableBody = document.getElementById('absences-table-body');
+    const historyForm = document.getElementById('history-form');
+    const historyTableBody = document.getElementById('history-table-body');
+    const historyEmployeeSelect = document.getElementById('history-funcionario');
+    const showTerminatedCheckbox = document.getElementById('show-terminated');
     let isEditing = false;
+    let entriesEmployeeId = null;
+
+    const companySelect = document.getElementById('empresa-selecionada');
+    const templateSelect = document.getElementById('modelo');
+    const periodInput = document.getElementById('periodo');
+    const periodStartInput = document.getElementById('periodo-inicio');
+    const periodEndInput = document.getElementById('periodo-fim');
+    const companyForm = document.getElementById('company-form');
+    const companyTableBody = document.getElementById('company-table-body');
+    const companyIdInput = document.getElementById('company-id');
+    const companyCancelBtn = document.getElementById('company-cancel-btn');
+    let companies = [];
+
+    const formatCurrency = (value) => new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+
+    // Escapa textos digitados pelos usuários antes de montar linhas das tabelas com innerHTML
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+
+    // Situação da confirmação de recebimento feita pelo próprio funcionário
+    const confirmationBadge = (receipt) => (receipt.status_confirmacao === 'assinado'
+        ? `<span class="badge" title="Confirmado em ${new Date(receipt.confirmado_em).toLocaleString('pt-BR')}">Confirmado</span>`
+        : '<span class="badge pending">Pendente</span>');
 
     // --- FUNÇÕES DA API ---
 
     const fetchAndRenderEmployees = async () => {
         try {
-            const response = await fetch('/api/funcionarios');
+            const response = await fetch(`/api/funcionarios?empresa_id=${companySelect.value}&incluir_desligados=true`);
             if (!response.ok) throw new Error('Falha ao buscar funcionários.');
-            const employees = await response.json();
-            
+            const allEmployees = await response.json();
+
+            // O histórico também lista os desligados, que continuam com recibos emitidos
+            renderHistoryEmployeeOptions(allEmployees);
+            const employees = showTerminatedCheckbox.checked ? allEmployees : allEmployees.filter(emp => !emp.desligado_em);
+
             employeeTableBody.innerHTML = '';
             if (employees.length === 0) {
-                employeeTableBody.innerHTML = '<tr><td colspan="4" style="text-align:center;">Nenhum funcionário cadastrado.</td></tr>';
+                employeeTableBody.innerHTML = '<tr><td colspan="6" style="text-align:center;">Nenhum funcionário cadastrado.</td></tr>';
             } else {
                 employees.forEach(emp => {
                     const row = document.createElement('tr');
+                    if (emp.desligado_em) row.classList.add('terminated');
                     row.innerHTML = `
-                        <td>${emp.nome_completo}</td>
-                        <td>${emp.cpf}</td>
-                        <td>${new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(emp.salario_base)}</td>
+                        <td>${emp.desligado_em ? '' : `<input type="checkbox" class="employee-select" value="${emp.id}" aria-label="Selecionar ${escapeHtml(emp.nome_completo)}">`}</td>
+                        <td>${escapeHtml(emp.nome_completo)}${emp.desligado_em ? ` <small>(desligado em ${new Date(emp.desligado_em).toLocaleDateString('pt-BR')})</small>` : ''}</td>
+                        <td>${escapeHtml(emp.cpf)}</td>
+                        <td>${formatCurrency(emp.salario_base)}</td>
+                        <td>${emp.ultimo_recibo ? `${escapeHtml(emp.ultimo_recibo.periodo)} ${confirmationBadge(emp.ultimo_recibo)}` : '—'}</td>
                         <td class="actions">
-                            <button class="secondary-btn" data-action="edit" data-id="${emp.id}">Editar</button>
-                            <button class="danger-btn" data-action="delete" data-id="${emp.id}">Excluir</button>
+                            ${emp.desligado_em ? '' : `<button class="secondary-btn operador-only" data-action="generate" data-id="${emp.id}">Gerar recibo</button>`}
+                            <button class="secondary-btn" data-action="entries" data-id="${emp.id}" data-name="${escapeHtml(emp.nome_completo)}">Lançamentos</button>
+                            <button class="secondary-btn operador-only" data-action="edit" data-id="${emp.id}">Editar</button>
+                            ${emp.desligado_em
+                                ? `<button class="secondary-btn operador-only" data-action="reactivate" data-id="${emp.id}">Reativar</button>`
+                                : `<button class="danger-btn operador-only" data-action="delete" data-id="${emp.id}">Desligar</button>`}
                         </td>
                     `;
                     employeeTableBody.appendChild(row);
                 });
             }
+            updateSelectionState();
         } catch (error) {
             console.error('Erro ao buscar funcionários:', error);
             statusMessage.textContent = 'Falha ao carregar funcionários.';
         }
     };
 
+    // Exibe as mensagens de erro de cada campo ao lado do respectivo input
+    const showFieldErrors = (errors = {}) => {
+        employeeForm.querySelectorAll('.field-error').forEach(element => {
+            const message = errors[element.dataset.field] || '';
+            element.textContent = message;
+            document.getElementById(element.dataset.field).classList.toggle('invalid', Boolean(message));
+        });
+    };
+
     const saveEmployee = async (employeeData) => {
-        const url = isEditing ? `/api/funcionarios/${employeeIdInput.value}` : '/api/funcionarios';
-        const method = isEditing ? 'PUT' : 'POST';
+        const wasEditing = isEditing;
+        const url = wasEditing ? `/api/funcionarios/${employeeIdInput.value}` : '/api/funcionarios';
+        const method = wasEditing ? 'PUT' : 'POST';
 
         try {
             const response = await fetch(url, {
@@ -51,43 +108,952 @@ document.addEventListener('DOMContentLoaded', () => {
                 body: JSON.stringify(employeeData),
             });
             const result = await response.json();
+            showFieldErrors(result.campos);
             if (!response.ok) throw new Error(result.error || 'Falha ao salvar funcionário.');
             
             resetForm();
             await fetchAndRenderEmployees();
-            statusMessage.textContent = `Funcionário ${isEditing ? 'atualizado' : 'salvo'} com sucesso!`;
+            statusMessage.textContent = `Funcionário ${wasEditing ? 'atualizado' : 'salvo'} com sucesso!`;
         } catch (error) {
             console.error('Erro ao salvar funcionário:', error);
             statusMessage.textContent = `Erro: ${error.message}`;
         }
     };
 
+    // Desligar não apaga o funcionário: ele sai das gerações, mas mantém o histórico
     const deleteEmployee = async (id) => {
-        if (!confirm('Tem certeza que deseja excluir este funcionário?')) return;
+        if (!confirm('Tem certeza que deseja desligar este funcionário?')) return;
         try {
             const response = await fetch(`/api/funcionarios/${id}`, { method: 'DELETE' });
-            if (!response.ok) throw new Error('Falha ao deletar funcionário.');
+            if (!response.ok) throw new Error('Falha ao desligar funcionário.');
+            if (entriesEmployeeId == id) closeEntries();
+            await fetchAndRenderEmployees();
+            statusMessage.textContent = 'Funcionário desligado com sucesso!';
+        } catch (error) {
+            console.error('Erro ao desligar funcionário:', error);
+            statusMessage.textContent = 'Erro ao desligar funcionário.';
+        }
+    };
+
+    const reactivateEmployee = async (id) => {
+        try {
+            const response = await fetch(`/api/funcionarios/${id}/reativar`, { method: 'POST' });
+            if (!response.ok) throw new Error('Falha ao reativar funcionário.');
             await fetchAndRenderEmployees();
-            statusMessage.textContent = 'Funcionário excluído com sucesso!';
+            statusMessage.textContent = 'Funcionário reativado com sucesso!';
+        } catch (error) {
+            console.error('Erro ao reativar funcionário:', error);
+            statusMessage.textContent = 'Erro ao reativar funcionário.';
+        }
+    };
+
+    const fetchAndRenderEntries = async () => {
+        try {
+            const response = await fetch(`/api/funcionarios/${entriesEmployeeId}/lancamentos`);
+            if (!response.ok) throw new Error('Falha ao buscar lançamentos.');
+            const entries = await response.json();
+
+            entriesTableBody.innerHTML = '';
+            if (entries.length === 0) {
+                entriesTableBody.innerHTML = '<tr><td colspan="5" style="text-align:center;">Nenhum lançamento cadastrado.</td></tr>';
+            } else {
+                entries.forEach(entry => {
+                    const row = document.createElement('tr');
+                    row.innerHTML = `
+                        <td>${String(entry.mes).padStart(2, '0')}/${entry.ano}</td>
+                        <td>${entry.tipo === 'provento' ? 'Provento' : 'Desconto'}</td>
+                        <td>${escapeHtml(entry.descricao)}</td>
+                        <td>${formatCurrency(entry.valor)}</td>
+                        <td class="actions">
+                            <button class="danger-btn operador-only" data-action="delete-entry" data-id="${entry.id}">Excluir</button>
+                        </td>
+                    `;
+                    entriesTableBody.appendChild(row);
+                });
+            }
+        } catch (error) {
+            console.error('Erro ao buscar lançamentos:', error);
+            statusMessage.textContent = 'Falha ao carregar lançamentos.';
+        }
+    };
+
+    const saveEntry = async (entryData) => {
+        try {
+            const response = await fetch(`/api/funcionarios/${entriesEmployeeId}/lancamentos`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(entryData),
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                const details = result.campos ? ` ${Object.values(result.campos).join(' ')}` : '';
+                throw new Error(`${result.error || 'Falha ao salvar lançamento.'}${details}`);
+            }
+
+            document.getElementById('entry-descricao').value = '';
+            document.getElementById('entry-valor').value = '';
+            await fetchAndRenderEntries();
+            statusMessage.textContent = 'Lançamento adicionado com sucesso!';
         } catch (error) {
-            console.error('Erro ao deletar funcionário:', error);
-            statusMessage.textContent = 'Erro ao excluir funcionário.';
+            console.error('Erro ao salvar lançamento:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const deleteEntry = async (id) => {
+        if (!confirm('Tem certeza que deseja excluir este lançamento?')) return;
+        try {
+            const response = await fetch(`/api/lancamentos/${id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Falha ao deletar lançamento.');
+            await fetchAndRenderEntries();
+            statusMessage.textContent = 'Lançamento excluído com sucesso!';
+        } catch (error) {
+            console.error('Erro ao deletar lançamento:', error);
+            statusMessage.textContent = 'Erro ao excluir lançamento.';
+        }
+    };
+
+    const formatDate = (isoDate) => isoDate.split('-').reverse().join('/');
+
+    const fetchAndRenderAbsences = async () => {
+        try {
+            const response = await fetch(`/api/funcionarios/${entriesEmployeeId}/ausencias`);
+            if (!response.ok) throw new Error('Falha ao buscar ausências.');
+            const absences = await response.json();
+
+            absencesTableBody.innerHTML = '';
+            if (absences.length === 0) {
+                absencesTableBody.innerHTML = '<tr><td colspan="4" style="text-align:center;">Nenhuma ausência cadastrada.</td></tr>';
+            } else {
+                absences.forEach(absence => {
+                    const row = document.createElement('tr');
+                    row.innerHTML = `
+                        <td>${formatDate(absence.inicio)}</td>
+                        <td>${formatDate(absence.fim)}</td>
+                        <td>${escapeHtml(absence.motivo)}</td>
+                        <td class="actions">
+                            <button class="danger-btn operador-only" data-action="delete-absence" data-id="${absence.id}">Excluir</button>
+                        </td>
+                    `;
+                    absencesTableBody.appendChild(row);
+                });
+            }
+        } catch (error) {
+            console.error('Erro ao buscar ausências:', error);
+            statusMessage.textContent = 'Falha ao carregar ausências.';
+        }
+    };
+
+    const saveAbsence = async (absenceData) => {
+        try {
+            const response = await fetch(`/api/funcionarios/${entriesEmployeeId}/ausencias`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(absenceData),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao salvar ausência.');
+
+            absenceForm.reset();
+            await fetchAndRenderAbsences();
+            statusMessage.textContent = 'Ausência adicionada com sucesso!';
+        } catch (error) {
+            console.error('Erro ao salvar ausência:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const deleteAbsence = async (id) => {
+        if (!confirm('Tem certeza que deseja excluir esta ausência?')) return;
+        try {
+            const response = await fetch(`/api/ausencias/${id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Falha ao deletar ausência.');
+            await fetchAndRenderAbsences();
+            statusMessage.textContent = 'Ausência excluída com sucesso!';
+        } catch (error) {
+            console.error('Erro ao deletar ausência:', error);
+            statusMessage.textContent = 'Erro ao excluir ausência.';
+        }
+    };
+
+    const openEntries = (id, name) => {
+        entriesEmployeeId = id;
+        document.getElementById('entries-employee-name').textContent = name;
+        document.getElementById('entry-periodo').value = periodInput.value;
+        entriesSection.style.display = 'block';
+        fetchAndRenderEntries();
+        fetchAndRenderAbsences();
+        entriesSection.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    const closeEntries = () => {
+        entriesEmployeeId = null;
+        entryForm.reset();
+        absenceForm.reset();
+        entriesSection.style.display = 'none';
+    };
+
+    const renderHistoryEmployeeOptions = (employees) => {
+        const selected = historyEmployeeSelect.value;
+        historyEmployeeSelect.innerHTML = '<option value="">Todos</option>';
+        employees.forEach(emp => {
+            const option = document.createElement('option');
+            option.value = emp.id;
+            option.textContent = emp.nome_completo;
+            historyEmployeeSelect.appendChild(option);
+        });
+        historyEmployeeSelect.value = selected;
+    };
+
+    let listedReceiptIds = [];
+
+    // Situação do último envio do recibo por e-mail
+    const emailStatus = (delivery) => {
+        if (!delivery) return '—';
+        if (delivery.status === 'enviado') {
+            return `<span class="badge" title="${escapeHtml(delivery.destinatario)}">Enviado</span><br><small>${new Date(delivery.enviado_em).toLocaleString('pt-BR')}</small>`;
+        }
+        if (delivery.status === 'falhou') {
+            return `<span class="badge failed" title="${escapeHtml(delivery.ultimo_erro)}">Falhou</span>
+                <button class="secondary-btn operador-only" data-action="resend-email" data-id="${delivery.id}">Reenviar</button>`;
+        }
+        return `<span class="badge pending" title="${escapeHtml(delivery.ultimo_erro)}">${delivery.tentativas > 0 ? `Nova tentativa (${delivery.tentativas} falha(s))` : 'Na fila'}</span>`;
+    };
+
+    const fetchAndRenderHistory = async () => {
+        const params = new URLSearchParams();
+        params.set('empresa_id', companySelect.value);
+        if (historyEmployeeSelect.value) params.set('funcionario_id', historyEmployeeSelect.value);
+        const periodo = document.getElementById('history-periodo').value.trim();
+        if (periodo) params.set('periodo', periodo);
+
+        try {
+            const response = await fetch(`/api/recibos?${params}`);
+            const receipts = await response.json();
+            if (!response.ok) throw new Error(receipts.error || 'Falha ao buscar recibos.');
+
+            listedReceiptIds = receipts.map(receipt => receipt.id);
+            historyTableBody.innerHTML = '';
+            if (receipts.length === 0) {
+                historyTableBody.innerHTML = '<tr><td colspan="9" style="text-align:center;">Nenhum recibo emitido.</td></tr>';
+            } else {
+                receipts.forEach(receipt => {
+                    const row = document.createElement('tr');
+                    row.innerHTML = `
+                        <td>${receipt.numero}</td>
+                        <td>${escapeHtml(receipt.nome_completo)}</td>
+                        <td>${escapeHtml(receipt.cpf)}</td>
+                        <td>${escapeHtml(receipt.periodo)}</td>
+                        <td>${formatCurrency(receipt.valor)}</td>
+                        <td>${new Date(receipt.data_emissao).toLocaleString('pt-BR')}</td>
+                        <td>
+                            <small>${escapeHtml(receipt.codigo_verificacao)}</small>
+                            ${receipt.assinado ? '<span class="badge">Assinado</span>' : ''}
+                            ${confirmationBadge(receipt)}
+                        </td>
+                        <td>${emailStatus(receipt.envio_email)}</td>
+                        <td class="actions">
+                            <a class="download-link" href="/api/recibos/${receipt.id}/pdf">Baixar</a>
+                            ${receipt.status_confirmacao === 'assinado'
+                                ? `<a class="download-link" href="/api/recibos/${receipt.id}/pdf?versao=confirmada">Baixar confirmado</a>`
+                                : `<button class="secondary-btn operador-only" data-action="confirmation-link" data-id="${receipt.id}">Link de confirmação</button>`}
+                            <button class="secondary-btn operador-only" data-action="send-email" data-id="${receipt.id}">Enviar por e-mail</button>
+                        </td>
+                    `;
+                    historyTableBody.appendChild(row);
+                });
+            }
+        } catch (error) {
+            console.error('Erro ao buscar recibos:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    // Coloca os recibos na fila de envio; o servidor envia em segundo plano e refaz as falhas
+    const sendReceiptsByEmail = async (receiptIds) => {
+        if (receiptIds.length === 0) {
+            statusMessage.textContent = 'Nenhum recibo para enviar.';
+            return;
+        }
+        try {
+            const response = await fetch('/api/recibos/enviar-email', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ recibos: receiptIds }),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao enviar os recibos por e-mail.');
+
+            const skipped = result.ignorados.map(item => `${item.nome_completo || `Recibo ${item.numero}`}: ${item.motivo}`);
+            statusMessage.textContent = `${result.enfileirados} recibo(s) na fila de envio.`
+                + (skipped.length > 0 ? ` Não enviados: ${skipped.join(' ')}` : '');
+            await fetchAndRenderHistory();
+            // Atualiza a situação depois que a fila tiver tempo de enviar
+            if (result.enfileirados > 0) setTimeout(fetchAndRenderHistory, 5000);
+        } catch (error) {
+            console.error('Erro ao enviar recibos por e-mail:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const resendEmail = async (deliveryId) => {
+        try {
+            const response = await fetch(`/api/envios-email/${deliveryId}/reenviar`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao reenviar o e-mail.');
+            statusMessage.textContent = `Recibo ${result.numero} de volta à fila de envio.`;
+            await fetchAndRenderHistory();
+            setTimeout(fetchAndRenderHistory, 5000);
+        } catch (error) {
+            console.error('Erro ao reenviar e-mail:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    // Gera um novo link (o anterior deixa de valer) para o funcionário confirmar o recebimento
+    const createConfirmationLink = async (id) => {
+        try {
+            const response = await fetch(`/api/recibos/${id}/link-confirmacao`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao gerar o link de confirmação.');
+
+            try {
+                await navigator.clipboard.writeText(result.url);
+                statusMessage.textContent = 'Link de confirmação copiado para a área de transferência.';
+            } catch {
+                statusMessage.textContent = 'Copie o link de confirmação e envie ao funcionário.';
+            }
+            prompt('Link de confirmação (links gerados antes para este recibo deixam de valer):', result.url);
+        } catch (error) {
+            console.error('Erro ao gerar link de confirmação:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    // --- SELEÇÃO DE FUNCIONÁRIOS PARA GERAÇÃO ---
+
+    const selectAllCheckbox = document.getElementById('select-all-employees');
+
+    const getSelectedEmployeeIds = () => Array.from(employeeTableBody.querySelectorAll('.employee-select:checked'))
+        .map(checkbox => Number(checkbox.value));
+
+    const updateSelectionState = () => {
+        const checkboxes = employeeTableBody.querySelectorAll('.employee-select');
+        const selectedCount = getSelectedEmployeeIds().length;
+        selectAllCheckbox.checked = checkboxes.length > 0 && selectedCount === checkboxes.length;
+        selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < checkboxes.length;
+        document.getElementById('generate-btn').textContent = selectedCount > 0
+            ? `Gerar Recibos para Selecionados (${selectedCount})`
+            : 'Gerar Recibos para Todos';
+    };
+
+    // --- MODELOS DE RECIBO ---
+
+    const fetchTemplates = async () => {
+        try {
+            const response = await fetch('/api/modelos');
+            if (!response.ok) throw new Error('Falha ao buscar modelos.');
+            const templates = await response.json();
+            templateSelect.innerHTML = '';
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.padrao ? `${template.nome} (padrão)` : template.nome;
+                option.selected = Boolean(template.padrao);
+                templateSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Erro ao buscar modelos:', error);
+            statusMessage.textContent = 'Falha ao carregar modelos de recibo.';
+        }
+    };
+
+    // --- EMPRESAS ---
+
+    const renderCompanySelect = () => {
+        const selected = companySelect.value || localStorage.getItem('empresaSelecionada');
+        companySelect.innerHTML = '';
+        companies.forEach(company => {
+            const option = document.createElement('option');
+            option.value = company.id;
+            option.textContent = `${company.nome} (${company.cnpj})`;
+            companySelect.appendChild(option);
+        });
+        if (companies.some(company => String(company.id) === selected)) {
+            companySelect.value = selected;
+        }
+        localStorage.setItem('empresaSelecionada', companySelect.value);
+        updateSignOption();
+    };
+
+    // A opção de assinar só fica disponível para empresas com certificado configurado
+    const updateSignOption = () => {
+        const company = companies.find(c => String(c.id) === companySelect.value);
+        const signCheckbox = document.getElementById('assinar');
+        signCheckbox.disabled = !(company && company.possui_certificado);
+        signCheckbox.checked = !signCheckbox.disabled;
+        document.getElementById('assinar-hint').textContent = signCheckbox.disabled
+            ? 'Configure um certificado digital na empresa para assinar os recibos.'
+            : `Certificado de ${company.certificado_titular}, válido até ${new Date(company.certificado_validade).toLocaleDateString('pt-BR')}.`;
+    };
+
+    const renderCompanyTable = () => {
+        companyTableBody.innerHTML = '';
+        if (companies.length === 0) {
+            companyTableBody.innerHTML = '<tr><td colspan="7" style="text-align:center;">Nenhuma empresa cadastrada.</td></tr>';
+            return;
+        }
+        companies.forEach(company => {
+            const logos = ['cabecalho', 'rodape']
+                .filter(tipo => company[`possui_logo_${tipo}`])
+                .map(tipo => `<img class="company-logo" src="/api/empresas/${company.id}/logos/${tipo}?v=${encodeURIComponent(company.updated_at)}" alt="Logo">`)
+                .join('');
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${logos}</td>
+                <td>${escapeHtml(company.nome)}</td>
+                <td>${escapeHtml(company.cnpj)}</td>
+                <td>${escapeHtml(company.cidade)}</td>
+                <td>${company.possui_certificado
+                    ? `${escapeHtml(company.certificado_titular)}<br><small>válido até ${new Date(company.certificado_validade).toLocaleDateString('pt-BR')}</small>`
+                    : '—'}</td>
+                <td>${company.possui_smtp ? `${escapeHtml(company.smtp_remetente)}<br><small>${escapeHtml(company.smtp_host)}:${escapeHtml(company.smtp_porta)}</small>` : '—'}</td>
+                <td class="actions admin-only">
+                    <button class="secondary-btn" data-action="edit-company" data-id="${company.id}">Editar</button>
+                    ${company.possui_certificado ? `<button class="secondary-btn" data-action="remove-certificate" data-id="${company.id}">Remover certificado</button>` : ''}
+                    ${company.possui_smtp ? `<button class="secondary-btn" data-action="test-smtp" data-id="${company.id}">Testar e-mail</button>` : ''}
+                    ${company.possui_smtp ? `<button class="secondary-btn" data-action="remove-smtp" data-id="${company.id}">Remover e-mail</button>` : ''}
+                    <button class="danger-btn" data-action="delete-company" data-id="${company.id}">Excluir</button>
+                </td>
+            `;
+            companyTableBody.appendChild(row);
+        });
+    };
+
+    const fetchAndRenderCompanies = async () => {
+        try {
+            const response = await fetch('/api/empresas');
+            if (!response.ok) throw new Error('Falha ao buscar empresas.');
+            companies = await response.json();
+            renderCompanySelect();
+            renderCompanyTable();
+        } catch (error) {
+            console.error('Erro ao buscar empresas:', error);
+            statusMessage.textContent = 'Falha ao carregar empresas.';
+        }
+    };
+
+    const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Falha ao ler o arquivo do logo.'));
+        reader.readAsDataURL(file);
+    });
+
+    const resetCompanyForm = () => {
+        companyForm.reset();
+        companyIdInput.value = '';
+        companyCancelBtn.style.display = 'none';
+        document.getElementById('company-save-btn').textContent = 'Salvar Empresa';
+    };
+
+    const saveCompany = async () => {
+        const isEditingCompany = Boolean(companyIdInput.value);
+        try {
+            const companyData = {
+                nome: document.getElementById('empresa-nome').value,
+                cnpj: document.getElementById('empresa-cnpj').value,
+                cidade: document.getElementById('empresa-cidade').value,
+                endereco: document.getElementById('empresa-endereco').value,
+                conta_despesa_salarios: document.getElementById('empresa-conta-despesa-salarios').value,
+                conta_salarios_a_pagar: document.getElementById('empresa-conta-salarios-a-pagar').value,
+                conta_descontos_a_recolher: document.getElementById('empresa-conta-descontos-a-recolher').value,
+            };
+            // Os logos só são enviados quando um novo arquivo é escolhido
+            const headerLogo = document.getElementById('empresa-logo-cabecalho').files[0];
+            const footerLogo = document.getElementById('empresa-logo-rodape').files[0];
+            if (headerLogo) companyData.logo_cabecalho = await readFileAsDataUrl(headerLogo);
+            if (footerLogo) companyData.logo_rodape = await readFileAsDataUrl(footerLogo);
+
+            const response = await fetch(isEditingCompany ? `/api/empresas/${companyIdInput.value}` : '/api/empresas', {
+                method: isEditingCompany ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(companyData),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao salvar empresa.');
+
+            // O certificado digital é enviado à parte, só quando um novo arquivo é escolhido
+            const certificateFile = document.getElementById('empresa-certificado').files[0];
+            if (certificateFile) {
+                const certificateResponse = await fetch(`/api/empresas/${result.id}/certificado`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        certificado: await readFileAsDataUrl(certificateFile),
+                        senha: document.getElementById('empresa-certificado-senha').value,
+                    }),
+                });
+                const certificateResult = await certificateResponse.json();
+                if (!certificateResponse.ok) {
+                    await fetchAndRenderCompanies();
+                    throw new Error(`Empresa salva, mas o certificado não foi aceito: ${certificateResult.error}`);
+                }
+            }
+
+            // A configuração de e-mail também é salva à parte, quando o servidor SMTP é informado
+            const smtpHost = document.getElementById('empresa-smtp-host').value.trim();
+            if (smtpHost) {
+                const smtpData = {
+                    smtp_host: smtpHost,
+                    smtp_porta: document.getElementById('empresa-smtp-porta').value,
+                    smtp_seguro: document.getElementById('empresa-smtp-seguro').checked,
+                    smtp_usuario: document.getElementById('empresa-smtp-usuario').value,
+                    smtp_remetente: document.getElementById('empresa-smtp-remetente').value,
+                    email_assunto: document.getElementById('empresa-email-assunto').value,
+                    email_mensagem: document.getElementById('empresa-email-mensagem').value,
+                };
+                // Senha em branco mantém a já cadastrada
+                const smtpPassword = document.getElementById('empresa-smtp-senha').value;
+                if (smtpPassword) smtpData.smtp_senha = smtpPassword;
+
+                const smtpResponse = await fetch(`/api/empresas/${result.id}/smtp`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(smtpData),
+                });
+                const smtpResult = await smtpResponse.json();
+                if (!smtpResponse.ok) {
+                    await fetchAndRenderCompanies();
+                    const details = smtpResult.campos ? ` ${Object.values(smtpResult.campos).join(' ')}` : '';
+                    throw new Error(`Empresa salva, mas a configuração de e-mail não foi aceita:${details || ` ${smtpResult.error}`}`);
+                }
+            }
+
+            resetCompanyForm();
+            await fetchAndRenderCompanies();
+            statusMessage.textContent = `Empresa ${isEditingCompany ? 'atualizada' : 'salva'} com sucesso!`;
+        } catch (error) {
+            console.error('Erro ao salvar empresa:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const populateCompanyFormForEdit = (id) => {
+        const company = companies.find(c => c.id == id);
+        if (!company) return;
+        document.getElementById('empresa-nome').value = company.nome;
+        document.getElementById('empresa-cnpj').value = company.cnpj;
+        document.getElementById('empresa-cidade').value = company.cidade;
+        document.getElementById('empresa-endereco').value = company.endereco || '';
+        document.getElementById('empresa-conta-despesa-salarios').value = company.conta_despesa_salarios || '';
+        document.getElementById('empresa-conta-salarios-a-pagar').value = company.conta_salarios_a_pagar || '';
+        document.getElementById('empresa-conta-descontos-a-recolher').value = company.conta_descontos_a_recolher || '';
+        document.getElementById('empresa-smtp-host').value = company.smtp_host || '';
+        document.getElementById('empresa-smtp-porta').value = company.smtp_porta || '';
+        document.getElementById('empresa-smtp-seguro').checked = company.smtp_seguro;
+        document.getElementById('empresa-smtp-usuario').value = company.smtp_usuario || '';
+        document.getElementById('empresa-smtp-remetente').value = company.smtp_remetente || '';
+        document.getElementById('empresa-email-assunto').value = company.email_assunto || '';
+        document.getElementById('empresa-email-mensagem').value = company.email_mensagem || '';
+        companyIdInput.value = company.id;
+        companyCancelBtn.style.display = 'inline-block';
+        document.getElementById('company-save-btn').textContent = 'Atualizar Empresa';
+        companyForm.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    const removeCertificate = async (id) => {
+        if (!confirm('Remover o certificado digital desta empresa? Os próximos recibos não serão assinados.')) return;
+        try {
+            const response = await fetch(`/api/empresas/${id}/certificado`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao remover certificado.');
+            await fetchAndRenderCompanies();
+            statusMessage.textContent = 'Certificado removido com sucesso!';
+        } catch (error) {
+            console.error('Erro ao remover certificado:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const testSmtp = async (id) => {
+        statusMessage.textContent = 'Enviando mensagem de teste...';
+        try {
+            const response = await fetch(`/api/empresas/${id}/smtp/teste`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao testar o envio de e-mails.');
+            statusMessage.textContent = result.message;
+        } catch (error) {
+            console.error('Erro ao testar SMTP:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const removeSmtp = async (id) => {
+        if (!confirm('Remover a configuração de e-mail desta empresa? Os recibos deixarão de ser enviados por e-mail.')) return;
+        try {
+            const response = await fetch(`/api/empresas/${id}/smtp`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Falha ao remover a configuração de e-mail.');
+            await fetchAndRenderCompanies();
+            statusMessage.textContent = 'Configuração de e-mail removida com sucesso!';
+        } catch (error) {
+            console.error('Erro ao remover SMTP:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const deleteCompany = async (id) => {
+        if (!confirm('Tem certeza que deseja excluir esta empresa?')) return;
+        try {
+            const response = await fetch(`/api/empresas/${id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Falha ao deletar empresa.');
+            }
+            await fetchAndRenderCompanies();
+            await onCompanyChange();
+            statusMessage.textContent = 'Empresa excluída com sucesso!';
+        } catch (error) {
+            console.error('Erro ao deletar empresa:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    // Troca de empresa: recarrega funcionários e histórico da empresa selecionada
+    const onCompanyChange = async () => {
+        localStorage.setItem('empresaSelecionada', companySelect.value);
+        updateExportLinks();
+        importReport.innerHTML = '';
+        resetForm();
+        closeEntries();
+        historyEmployeeSelect.value = '';
+        await fetchAndRenderEmployees();
+        await fetchAndRenderHistory();
+    };
+
+    // --- USUÁRIOS (APENAS ADMINISTRADORES) ---
+
+    const userForm = document.getElementById('user-form');
+    const userTableBody = document.getElementById('user-table-body');
+    const userIdInput = document.getElementById('user-id');
+    const userCancelBtn = document.getElementById('user-cancel-btn');
+    const roleLabels = { admin: 'Administrador', operador: 'Operador', leitura: 'Leitura' };
+    let users = [];
+
+    const showUserFieldErrors = (errors = {}) => {
+        userForm.querySelectorAll('.field-error').forEach(element => {
+            element.textContent = errors[element.dataset.userField] || '';
+        });
+    };
+
+    const fetchAndRenderUsers = async () => {
+        try {
+            const response = await fetch('/api/usuarios');
+            if (!response.ok) throw new Error('Falha ao buscar usuários.');
+            users = await response.json();
+            renderAuditUserOptions();
+
+            userTableBody.innerHTML = '';
+            users.forEach(user => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${escapeHtml(user.nome)}</td>
+                    <td>${escapeHtml(user.email)}</td>
+                    <td>${escapeHtml(roleLabels[user.papel] || user.papel)}</td>
+                    <td>${user.ativo ? 'Ativo' : 'Inativo'}</td>
+                    <td class="actions">
+                        <button class="secondary-btn" data-action="edit-user" data-id="${user.id}">Editar</button>
+                        <button class="secondary-btn" data-action="toggle-user" data-id="${user.id}">${user.ativo ? 'Desativar' : 'Ativar'}</button>
+                        <button class="danger-btn" data-action="delete-user" data-id="${user.id}">Excluir</button>
+                    </td>
+                `;
+                userTableBody.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Erro ao buscar usuários:', error);
+            statusMessage.textContent = 'Falha ao carregar usuários.';
+        }
+    };
+
+    const resetUserForm = () => {
+        userForm.reset();
+        userIdInput.value = '';
+        showUserFieldErrors();
+        userCancelBtn.style.display = 'none';
+        document.getElementById('usuario-senha').placeholder = 'Mínimo de 8 caracteres';
+        document.getElementById('user-save-btn').textContent = 'Salvar Usuário';
+    };
+
+    const saveUser = async () => {
+        const isEditingUser = Boolean(userIdInput.value);
+        const userData = {
+            nome: document.getElementById('usuario-nome').value,
+            email: document.getElementById('usuario-email').value,
+            papel: document.getElementById('usuario-papel').value,
+        };
+        // Na edição, a senha só é alterada quando preenchida
+        const password = document.getElementById('usuario-senha').value;
+        if (password || !isEditingUser) userData.senha = password;
+
+        try {
+            const response = await fetch(isEditingUser ? `/api/usuarios/${userIdInput.value}` : '/api/usuarios', {
+                method: isEditingUser ? 'PATCH' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(userData),
+            });
+            const result = await response.json();
+            showUserFieldErrors(result.campos);
+            if (!response.ok) throw new Error(result.error || 'Falha ao salvar usuário.');
+
+            resetUserForm();
+            await fetchAndRenderUsers();
+            statusMessage.textContent = `Usuário ${isEditingUser ? 'atualizado' : 'salvo'} com sucesso!`;
+        } catch (error) {
+            console.error('Erro ao salvar usuário:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    const populateUserFormForEdit = (id) => {
+        const user = users.find(u => u.id == id);
+        if (!user) return;
+        showUserFieldErrors();
+        document.getElementById('usuario-nome').value = user.nome;
+        document.getElementById('usuario-email').value = user.email;
+        document.getElementById('usuario-papel').value = user.papel;
+        document.getElementById('usuario-senha').value = '';
+        document.getElementById('usuario-senha').placeholder = 'Deixe em branco para manter a atual';
+        userIdInput.value = user.id;
+        userCancelBtn.style.display = 'inline-block';
+        document.getElementById('user-save-btn').textContent = 'Atualizar Usuário';
+        userForm.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    const updateUser = async (id, changes, successMessage) => {
+        try {
+            const response = await fetch(`/api/usuarios/${id}`, {
+                method: changes ? 'PATCH' : 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: changes ? JSON.stringify(changes) : undefined,
+            });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Falha ao atualizar usuário.');
+            }
+            await fetchAndRenderUsers();
+            statusMessage.textContent = successMessage;
+        } catch (error) {
+            console.error('Erro ao atualizar usuário:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    // --- AUDITORIA (APENAS ADMINISTRADORES) ---
+
+    const auditForm = document.getElementById('audit-form');
+    const auditTableBody = document.getElementById('audit-table-body');
+    const auditUserSelect = document.getElementById('audit-usuario');
+    const actionLabels = {
+        criar: 'Criação', atualizar: 'Alteração', excluir: 'Exclusão', desligar: 'Desligamento',
+        reativar: 'Reativação', importar: 'Importação', gerar_recibos: 'Geração de recibos',
+        confirmar: 'Confirmação de recebimento', enviar_email: 'Envio por e-mail',
+    };
+    const ignoredAuditFields = ['created_at', 'updated_at'];
+
+    const formatAuditValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+    // Descreve a alteração: campos que mudaram (antes → depois) ou o resumo da geração
+    const describeAuditChanges = (entry) => {
+        const before = entry.dados_anteriores || {};
+        const after = entry.dados_novos || {};
+        if (entry.entidade === 'geracao') {
+            return `${after.periodo} — ${after.concluidos} de ${after.total} recibo(s), status ${after.status}`
+                + (after.falhas && after.falhas.length > 0 ? `, ${after.falhas.length} falha(s)` : '');
+        }
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(field => !ignoredAuditFields.includes(field))
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+        return fields.map(field => {
+            if (!entry.dados_anteriores) return `${field}: ${formatAuditValue(after[field])}`;
+            if (!entry.dados_novos) return `${field}: ${formatAuditValue(before[field])}`;
+            return `${field}: ${formatAuditValue(before[field])} → ${formatAuditValue(after[field])}`;
+        });
+    };
+
+    const renderAuditUserOptions = () => {
+        const selected = auditUserSelect.value;
+        auditUserSelect.innerHTML = '<option value="">Todos</option>';
+        users.forEach(user => {
+            const option = document.createElement('option');
+            option.value = user.id;
+            option.textContent = user.nome;
+            auditUserSelect.appendChild(option);
+        });
+        auditUserSelect.value = selected;
+    };
+
+    const fetchAndRenderAudit = async () => {
+        const params = new URLSearchParams();
+        for (const [field, elementId] of [['entidade', 'audit-entidade'], ['acao', 'audit-acao'], ['usuario_id', 'audit-usuario'], ['de', 'audit-de'], ['ate', 'audit-ate']]) {
+            const value = document.getElementById(elementId).value;
+            if (value) params.set(field, value);
+        }
+
+        try {
+            const response = await fetch(`/api/auditoria?${params}`);
+            const entries = await response.json();
+            if (!response.ok) throw new Error(entries.error || 'Falha ao buscar a auditoria.');
+
+            auditTableBody.innerHTML = '';
+            if (entries.length === 0) {
+                auditTableBody.innerHTML = '<tr><td colspan="5" style="text-align:center;">Nenhum registro encontrado.</td></tr>';
+                return;
+            }
+            entries.forEach(entry => {
+                const row = document.createElement('tr');
+                const changes = describeAuditChanges(entry);
+                row.innerHTML = `
+                    <td>${new Date(entry.created_at).toLocaleString('pt-BR')}</td>
+                    <td></td>
+                    <td>${escapeHtml(actionLabels[entry.acao] || entry.acao)}</td>
+                    <td>${escapeHtml(entry.entidade)}${entry.entidade_id && entry.entidade !== 'geracao' ? ` #${escapeHtml(entry.entidade_id)}` : ''}</td>
+                    <td><ul class="audit-changes"></ul></td>
+                `;
+                // Nome do usuário e valores alterados vêm de dados digitados: inseridos como texto
+                row.children[1].textContent = entry.usuario_nome || '—';
+                const list = row.querySelector('.audit-changes');
+                (Array.isArray(changes) ? changes : [changes]).forEach(change => {
+                    const item = document.createElement('li');
+                    item.textContent = change;
+                    list.appendChild(item);
+                });
+                auditTableBody.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Erro ao buscar auditoria:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    // --- IMPORTAÇÃO E EXPORTAÇÃO ---
+
+    const importForm = document.getElementById('import-form');
+    const importReport = document.getElementById('import-report');
+
+    const updateExportLinks = () => {
+        document.getElementById('export-csv-link').href = `/api/funcionarios/exportar?formato=csv&empresa_id=${companySelect.value}`;
+        document.getElementById('export-xlsx-link').href = `/api/funcionarios/exportar?formato=xlsx&empresa_id=${companySelect.value}`;
+    };
+
+    const renderImportReport = (report) => {
+        importReport.innerHTML = '';
+        const summary = document.createElement('p');
+        summary.textContent = `${report.simulacao ? 'Pré-visualização' : 'Importação'}: ${report.total} linha(s), `
+            + `${report.inseridos} a inserir/inserida(s), ${report.atualizados} a atualizar/atualizada(s), `
+            + `${report.erros.length} erro(s).`;
+        importReport.appendChild(summary);
+
+        if (report.erros.length > 0) {
+            const list = document.createElement('ul');
+            report.erros.forEach(erro => {
+                const item = document.createElement('li');
+                item.textContent = `Linha ${erro.linha}: ${erro.mensagem}`;
+                list.appendChild(item);
+            });
+            importReport.appendChild(list);
+        }
+    };
+
+    const importEmployees = async (simulate) => {
+        const file = document.getElementById('import-file').files[0];
+        if (!file) {
+            statusMessage.textContent = 'Selecione uma planilha para importar.';
+            return;
+        }
+        const params = new URLSearchParams({
+            empresa_id: companySelect.value,
+            modo: document.getElementById('import-mode').value,
+            simular: String(simulate),
+        });
+
+        try {
+            const response = await fetch(`/api/funcionarios/importar?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                body: file,
+            });
+            const result = await response.json();
+            if (result.erros) renderImportReport(result);
+            if (!response.ok) throw new Error(result.error || 'Falha ao importar funcionários.');
+
+            if (!simulate) {
+                await fetchAndRenderEmployees();
+                statusMessage.textContent = 'Funcionários importados com sucesso!';
+            } else {
+                statusMessage.textContent = '';
+            }
+        } catch (error) {
+            console.error('Erro ao importar funcionários:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
         }
     };
 
     // --- FUNÇÕES AUXILIARES DO FORMULÁRIO ---
 
+    const fetchAndRenderSalaryHistory = async (id) => {
+        try {
+            const response = await fetch(`/api/funcionarios/${id}/salarios`);
+            if (!response.ok) throw new Error('Falha ao buscar histórico salarial.');
+            const history = await response.json();
+
+            salaryHistoryTableBody.innerHTML = '';
+            history.forEach(change => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${formatDate(change.vigencia_inicio)}</td>
+                    <td>${formatCurrency(change.salario)}</td>
+                    <td>${escapeHtml(change.motivo)}</td>
+                    <td class="actions">
+                        ${history.length > 1 ? `<button type="button" class="danger-btn operador-only" data-action="delete-salary" data-id="${change.id}">Excluir</button>` : ''}
+                    </td>
+                `;
+                salaryHistoryTableBody.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Erro ao buscar histórico salarial:', error);
+            statusMessage.textContent = 'Falha ao carregar histórico salarial.';
+        }
+    };
+
+    const deleteSalaryChange = async (id) => {
+        if (!confirm('Excluir esta alteração salarial? O salário base volta a ser o da alteração anterior.')) return;
+        try {
+            const response = await fetch(`/api/salarios/${id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error((await response.json()).error || 'Falha ao excluir alteração salarial.');
+            const employeeId = employeeIdInput.value;
+            await fetchAndRenderEmployees();
+            await populateFormForEdit(employeeId);
+            statusMessage.textContent = 'Alteração salarial excluída com sucesso!';
+        } catch (error) {
+            console.error('Erro ao excluir alteração salarial:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
     const resetForm = () => {
         employeeForm.reset();
+        showFieldErrors();
         employeeIdInput.value = '';
         isEditing = false;
         cancelBtn.style.display = 'none';
+        salaryChangeSection.style.display = 'none';
         document.querySelector('#save-btn').textContent = 'Salvar Funcionário';
     };
 
     const populateFormForEdit = async (id) => {
         try {
-            const response = await fetch(`/api/funcionarios`);
+            const response = await fetch(`/api/funcionarios?incluir_desligados=true`);
             const employees = await response.json();
             const employeeToEdit = employees.find(emp => emp.id == id);
             
@@ -95,6 +1061,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('nome_completo').value = employeeToEdit.nome_completo;
                 document.getElementById('cpf').value = employeeToEdit.cpf;
                 document.getElementById('salario_base').value = employeeToEdit.salario_base;
+                document.getElementById('email').value = employeeToEdit.email || '';
+                document.getElementById('data_admissao').value = employeeToEdit.data_admissao || '';
+                document.getElementById('data_demissao').value = employeeToEdit.data_demissao || '';
+                document.getElementById('vigencia_salario').value = '';
+                document.getElementById('motivo_salario').value = '';
+                salaryChangeSection.style.display = 'block';
+                fetchAndRenderSalaryHistory(employeeToEdit.id);
                 employeeIdInput.value = employeeToEdit.id;
                 isEditing = true;
                 cancelBtn.style.display = 'inline-block';
@@ -113,31 +1086,228 @@ document.addEventListener('DOMContentLoaded', () => {
         const employeeData = {
             nome_completo: document.getElementById('nome_completo').value,
             cpf: document.getElementById('cpf').value,
-            salario_base: parseFloat(document.getElementById('salario_base').value),
+            // Enviado como texto: o servidor aceita "2500.00" e "2.500,00"
+            salario_base: document.getElementById('salario_base').value,
+            email: document.getElementById('email').value,
+            data_admissao: document.getElementById('data_admissao').value,
+            data_demissao: document.getElementById('data_demissao').value,
+            empresa_id: Number(companySelect.value),
         };
+        if (isEditing) {
+            employeeData.vigencia_salario = document.getElementById('vigencia_salario').value;
+            employeeData.motivo_salario = document.getElementById('motivo_salario').value;
+        }
         saveEmployee(employeeData);
     });
 
+    salaryHistoryTableBody.addEventListener('click', (e) => {
+        if (e.target.dataset.action === 'delete-salary') deleteSalaryChange(e.target.dataset.id);
+    });
+
     employeeTableBody.addEventListener('click', (e) => {
         const action = e.target.dataset.action;
         const id = e.target.dataset.id;
         if (action === 'edit') populateFormForEdit(id);
         else if (action === 'delete') deleteEmployee(id);
+        else if (action === 'reactivate') reactivateEmployee(id);
+        else if (action === 'entries') openEntries(id, e.target.dataset.name);
+        else if (action === 'generate') startGeneration({ funcionarios: [Number(id)], formato: 'pdf' });
+    });
+
+    employeeTableBody.addEventListener('change', (e) => {
+        if (e.target.classList.contains('employee-select')) updateSelectionState();
+    });
+
+    selectAllCheckbox.addEventListener('change', () => {
+        employeeTableBody.querySelectorAll('.employee-select').forEach(checkbox => {
+            checkbox.checked = selectAllCheckbox.checked;
+        });
+        updateSelectionState();
+    });
+
+    entryForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const entryData = {
+            periodo: document.getElementById('entry-periodo').value,
+            tipo: document.getElementById('entry-tipo').value,
+            descricao: document.getElementById('entry-descricao').value,
+            valor: parseFloat(document.getElementById('entry-valor').value),
+        };
+        saveEntry(entryData);
+    });
+
+    entriesTableBody.addEventListener('click', (e) => {
+        if (e.target.dataset.action === 'delete-entry') deleteEntry(e.target.dataset.id);
     });
 
-    // ### MELHORIA 1: LÓGICA DE GERAÇÃO DE RECIBOS MODIFICADA PARA ARQUIVO ZIP ###
-    generateForm.addEventListener('submit', async (e) => {
+    absenceForm.addEventListener('submit', (e) => {
         e.preventDefault();
+        saveAbsence({
+            inicio: document.getElementById('absence-inicio').value,
+            fim: document.getElementById('absence-fim').value,
+            motivo: document.getElementById('absence-motivo').value,
+        });
+    });
+
+    absencesTableBody.addEventListener('click', (e) => {
+        if (e.target.dataset.action === 'delete-absence') deleteAbsence(e.target.dataset.id);
+    });
+
+    document.getElementById('entries-close-btn').addEventListener('click', closeEntries);
+
+    // --- RELATÓRIO MENSAL DA FOLHA ---
+
+    const reportForm = document.getElementById('report-form');
+    const reportResult = document.getElementById('report-result');
+    const reportTableBody = document.getElementById('report-table-body');
+
+    const fetchAndRenderReport = async () => {
+        const params = new URLSearchParams({ periodo: document.getElementById('report-periodo').value });
+        if (!document.getElementById('report-all-companies').checked) params.set('empresa_id', companySelect.value);
+        try {
+            const response = await fetch(`/api/relatorios/folha?${params}`);
+            const report = await response.json();
+            if (!response.ok) throw new Error(report.error || 'Falha ao gerar relatório.');
+
+            document.getElementById('report-summary').textContent = `Competência ${report.competencia}: `
+                + `${report.totais.funcionarios} funcionário(s), ${report.totais.recibos} recibo(s), `
+                + `total pago ${formatCurrency(report.totais.liquido)}.`;
+            reportTableBody.innerHTML = '';
+            report.empresas.forEach(company => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${escapeHtml(company.empresa_nome)}</td>
+                    <td>${company.totais.funcionarios}</td>
+                    <td>${formatCurrency(company.totais.proventos)}</td>
+                    <td>${formatCurrency(company.totais.descontos)}</td>
+                    <td>${formatCurrency(company.totais.liquido)}</td>
+                `;
+                reportTableBody.appendChild(row);
+            });
+
+            document.getElementById('report-pdf-link').href = `/api/relatorios/folha?${params}&formato=pdf`;
+            document.getElementById('report-csv-link').href = `/api/relatorios/folha?${params}&formato=csv`;
+            // A exportação contábil depende das contas configuradas em cada empresa
+            const withoutAccounts = report.empresas.filter(company => !company.contas
+                || !company.contas.conta_despesa_salarios || !company.contas.conta_salarios_a_pagar
+                || (company.totais.descontos > 0 && !company.contas.conta_descontos_a_recolher));
+            const accountingLink = document.getElementById('report-accounting-link');
+            const accountingHint = document.getElementById('report-accounting-hint');
+            accountingLink.href = `/api/relatorios/folha?${params}&formato=contabil`;
+            accountingLink.style.display = withoutAccounts.length > 0 ? 'none' : '';
+            accountingHint.style.display = withoutAccounts.length > 0 ? 'block' : 'none';
+            accountingHint.textContent = `Para a exportação contábil, configure as contas contábeis de: ${withoutAccounts.map(company => company.empresa_nome).join(', ')}.`;
+            reportResult.style.display = 'block';
+        } catch (error) {
+            console.error('Erro ao gerar relatório da folha:', error);
+            reportResult.style.display = 'none';
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    reportForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        fetchAndRenderReport();
+    });
+
+    // --- GERAÇÃO DE RECIBOS EM SEGUNDO PLANO COM PROGRESSO ---
+
+    const generationProgress = document.getElementById('generation-progress');
+    const generationProgressBar = document.getElementById('generation-progress-bar');
+    const generationProgressText = document.getElementById('generation-progress-text');
+    const generationFailures = document.getElementById('generation-failures');
+    const generationDownload = document.getElementById('generation-download');
+    const generationEmailBtn = document.getElementById('generation-email-btn');
+
+    const renderGenerationProgress = (job) => {
+        generationProgressBar.max = job.total;
+        generationProgressBar.value = job.concluidos + job.falhas.length;
+        generationProgressText.textContent = `${job.concluidos} de ${job.total} recibos gerados`
+            + (job.falhas.length > 0 ? ` (${job.falhas.length} com falha)` : '');
+
+        generationFailures.innerHTML = '';
+        job.falhas.forEach(falha => {
+            const item = document.createElement('li');
+            item.textContent = `${falha.nome_completo}: ${falha.erro}`;
+            generationFailures.appendChild(item);
+        });
+    };
+
+    const downloadFile = (href, fileName) => {
+        const a = document.createElement('a');
+        a.href = href;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+    };
+
+    // Acompanha a tarefa pelo stream de eventos até ela ser concluída ou falhar
+    const followGenerationJob = (jobId) => new Promise((resolve, reject) => {
+        const events = new EventSource(`/gerar-recibos/${jobId}/eventos`);
+        events.onmessage = (event) => {
+            const job = JSON.parse(event.data);
+            renderGenerationProgress(job);
+            if (job.status === 'concluida') {
+                events.close();
+                resolve(job);
+            } else if (job.status === 'erro') {
+                events.close();
+                reject(new Error(job.erro || 'Falha na geração dos recibos.'));
+            }
+        };
+        events.onerror = () => {
+            events.close();
+            reject(new Error('Conexão com o servidor perdida durante a geração.'));
+        };
+    });
+
+    // Ao escolher a competência, o período passa a ser o mês inteiro (AAAA-MM-DD)
+    const fillPeriodFromCompetence = () => {
+        const competence = periodInput.value;
+        if (!competence) return;
+        const [year, month] = competence.split('-').map(Number);
+        const lastDay = new Date(year, month, 0).getDate();
+        periodStartInput.value = `${competence}-01`;
+        periodEndInput.value = `${competence}-${String(lastDay).padStart(2, '0')}`;
+    };
+
+    // Inicia uma geração (todos, selecionados ou um único funcionário) e acompanha o progresso
+    const startGeneration = async ({ funcionarios, formato = 'zip' } = {}) => {
+        if (!periodInput.value || !periodStartInput.value || !periodEndInput.value) {
+            statusMessage.textContent = 'Informe a competência e as datas do período antes de gerar recibos.';
+            (periodInput.value ? periodStartInput : periodInput).focus();
+            return;
+        }
+        const periodo = {
+            competencia: periodInput.value,
+            inicio: periodStartInput.value,
+            fim: periodEndInput.value,
+            data_pagamento: document.getElementById('data-pagamento').value || undefined,
+        };
+
         const generateBtn = document.getElementById('generate-btn');
         generateBtn.disabled = true;
+        generationDownload.style.display = 'none';
+        generationEmailBtn.style.display = 'none';
+        generationFailures.innerHTML = '';
+        generationProgressBar.value = 0;
+        generationProgressText.textContent = '';
+        generationProgress.style.display = 'block';
         statusMessage.textContent = 'Gerando recibos, por favor aguarde...';
-        
+
         try {
-            const periodo = document.getElementById('periodo').value;
             const response = await fetch('/gerar-recibos', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ periodo }),
+                body: JSON.stringify({
+                    periodo,
+                    empresa_id: Number(companySelect.value),
+                    modelo_id: Number(templateSelect.value) || undefined,
+                    funcionarios,
+                    formato,
+                    assinar: document.getElementById('assinar').checked,
+                }),
             });
 
             const data = await response.json();
@@ -145,30 +1315,132 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!response.ok) {
                 throw new Error(data.error || 'Falha na geração dos recibos.');
             }
-            
-            statusMessage.textContent = 'Geração concluída! Iniciando download do arquivo ZIP...';
-            
-            // Inicia o download do arquivo ZIP
-            const a = document.createElement('a');
-            a.href = `/temp_files/${data.file}`; 
-            a.download = data.file;
-            document.body.appendChild(a);
-            a.click();
-            a.remove();
-            
+
+            const job = await followGenerationJob(data.jobId);
+            const fileName = job.arquivo;
+
+            // O arquivo só é entregue ao usuário que iniciou a geração
+            generationDownload.href = data.arquivo;
+            generationDownload.download = fileName;
+            generationDownload.textContent = formato === 'pdf' ? 'Baixar recibo em PDF' : 'Baixar arquivo ZIP';
+            generationDownload.style.display = 'inline-block';
+            generationEmailBtn.dataset.receipts = JSON.stringify(job.recibos);
+            generationEmailBtn.style.display = 'inline-block';
+
+            statusMessage.textContent = `Geração concluída! Iniciando download do arquivo ${formato === 'pdf' ? 'PDF' : 'ZIP'}...`;
+            downloadFile(data.arquivo, fileName);
+
             setTimeout(() => {
-                 statusMessage.textContent = `Arquivo ${data.file} baixado com sucesso!`;
+                 statusMessage.textContent = `Arquivo ${fileName} baixado com sucesso!`;
             }, 2000);
 
+            fetchAndRenderHistory();
+
         } catch (error) {
             console.error('Erro ao gerar recibos:', error);
             statusMessage.textContent = `Erro: ${error.message}`;
         } finally {
             generateBtn.disabled = false;
         }
+    };
+
+    generationEmailBtn.addEventListener('click', () => sendReceiptsByEmail(JSON.parse(generationEmailBtn.dataset.receipts || '[]')));
+
+    generateForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const selectedIds = getSelectedEmployeeIds();
+        startGeneration({ funcionarios: selectedIds.length > 0 ? selectedIds : undefined });
+    });
+
+    historyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        fetchAndRenderHistory();
+    });
+
+    document.getElementById('history-email-btn').addEventListener('click', () => {
+        if (!confirm(`Enviar por e-mail os ${listedReceiptIds.length} recibo(s) listados?`)) return;
+        sendReceiptsByEmail(listedReceiptIds);
+    });
+
+    historyTableBody.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        if (action === 'confirmation-link') createConfirmationLink(e.target.dataset.id);
+        else if (action === 'send-email') sendReceiptsByEmail([Number(e.target.dataset.id)]);
+        else if (action === 'resend-email') resendEmail(e.target.dataset.id);
     });
 
     cancelBtn.addEventListener('click', resetForm);
 
-    fetchAndRenderEmployees();
+    companySelect.addEventListener('change', onCompanyChange);
+    companySelect.addEventListener('change', updateSignOption);
+
+    importForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        importEmployees(false);
+    });
+
+    document.getElementById('import-preview-btn').addEventListener('click', () => importEmployees(true));
+
+    companyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveCompany();
+    });
+
+    companyTableBody.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        if (action === 'edit-company') populateCompanyFormForEdit(e.target.dataset.id);
+        else if (action === 'delete-company') deleteCompany(e.target.dataset.id);
+        else if (action === 'remove-certificate') removeCertificate(e.target.dataset.id);
+        else if (action === 'test-smtp') testSmtp(e.target.dataset.id);
+        else if (action === 'remove-smtp') removeSmtp(e.target.dataset.id);
+    });
+
+    companyCancelBtn.addEventListener('click', resetCompanyForm);
+
+    userForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveUser();
+    });
+
+    userTableBody.addEventListener('click', (e) => {
+        const { action, id } = e.target.dataset;
+        const user = users.find(u => u.id == id);
+        if (action === 'edit-user') {
+            populateUserFormForEdit(id);
+        } else if (action === 'toggle-user' && user) {
+            updateUser(id, { ativo: !user.ativo }, `Usuário ${user.ativo ? 'desativado' : 'ativado'} com sucesso!`);
+        } else if (action === 'delete-user' && confirm('Tem certeza que deseja excluir este usuário?')) {
+            updateUser(id, null, 'Usuário excluído com sucesso!');
+        }
+    });
+
+    userCancelBtn.addEventListener('click', resetUserForm);
+
+    auditForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        fetchAndRenderAudit();
+    });
+
+    showTerminatedCheckbox.addEventListener('change', fetchAndRenderEmployees);
+
+    window.sessionReady.then(user => {
+        if (user && user.papel === 'admin') {
+            fetchAndRenderUsers();
+            fetchAndRenderAudit();
+        }
+    });
+
+    periodInput.addEventListener('change', fillPeriodFromCompetence);
+    // Começa pela competência do mês atual
+    const today = new Date();
+    periodInput.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+    document.getElementById('report-periodo').value = periodInput.value;
+    fillPeriodFromCompetence();
+
+    fetchTemplates();
+    fetchAndRenderCompanies().then(() => {
+        updateExportLinks();
+        fetchAndRenderEmployees();
+        fetchAndRenderHistory();
+    });
 });
\ No newline at end of file
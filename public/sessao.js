@@ -0,0 +1,41 @@
+// Sessão do usuário, compartilhada pelas páginas do dashboard.
+// Redireciona para o login quando a sessão expira e ajusta a tela ao papel do usuário.
+(() => {
+    const originalFetch = window.fetch.bind(window);
+
+    window.fetch = async (...args) => {
+        const response = await originalFetch(...args);
+        if (response.status === 401) {
+            window.location.href = 'login.html';
+        }
+        return response;
+    };
+
+    const logout = async () => {
+        await originalFetch('/api/logout', { method: 'POST' });
+        window.location.href = 'login.html';
+    };
+
+    window.sessionReady = fetch('/api/sessao')
+        .then(response => (response.ok ? response.json() : null))
+        .then(user => {
+            if (!user) return null;
+            // As classes .operador-only e .admin-only escondem o que o papel não pode usar
+            document.body.dataset.papel = user.papel;
+
+            const nav = document.querySelector('.page-nav');
+            if (nav) {
+                const info = document.createElement('span');
+                info.className = 'session-info';
+                info.textContent = `${user.nome} (${user.papel}) `;
+                const logoutBtn = document.createElement('button');
+                logoutBtn.type = 'button';
+                logoutBtn.className = 'secondary-btn';
+                logoutBtn.textContent = 'Sair';
+                logoutBtn.addEventListener('click', logout);
+                info.appendChild(logoutBtn);
+                nav.appendChild(info);
+            }
+            return user;
+        });
+})();
@@ -0,0 +1,90 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const codeForm = document.getElementById('code-form');
+    const fileForm = document.getElementById('file-form');
+    const resultSection = document.getElementById('verification-result');
+    const resultTitle = document.getElementById('verification-title');
+    const resultReason = document.getElementById('verification-reason');
+    const resultDetails = document.getElementById('verification-details');
+    const statusMessage = document.getElementById('status-message');
+
+    const formatCurrency = (value) => new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+    const formatDateTime = (value) => new Date(value).toLocaleString('pt-BR');
+
+    const describeSignature = (signature) => {
+        if (!signature || !signature.assinado) return 'Não assinado digitalmente';
+        if (!signature.valida) return `Assinatura inválida${signature.motivo ? ` (${signature.motivo})` : ''}`;
+        return `Válida — ${signature.titular}, em ${formatDateTime(signature.assinadoEm)}`;
+    };
+
+    const renderResult = (result) => {
+        resultSection.style.display = 'block';
+        resultSection.classList.toggle('authentic', result.autentico);
+        resultSection.classList.toggle('not-authentic', !result.autentico);
+        resultTitle.textContent = result.autentico ? 'Recibo autêntico' : 'Recibo não confirmado';
+        resultReason.textContent = result.autentico
+            ? 'Este recibo foi emitido pelo sistema e não foi alterado.'
+            : (result.motivo || result.error || 'Não foi possível confirmar este recibo.');
+
+        const details = [];
+        if (result.recibo) {
+            details.push(
+                ['Recibo', `Nº ${result.recibo.numero}`],
+                ['Código', result.recibo.codigo_verificacao],
+                ['Funcionário', result.recibo.nome_completo],
+                ['CPF', result.recibo.cpf_mascarado],
+                ['Empresa', `${result.recibo.empresa_nome} (CNPJ ${result.recibo.empresa_cnpj})`],
+                ['Período', result.recibo.periodo],
+                ['Valor', formatCurrency(result.recibo.valor)],
+                ['Emissão', formatDateTime(result.recibo.data_emissao)],
+            );
+        }
+        if (result.assinatura) details.push(['Assinatura digital', describeSignature(result.assinatura)]);
+
+        resultDetails.innerHTML = '';
+        details.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            resultDetails.append(term, description);
+        });
+    };
+
+    const verify = async (request) => {
+        statusMessage.textContent = 'Verificando...';
+        try {
+            const response = await request();
+            const result = await response.json();
+            if (response.status >= 500) throw new Error(result.error || 'Falha ao verificar o recibo.');
+            renderResult(result);
+            statusMessage.textContent = '';
+        } catch (error) {
+            console.error('Erro ao verificar recibo:', error);
+            statusMessage.textContent = `Erro: ${error.message}`;
+        }
+    };
+
+    codeForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = document.getElementById('verification-code').value.trim();
+        verify(() => fetch(`/api/verificacao/${encodeURIComponent(code)}`));
+    });
+
+    fileForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const file = document.getElementById('verification-file').files[0];
+        if (!file) return;
+        verify(() => fetch('/api/verificacao', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/pdf' },
+            body: file,
+        }));
+    });
+
+    // Permite abrir a página já com o código: verificar.html?codigo=XXXX-XXXX-XXXX
+    const initialCode = new URLSearchParams(window.location.search).get('codigo');
+    if (initialCode) {
+        document.getElementById('verification-code').value = initialCode;
+        verify(() => fetch(`/api/verificacao/${encodeURIComponent(initialCode)}`));
+    }
+});
@@ -0,0 +1,150 @@
+/**
+ * benchmark-geracao.js
+ *
+ * Mede o tempo para gerar o ZIP de recibos de N funcionários (padrão 500) com o
+ * modelo padrão, comparando a estratégia antiga com a atual:
+ *  - antes:  um Chromium novo por geração, um recibo por vez, cada PDF gravado em
+ *            disco e lido de volta para o ZIP, fonte carregada do Google Fonts;
+ *  - depois: navegador compartilhado, até LIMITE_PAGINAS_PDF recibos em paralelo,
+ *            PDFs da memória direto para o ZIP, fonte embutida.
+ * Não usa o banco de dados: os recibos são preenchidos com dados fictícios.
+ *
+ * Uso: node scripts/benchmark-geracao.js [quantidade] [antes|depois|ambos]
+ * Ex.: LIMITE_PAGINAS_PDF=8 node scripts/benchmark-geracao.js 500 ambos
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const archiver = require('archiver');
+const {
+    CSS_FONTES_RECIBO, LIMITE_PAGINAS_PDF, renderizarPdf, encerrarNavegador, processarEmParalelo
+} = require('../lib/renderizador-pdf');
+
+const [quantidadeInformada = '500', modo = 'ambos'] = process.argv.slice(2);
+const quantidade = Number(quantidadeInformada);
+if (!Number.isInteger(quantidade) || quantidade <= 0 || !['antes', 'depois', 'ambos'].includes(modo)) {
+    console.error('Uso: node scripts/benchmark-geracao.js [quantidade] [antes|depois|ambos]');
+    process.exit(1);
+}
+
+const modeloPadrao = fs.readFileSync(path.join(__dirname, '..', 'views', 'recibo-template.html'), 'utf-8');
+const IMPORT_GOOGLE_FONTS = "@import url('https://fonts.googleapis.com/css2?family=Roboto:wght@400;700&display=swap');";
+
+/**
+ * Preenche o modelo padrão com os dados fictícios do funcionário `indice`.
+ */
+function montarReciboFicticio(indice, fontes) {
+    const numero = String(indice + 1).padStart(6, '0');
+    const valores = {
+        NUMERO_RECIBO: numero,
+        NOME: `Funcionário de Teste ${numero}`,
+        CPF: '000.000.000-00',
+        VALOR_FORMATADO: 'R$ 2.500,00',
+        VALOR_POR_EXTENSO: 'DOIS MIL E QUINHENTOS REAIS',
+        TOTAL_PROVENTOS: 'R$ 2.500,00',
+        TOTAL_DESCONTOS: 'R$ 0,00',
+        LINHAS_LANCAMENTOS: '<tr><td>Salário base</td><td>R$ 2.500,00</td><td></td></tr>',
+        PERIODO: '01/10/2025 a 31/10/2025',
+        DATA_ATUAL: '31 de outubro de 2025',
+        EMPRESA_NOME: 'Empresa de Teste Ltda',
+        EMPRESA_CNPJ: '00.000.000/0001-00',
+        EMPRESA_ENDERECO: 'Rua de Teste, 100',
+        CIDADE: 'Brasília',
+        CODIGO_VERIFICACAO: 'TEST-E000-0000',
+        URL_VERIFICACAO: 'http://localhost:3000/verificar/TEST-E000-0000',
+        FONTES: fontes
+    };
+    return modeloPadrao.replace(/{{\s*([A-Z_]+)\s*}}/g, (trecho, chave) => valores[chave] ?? '');
+}
+
+/**
+ * Cria o ZIP de saída e retorna { archive, finalizado }.
+ */
+function criarZip(caminho) {
+    const output = fs.createWriteStream(caminho);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finalizado = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
+    });
+    archive.pipe(output);
+    return { archive, finalizado };
+}
+
+// Estratégia anterior, como era feita em processarGeracao
+async function gerarAntes(diretorio) {
+    const { archive, finalizado } = criarZip(path.join(diretorio, 'antes.zip'));
+    const navegador = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+    try {
+        for (let indice = 0; indice < quantidade; indice++) {
+            const caminhoPdf = path.join(diretorio, `antes-${indice}.pdf`);
+            const pagina = await navegador.newPage();
+            try {
+                await pagina.setContent(montarReciboFicticio(indice, IMPORT_GOOGLE_FONTS), { waitUntil: 'domcontentloaded' });
+                await pagina.pdf({ path: caminhoPdf, format: 'A4', printBackground: true });
+            } finally {
+                await pagina.close();
+            }
+            fs.readFileSync(caminhoPdf); // O conteúdo era lido de volta para gravar no histórico
+            archive.append(fs.createReadStream(caminhoPdf), { name: `antes-${indice}.pdf` });
+        }
+    } finally {
+        await navegador.close();
+    }
+    await archive.finalize();
+    await finalizado;
+    return archive.pointer();
+}
+
+// Estratégia atual: navegador compartilhado e renderização paralela limitada
+async function gerarDepois(diretorio) {
+    const { archive, finalizado } = criarZip(path.join(diretorio, 'depois.zip'));
+    await processarEmParalelo(Array.from({ length: quantidade }, (_, indice) => indice), LIMITE_PAGINAS_PDF, async (indice) => {
+        const conteudoPdf = await renderizarPdf(montarReciboFicticio(indice, CSS_FONTES_RECIBO));
+        archive.append(conteudoPdf, { name: `depois-${indice}.pdf` });
+    });
+    await archive.finalize();
+    await finalizado;
+    return archive.pointer();
+}
+
+async function medir(nome, gerar, diretorio) {
+    const inicio = process.hrtime.bigint();
+    const bytes = await gerar(diretorio);
+    const segundos = Number(process.hrtime.bigint() - inicio) / 1e9;
+    return {
+        estrategia: nome,
+        recibos: quantidade,
+        'tempo (s)': Number(segundos.toFixed(2)),
+        'ms por recibo': Number((segundos * 1000 / quantidade).toFixed(1)),
+        'ZIP (KB)': Math.round(bytes / 1024)
+    };
+}
+
+async function executar() {
+    const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-recibos-'));
+    const resultados = [];
+    try {
+        console.log(`Gerando ${quantidade} recibos (LIMITE_PAGINAS_PDF=${LIMITE_PAGINAS_PDF})...`);
+        if (modo !== 'depois') resultados.push(await medir('antes', gerarAntes, diretorio));
+        if (modo !== 'antes') resultados.push(await medir('depois', gerarDepois, diretorio));
+    } finally {
+        await encerrarNavegador();
+        fs.rmSync(diretorio, { recursive: true, force: true });
+    }
+
+    console.table(resultados);
+    if (resultados.length === 2) {
+        console.log(`Ganho: ${(resultados[0]['tempo (s)'] / resultados[1]['tempo (s)']).toFixed(1)}x mais rápido.`);
+    }
+}
+
+executar().catch((erro) => {
+    console.error('Erro no benchmark:', erro);
+    process.exit(1);
+});
@@ -0,0 +1,43 @@
+/**
+ * gerar-certificado-teste.js
+ *
+ * Gera um certificado autoassinado em PKCS#12 (.p12) para testar a assinatura
+ * digital dos recibos. NÃO serve para uso em produção: use um certificado
+ * ICP-Brasil (e-CNPJ A1) emitido para a empresa.
+ *
+ * Uso: node scripts/gerar-certificado-teste.js [arquivo.p12] [senha] [nome da empresa]
+ */
+
+const fs = require('fs');
+const forge = require('node-forge');
+
+const [arquivoSaida = 'certificado-teste.p12', senha = 'teste123', nomeEmpresa = 'Empresa de Teste Ltda'] = process.argv.slice(2);
+
+const chaves = forge.pki.rsa.generateKeyPair(2048);
+const certificado = forge.pki.createCertificate();
+certificado.publicKey = chaves.publicKey;
+certificado.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(8));
+certificado.validity.notBefore = new Date();
+certificado.validity.notAfter = new Date();
+certificado.validity.notAfter.setFullYear(certificado.validity.notBefore.getFullYear() + 1);
+
+// Nomes em UTF-8, como nos certificados ICP-Brasil
+const texto = (valor) => ({ value: valor, valueTagClass: forge.asn1.Type.UTF8 });
+const atributos = [
+    { name: 'commonName', ...texto(nomeEmpresa) },
+    { name: 'countryName', value: 'BR' },
+    { shortName: 'O', ...texto(nomeEmpresa) },
+    { shortName: 'OU', ...texto('Certificado de teste - sem validade jurídica') }
+];
+certificado.setSubject(atributos);
+certificado.setIssuer(atributos);
+certificado.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, nonRepudiation: true }
+]);
+certificado.sign(chaves.privateKey, forge.md.sha256.create());
+
+const p12 = forge.pkcs12.toPkcs12Asn1(chaves.privateKey, [certificado], senha, { algorithm: '3des' });
+fs.writeFileSync(arquivoSaida, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+
+console.log(`Certificado de teste gerado em ${arquivoSaida} (senha: ${senha}).`);
@@ -0,0 +1,121 @@
+/**
+ * ajudantes.js
+ *
+ * Apoio aos testes de integração: sobe a aplicação em uma porta livre sobre o banco
+ * SQLite em memória (ambiente "test" do knexfile.js), cria o administrador inicial
+ * e faz as requisições autenticadas com o cookie de sessão dele.
+ */
+
+// Precisa vir antes de qualquer require de lib/, que lê o ambiente ao carregar
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_EMAIL = 'admin@teste.com';
+process.env.ADMIN_SENHA = 'senha-dos-testes';
+process.env.CHAVE_CERTIFICADOS = 'chave-dos-testes';
+
+const crypto = require('crypto');
+const path = require('path');
+const forge = require('node-forge');
+const { aplicacao, criarAdministradorInicial } = require('../index');
+const { bancoDeDados } = require('../lib/banco-de-dados');
+const { encerrarNavegador } = require('../lib/renderizador-pdf');
+
+/**
+ * Aplica as migrations, cria o administrador, sobe o servidor e faz o login.
+ * Retorna o contexto usado por `requisitar` e `encerrarServidor`.
+ */
+async function iniciarServidorDeTeste() {
+    await bancoDeDados.migrate.latest({ directory: path.join(__dirname, '..', 'database', 'migrations') });
+    await criarAdministradorInicial();
+
+    const servidor = await new Promise((resolve) => {
+        const instancia = aplicacao.listen(0, '127.0.0.1', () => resolve(instancia));
+    });
+    const contexto = { servidor, urlBase: `http://127.0.0.1:${servidor.address().port}`, cookie: null };
+
+    const login = await requisitar(contexto, 'POST', '/api/login', {
+        email: process.env.ADMIN_EMAIL, senha: process.env.ADMIN_SENHA
+    });
+    if (login.status !== 200) {
+        throw new Error(`Falha no login dos testes (${login.status}).`);
+    }
+    contexto.cookie = login.headers.get('set-cookie').split(';')[0];
+    return contexto;
+}
+
+/**
+ * Faz uma requisição à aplicação com a sessão do administrador. Objetos são
+ * enviados como JSON; Buffers e textos, como estão. Retorna a Response do fetch.
+ */
+function requisitar(contexto, metodo, caminho, corpo) {
+    const cabecalhos = {};
+    if (contexto.cookie) cabecalhos.Cookie = contexto.cookie;
+
+    let conteudo;
+    if (Buffer.isBuffer(corpo) || typeof corpo === 'string') {
+        conteudo = corpo;
+        cabecalhos['Content-Type'] = 'application/octet-stream';
+    } else if (corpo !== undefined) {
+        conteudo = JSON.stringify(corpo);
+        cabecalhos['Content-Type'] = 'application/json';
+    }
+    return fetch(`${contexto.urlBase}${caminho}`, { method: metodo, headers: cabecalhos, body: conteudo });
+}
+
+/**
+ * Fecha o servidor, o navegador da renderização de PDFs e a conexão com o banco.
+ */
+async function encerrarServidor(contexto) {
+    if (contexto) {
+        contexto.servidor.closeAllConnections();
+        await new Promise(resolve => contexto.servidor.close(resolve));
+    }
+    await encerrarNavegador();
+    await bancoDeDados.destroy();
+}
+
+/**
+ * Cadastra uma empresa para os testes e retorna o registro criado.
+ */
+async function criarEmpresa(contexto, dados = {}) {
+    const resposta = await requisitar(contexto, 'POST', '/api/empresas', {
+        nome: 'Empresa dos Testes Ltda',
+        cnpj: '11.222.333/0001-81',
+        cidade: 'Fortaleza',
+        ...dados
+    });
+    if (resposta.status !== 201) {
+        throw new Error(`Falha ao cadastrar a empresa dos testes (${resposta.status}).`);
+    }
+    return resposta.json();
+}
+
+/**
+ * Gera um certificado autoassinado em PKCS#12, como scripts/gerar-certificado-teste.js,
+ * e o retorna em base64. A chave é gerada pelo crypto do Node, bem mais rápido que o forge.
+ */
+function gerarCertificadoDeTeste(titular, senha) {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const chavePrivada = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+
+    const certificado = forge.pki.createCertificate();
+    certificado.publicKey = forge.pki.setRsaPublicKey(chavePrivada.n, chavePrivada.e);
+    certificado.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(8));
+    certificado.validity.notBefore = new Date();
+    certificado.validity.notAfter = new Date();
+    certificado.validity.notAfter.setFullYear(certificado.validity.notBefore.getFullYear() + 1);
+    const atributos = [{ name: 'commonName', value: titular, valueTagClass: forge.asn1.Type.UTF8 }];
+    certificado.setSubject(atributos);
+    certificado.setIssuer(atributos);
+    certificado.sign(chavePrivada, forge.md.sha256.create());
+
+    const p12 = forge.pkcs12.toPkcs12Asn1(chavePrivada, [certificado], senha, { algorithm: '3des' });
+    return Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary').toString('base64');
+}
+
+module.exports = {
+    iniciarServidorDeTeste,
+    requisitar,
+    encerrarServidor,
+    criarEmpresa,
+    gerarCertificadoDeTeste
+};
@@ -0,0 +1,165 @@
+/**
+ * Testes da assinatura digital dos recibos: várias assinaturas com o mesmo
+ * assinante e a conferência da assinatura contra o certificado gravado no recibo,
+ * direto na lib/assinatura.js e pela verificação pública (/api/verificacao).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const { iniciarServidorDeTeste, requisitar, encerrarServidor, criarEmpresa, gerarCertificadoDeTeste } = require('./ajudantes');
+const { bancoDeDados } = require('../lib/banco-de-dados');
+const { carregarAssinante, assinarPdf, verificarAssinaturaPdf } = require('../lib/assinatura');
+
+/**
+ * PDF simples de uma página com um texto.
+ */
+async function criarPdf(texto) {
+    const documento = await PDFDocument.create();
+    documento.addPage().drawText(texto, { x: 50, y: 700 });
+    return Buffer.from(await documento.save());
+}
+
+describe('Assinatura digital dos recibos', () => {
+    let contexto;
+    let empresa;
+    let outraEmpresa;
+
+    /**
+     * Configura um certificado novo na empresa e retorna o registro atualizado do banco.
+     */
+    async function configurarCertificado(empresaId, titular) {
+        const resposta = await requisitar(contexto, 'PUT', `/api/empresas/${empresaId}/certificado`, {
+            certificado: gerarCertificadoDeTeste(titular, 'senha-do-certificado'),
+            senha: 'senha-do-certificado'
+        });
+        assert.equal(resposta.status, 200);
+        return bancoDeDados('empresas').where({ id: empresaId }).first();
+    }
+
+    /**
+     * Assina um PDF com o certificado atual da empresa e grava o recibo, como faz a geração.
+     */
+    async function emitirReciboAssinado(empresaRecibo, codigoVerificacao) {
+        const assinante = carregarAssinante(empresaRecibo);
+        const conteudoPdf = await assinarPdf(await criarPdf(`Recibo ${codigoVerificacao}`), assinante, empresaRecibo);
+        await gravarRecibo(empresaRecibo, conteudoPdf, codigoVerificacao, assinante.hashCertificado);
+        return conteudoPdf;
+    }
+
+    /**
+     * Grava um recibo emitido pela empresa com o PDF e o hash do certificado informados.
+     */
+    async function gravarRecibo(empresaRecibo, conteudoPdf, codigoVerificacao, hashCertificado) {
+        await bancoDeDados('recibos').insert({
+            nome_completo: 'José Ávila', cpf: '123.456.789-09', valor: 2500, mes: 10, ano: 2025, periodo: '10/2025',
+            empresa_id: empresaRecibo.id, empresa_nome: empresaRecibo.nome, empresa_cnpj: empresaRecibo.cnpj,
+            codigo_verificacao: codigoVerificacao, assinado: true, conteudo_pdf: conteudoPdf, hash_certificado: hashCertificado,
+            hash_arquivo: crypto.createHash('sha256').update(conteudoPdf).digest('hex')
+        });
+    }
+
+    const verificarPorCodigo = async (codigo) =>
+        (await requisitar({ ...contexto, cookie: null }, 'GET', `/api/verificacao/${codigo}`)).json();
+
+    before(async () => {
+        contexto = await iniciarServidorDeTeste();
+        empresa = await configurarCertificado((await criarEmpresa(contexto)).id, 'Empresa dos Testes Ltda');
+        const cadastrada = await criarEmpresa(contexto, { nome: 'Outra Empresa Ltda', cnpj: '11.444.777/0001-61' });
+        outraEmpresa = await configurarCertificado(cadastrada.id, 'Outra Empresa Ltda');
+    });
+
+    after(async () => {
+        await encerrarServidor(contexto);
+    });
+
+    it('assina vários recibos com o mesmo assinante, como em uma geração', async () => {
+        const assinante = carregarAssinante(empresa);
+
+        for (const texto of ['Recibo 1', 'Recibo 2', 'Recibo 3']) {
+            const assinado = await assinarPdf(await criarPdf(texto), assinante, empresa);
+            const assinatura = verificarAssinaturaPdf(assinado, assinante.hashCertificado);
+            assert.equal(assinatura.assinado, true, texto);
+            assert.equal(assinatura.valida, true, `${texto}: ${assinatura.motivo}`);
+            assert.equal(assinatura.titular, 'Empresa dos Testes Ltda');
+        }
+    });
+
+    it('não confirma a assinatura feita com outro certificado ou sem o certificado gravado', async () => {
+        const assinado = await assinarPdf(await criarPdf('Recibo falso'), carregarAssinante(outraEmpresa), empresa);
+
+        const assinatura = verificarAssinaturaPdf(assinado, carregarAssinante(empresa).hashCertificado);
+        assert.equal(assinatura.assinado, true);
+        assert.equal(assinatura.integro, true);
+        assert.equal(assinatura.valida, false);
+        assert.equal(assinatura.motivo, 'O certificado não é o da empresa emissora.');
+
+        assert.equal(verificarAssinaturaPdf(assinado).valida, false);
+    });
+
+    it('aponta o arquivo alterado depois de assinado', async () => {
+        const assinante = carregarAssinante(empresa);
+        const assinado = await assinarPdf(await criarPdf('Recibo 1'), assinante, empresa);
+        const alterado = Buffer.concat([assinado, Buffer.from('\n% alterado\n')]);
+
+        const assinatura = verificarAssinaturaPdf(alterado, assinante.hashCertificado);
+        assert.equal(assinatura.valida, false);
+        assert.equal(assinatura.motivo, 'O arquivo foi alterado depois de assinado.');
+    });
+
+    describe('verificação pública', () => {
+        it('confirma a assinatura do recibo emitido com o certificado da empresa', async () => {
+            const assinado = await emitirReciboAssinado(empresa, 'AAAA-BBBB-CCCC');
+
+            const porArquivo = await (await requisitar({ ...contexto, cookie: null }, 'POST', '/api/verificacao', assinado)).json();
+            assert.equal(porArquivo.autentico, true);
+            assert.equal(porArquivo.assinatura.valida, true, porArquivo.assinatura.motivo);
+
+            const porCodigo = await verificarPorCodigo('aaaabbbbcccc');
+            assert.equal(porCodigo.autentico, true);
+            assert.equal(porCodigo.assinatura.valida, true, porCodigo.assinatura.motivo);
+        });
+
+        it('continua confirmando recibos antigos depois de a empresa renovar ou remover o certificado', async () => {
+            const empresaRenovada = await configurarCertificado(
+                (await criarEmpresa(contexto, { nome: 'Empresa Renovada Ltda', cnpj: '11.222.333/0002-62' })).id,
+                'Empresa Renovada Ltda'
+            );
+            const assinadoAntes = await emitirReciboAssinado(empresaRenovada, 'NNNN-PPPP-QQQQ');
+
+            const renovada = await configurarCertificado(empresaRenovada.id, 'Empresa Renovada Ltda');
+            await emitirReciboAssinado(renovada, 'RRRR-SSSS-TTTT');
+            assert.equal((await verificarPorCodigo('NNNN-PPPP-QQQQ')).assinatura.valida, true);
+            assert.equal((await verificarPorCodigo('RRRR-SSSS-TTTT')).assinatura.valida, true);
+
+            const remocao = await requisitar(contexto, 'DELETE', `/api/empresas/${empresaRenovada.id}/certificado`);
+            assert.equal(remocao.status, 200);
+            assert.equal((await verificarPorCodigo('NNNN-PPPP-QQQQ')).assinatura.valida, true);
+            assert.equal((await verificarPorCodigo('RRRR-SSSS-TTTT')).assinatura.valida, true);
+
+            const porArquivo = await (await requisitar({ ...contexto, cookie: null }, 'POST', '/api/verificacao', assinadoAntes)).json();
+            assert.equal(porArquivo.assinatura.valida, true, porArquivo.assinatura.motivo);
+        });
+
+        it('não confirma o recibo gravado com a assinatura de outro certificado', async () => {
+            const assinado = await assinarPdf(await criarPdf('Recibo trocado'), carregarAssinante(outraEmpresa), empresa);
+            await gravarRecibo(empresa, assinado, 'DDDD-EEEE-FFFF', carregarAssinante(empresa).hashCertificado);
+
+            const resultado = await verificarPorCodigo('DDDD-EEEE-FFFF');
+            assert.equal(resultado.assinatura.valida, false);
+            assert.equal(resultado.assinatura.motivo, 'O certificado não é o da empresa emissora.');
+        });
+
+        it('não dá parecer sobre a assinatura de um arquivo que não é de nenhum recibo', async () => {
+            const autoassinado = await assinarPdf(await criarPdf('Recibo forjado'), carregarAssinante(outraEmpresa), outraEmpresa);
+
+            const resposta = await requisitar({ ...contexto, cookie: null }, 'POST', '/api/verificacao', autoassinado);
+            assert.equal(resposta.status, 200);
+            const resultado = await resposta.json();
+            assert.equal(resultado.autentico, false);
+            assert.equal(resultado.motivo, 'Este arquivo não corresponde a nenhum recibo emitido, ou foi alterado.');
+            assert.equal(resultado.assinatura, undefined);
+        });
+    });
+});
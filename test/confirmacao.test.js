@@ -0,0 +1,88 @@
+/**
+ * Testes da confirmação de recebimento pelo funcionário (/confirmar/:token): o
+ * nome digitado é comparado sem acentos, maiúsculas ou espaços repetidos, e o PDF
+ * carimbado é assinado de novo com o certificado da empresa.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const { iniciarServidorDeTeste, requisitar, encerrarServidor, criarEmpresa, gerarCertificadoDeTeste } = require('./ajudantes');
+const { bancoDeDados } = require('../lib/banco-de-dados');
+
+describe('Confirmação de recebimento', () => {
+    let contexto;
+    let empresa;
+
+    /**
+     * Grava um recibo pendente de confirmação e retorna o token do link enviado ao funcionário.
+     */
+    async function gravarReciboPendente(codigoVerificacao) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const documento = await PDFDocument.create();
+        documento.addPage();
+        await bancoDeDados('recibos').insert({
+            nome_completo: 'José Ávila', cpf: '123.456.789-09', valor: 2500, mes: 10, ano: 2025, periodo: '10/2025',
+            empresa_id: empresa.id, empresa_nome: empresa.nome, empresa_cnpj: empresa.cnpj,
+            codigo_verificacao: codigoVerificacao, conteudo_pdf: Buffer.from(await documento.save()),
+            token_confirmacao_hash: crypto.createHash('sha256').update(token).digest('hex')
+        });
+        return token;
+    }
+
+    const confirmar = (token, campos) => fetch(`${contexto.urlBase}/confirmar/${token}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(campos).toString()
+    });
+
+    before(async () => {
+        contexto = await iniciarServidorDeTeste();
+        empresa = await criarEmpresa(contexto);
+    });
+
+    after(async () => {
+        await encerrarServidor(contexto);
+    });
+
+    it('aceita o nome digitado sem acentos e com outra capitalização', async () => {
+        const token = await gravarReciboPendente('GGGG-HHHH-JJJJ');
+
+        const resposta = await confirmar(token, { nome: '  jose   AVILA ', cpf: '12345678909', declaracao: 'sim' });
+        assert.equal(resposta.status, 200);
+
+        const recibo = await bancoDeDados('recibos').where({ codigo_verificacao: 'GGGG-HHHH-JJJJ' }).first();
+        assert.equal(recibo.status_confirmacao, 'assinado');
+        assert.equal(recibo.confirmado_nome, 'jose AVILA');
+    });
+
+    it('recusa um nome diferente do cadastrado', async () => {
+        const token = await gravarReciboPendente('KKKK-LLLL-MMMM');
+
+        const resposta = await confirmar(token, { nome: 'José Ávila Filho', cpf: '123.456.789-09', declaracao: 'sim' });
+        assert.equal(resposta.status, 400);
+
+        const recibo = await bancoDeDados('recibos').where({ codigo_verificacao: 'KKKK-LLLL-MMMM' }).first();
+        assert.equal(recibo.status_confirmacao, 'pendente');
+    });
+
+    it('assina o recibo carimbado, e a verificação do arquivo confirmado confere a assinatura', async () => {
+        const configuracao = await requisitar(contexto, 'PUT', `/api/empresas/${empresa.id}/certificado`, {
+            certificado: gerarCertificadoDeTeste('Empresa dos Testes Ltda', 'senha-do-certificado'),
+            senha: 'senha-do-certificado'
+        });
+        assert.equal(configuracao.status, 200);
+        const token = await gravarReciboPendente('NNNN-PPPP-QQQQ');
+
+        const resposta = await confirmar(token, { nome: 'José Ávila', cpf: '123.456.789-09', declaracao: 'sim' });
+        assert.equal(resposta.status, 200);
+
+        const recibo = await bancoDeDados('recibos').where({ codigo_verificacao: 'NNNN-PPPP-QQQQ' }).first();
+        assert.ok(recibo.hash_certificado_confirmado);
+        const verificacao = await (await requisitar({ ...contexto, cookie: null }, 'POST', '/api/verificacao',
+            Buffer.from(recibo.conteudo_pdf_confirmado))).json();
+        assert.equal(verificacao.autentico, true);
+        assert.equal(verificacao.assinatura.valida, true, verificacao.assinatura.motivo);
+    });
+});
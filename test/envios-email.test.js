@@ -0,0 +1,173 @@
+/**
+ * Testes da fila de envio de recibos por e-mail: reenvio de um envio que falhou e o
+ * link de confirmação enviado, contra um servidor SMTP mínimo local.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const net = require('net');
+const { iniciarServidorDeTeste, requisitar, encerrarServidor, criarEmpresa } = require('./ajudantes');
+const { bancoDeDados } = require('../lib/banco-de-dados');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Servidor SMTP mínimo: guarda as mensagens recebidas ou, com `recusar`, responde
+ * erro ao remetente, como um servidor fora do ar.
+ */
+async function iniciarServidorSmtp() {
+    const smtp = { mensagens: [], recusar: false };
+    smtp.servidor = net.createServer((conexao) => {
+        let recebendoDados = false;
+        let buffer = '';
+        conexao.write('220 teste ESMTP\r\n');
+        conexao.on('data', (dados) => {
+            buffer += dados.toString('latin1');
+            for (;;) {
+                if (recebendoDados) {
+                    const fim = buffer.indexOf('\r\n.\r\n');
+                    if (fim === -1) return;
+                    smtp.mensagens.push(buffer.slice(0, fim));
+                    buffer = buffer.slice(fim + 5);
+                    recebendoDados = false;
+                    conexao.write('250 OK\r\n');
+                    continue;
+                }
+                const fimLinha = buffer.indexOf('\r\n');
+                if (fimLinha === -1) return;
+                const comando = buffer.slice(0, fimLinha).toUpperCase();
+                buffer = buffer.slice(fimLinha + 2);
+                if (comando.startsWith('EHLO') || comando.startsWith('HELO')) conexao.write('250 teste\r\n');
+                else if (comando.startsWith('MAIL')) conexao.write(smtp.recusar ? '421 Serviço indisponível\r\n' : '250 OK\r\n');
+                else if (comando.startsWith('DATA')) {
+                    recebendoDados = true;
+                    conexao.write('354 Envie a mensagem\r\n');
+                } else if (comando.startsWith('QUIT')) conexao.end('221 Tchau\r\n');
+                else conexao.write('250 OK\r\n');
+            }
+        });
+    });
+    await new Promise(resolve => smtp.servidor.listen(0, '127.0.0.1', resolve));
+    smtp.porta = smtp.servidor.address().port;
+    return smtp;
+}
+
+describe('Envios de e-mail', () => {
+    let contexto;
+    let empresa;
+    let empresaComSmtp;
+    let smtp;
+
+    /**
+     * Grava um recibo e um envio dele que falhou em todas as tentativas. Com
+     * `tokenConfirmacao`, o recibo já tem esse link de confirmação.
+     */
+    async function gravarEnvioQueFalhou({ empresaEnvio = empresa, conteudoPdf = null, tokenConfirmacao = null } = {}) {
+        const [recibo] = await bancoDeDados('recibos').insert({
+            nome_completo: 'José Ávila', cpf: '123.456.789-09', valor: 2500, mes: 10, ano: 2025, periodo: '10/2025',
+            empresa_id: empresaEnvio.id, empresa_nome: empresaEnvio.nome, empresa_cnpj: empresaEnvio.cnpj,
+            nome_arquivo: 'RECIBO-Jose_Avila-10-2025.pdf', conteudo_pdf: conteudoPdf,
+            token_confirmacao_hash: tokenConfirmacao && hashToken(tokenConfirmacao)
+        }).returning('id');
+        const [envio] = await bancoDeDados('envios_email').insert({
+            recibo_id: recibo.id, empresa_id: empresaEnvio.id, destinatario: 'jose@teste.com', url_publica: 'http://recibos.teste',
+            status: 'falhou', tentativas: 4, ultimo_erro: 'Conexão recusada pelo servidor SMTP.'
+        }).returning('id');
+        return envio.id;
+    }
+
+    /**
+     * Espera a fila terminar a tentativa de envio, para não fechar o banco no meio dela.
+     */
+    async function aguardarTentativa(id) {
+        for (let espera = 0; espera < 50; espera++) {
+            const envio = await bancoDeDados('envios_email').where({ id }).first();
+            if (envio.tentativas > 0) return envio;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        throw new Error('A fila de e-mails não processou o reenvio.');
+    }
+
+    before(async () => {
+        contexto = await iniciarServidorDeTeste();
+        empresa = await criarEmpresa(contexto);
+        smtp = await iniciarServidorSmtp();
+        empresaComSmtp = await criarEmpresa(contexto, { nome: 'Empresa com SMTP Ltda', cnpj: '11.444.777/0001-61' });
+        const configuracao = await requisitar(contexto, 'PUT', `/api/empresas/${empresaComSmtp.id}/smtp`, {
+            smtp_host: '127.0.0.1', smtp_porta: smtp.porta, smtp_remetente: 'RH <rh@teste.com>'
+        });
+        assert.equal(configuracao.status, 200);
+    });
+
+    after(async () => {
+        await encerrarServidor(contexto);
+        await new Promise(resolve => smtp.servidor.close(resolve));
+    });
+
+    it('recoloca na fila o envio que falhou, sem o erro anterior, e registra na auditoria', async () => {
+        const id = await gravarEnvioQueFalhou();
+
+        const resposta = await requisitar(contexto, 'POST', `/api/envios-email/${id}/reenviar`);
+        assert.equal(resposta.status, 200);
+        const envio = await resposta.json();
+        assert.equal(envio.status, 'pendente');
+        assert.equal(envio.tentativas, 0);
+        assert.equal(envio.ultimo_erro, null);
+
+        const registro = await bancoDeDados('auditoria').where({ acao: 'enviar_email', entidade: 'recibo' }).first();
+        assert.equal(registro.entidade_id, String(envio.recibo_id));
+        assert.equal(registro.usuario_nome, 'Administrador');
+        assert.deepEqual(JSON.parse(registro.dados_anteriores), { status: 'falhou', ultimo_erro: 'Conexão recusada pelo servidor SMTP.' });
+        assert.deepEqual(JSON.parse(registro.dados_novos), { destinatario: 'jose@teste.com' });
+
+        // O recibo gravado não tem PDF: a nova tentativa falha, com o erro dela
+        const tentativa = await aguardarTentativa(id);
+        assert.equal(tentativa.ultimo_erro, 'O PDF do recibo não está disponível.');
+    });
+
+    it('mantém o link de confirmação anterior quando o envio falha', async () => {
+        smtp.recusar = true;
+        const id = await gravarEnvioQueFalhou({
+            empresaEnvio: empresaComSmtp, conteudoPdf: Buffer.from('%PDF-1.4'), tokenConfirmacao: 'token-anterior'
+        });
+
+        assert.equal((await requisitar(contexto, 'POST', `/api/envios-email/${id}/reenviar`)).status, 200);
+        const tentativa = await aguardarTentativa(id);
+        assert.equal(tentativa.status, 'pendente');
+        assert.ok(tentativa.ultimo_erro);
+
+        const recibo = await bancoDeDados('recibos').where({ id: tentativa.recibo_id }).first();
+        assert.equal(recibo.token_confirmacao_hash, hashToken('token-anterior'));
+    });
+
+    it('troca o link de confirmação pelo enviado quando o e-mail sai', async () => {
+        smtp.recusar = false;
+        smtp.mensagens.length = 0;
+        const id = await gravarEnvioQueFalhou({
+            empresaEnvio: empresaComSmtp, conteudoPdf: Buffer.from('%PDF-1.4'), tokenConfirmacao: 'token-anterior-2'
+        });
+
+        assert.equal((await requisitar(contexto, 'POST', `/api/envios-email/${id}/reenviar`)).status, 200);
+        const tentativa = await aguardarTentativa(id);
+        assert.equal(tentativa.status, 'enviado', tentativa.ultimo_erro);
+
+        // O corpo vem em quoted-printable: junta as linhas quebradas antes de procurar o link
+        const mensagem = smtp.mensagens.join('\n').replace(/=\r\n/g, '');
+        const [, token] = mensagem.match(/http:\/\/recibos\.teste\/confirmar\/([A-Za-z0-9_-]{43})/);
+        const recibo = await bancoDeDados('recibos').where({ id: tentativa.recibo_id }).first();
+        assert.equal(recibo.token_confirmacao_hash, hashToken(token));
+    });
+
+    it('só reenvia um envio que falhou', async () => {
+        const id = await gravarEnvioQueFalhou();
+        await bancoDeDados('envios_email').where({ id }).update({ status: 'enviado' });
+        const contarRegistros = () => bancoDeDados('auditoria').where({ acao: 'enviar_email' }).count('id as total').first()
+            .then(({ total }) => Number(total));
+        const registrosAntes = await contarRegistros();
+
+        assert.equal((await requisitar(contexto, 'POST', `/api/envios-email/${id}/reenviar`)).status, 409);
+        assert.equal((await requisitar(contexto, 'POST', '/api/envios-email/9999/reenviar')).status, 404);
+        assert.equal(await contarRegistros(), registrosAntes);
+    });
+});
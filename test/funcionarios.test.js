@@ -0,0 +1,403 @@
+/**
+ * Testes de integração das rotas de funcionários (/api/funcionarios e as rotas de
+ * histórico salarial, lançamentos e ausências), sobre o banco SQLite em memória.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { iniciarServidorDeTeste, requisitar, encerrarServidor, criarEmpresa } = require('./ajudantes');
+
+describe('API de funcionários', () => {
+    let contexto;
+    let empresa;
+    let funcionario;
+
+    const cadastrar = (dados) => requisitar(contexto, 'POST', '/api/funcionarios', {
+        empresa_id: empresa.id, ...dados
+    });
+
+    before(async () => {
+        contexto = await iniciarServidorDeTeste();
+        empresa = await criarEmpresa(contexto);
+    });
+
+    after(() => encerrarServidor(contexto));
+
+    it('exige login', async () => {
+        const resposta = await requisitar({ ...contexto, cookie: null }, 'GET', '/api/funcionarios');
+        assert.equal(resposta.status, 401);
+    });
+
+    describe('POST /api/funcionarios', () => {
+        it('cadastra o funcionário com o CPF formatado e o salário inicial no histórico', async () => {
+            const resposta = await cadastrar({
+                nome_completo: '  Maria   da Silva ', cpf: '52998224725', salario_base: '2.500,00', data_admissao: '15/01/2024'
+            });
+            assert.equal(resposta.status, 201);
+            funcionario = await resposta.json();
+            assert.equal(funcionario.nome_completo, 'Maria da Silva');
+            assert.equal(funcionario.cpf, '529.982.247-25');
+            assert.equal(Number(funcionario.salario_base), 2500);
+            assert.equal(funcionario.data_admissao, '2024-01-15');
+            assert.equal(funcionario.empresa_id, empresa.id);
+
+            const historico = await (await requisitar(contexto, 'GET', `/api/funcionarios/${funcionario.id}/salarios`)).json();
+            assert.equal(historico.length, 1);
+            assert.equal(historico[0].vigencia_inicio, '2024-01-15');
+            assert.equal(historico[0].motivo, 'Salário inicial');
+        });
+
+        it('responde 400 com os erros de cada campo', async () => {
+            const resposta = await cadastrar({ nome_completo: '', cpf: '123.456.789-00', salario_base: '-10' });
+            assert.equal(resposta.status, 400);
+            const { campos } = await resposta.json();
+            assert.deepEqual(Object.keys(campos).sort(), ['cpf', 'nome_completo', 'salario_base']);
+        });
+
+        it('recusa uma empresa inexistente', async () => {
+            const resposta = await requisitar(contexto, 'POST', '/api/funcionarios', {
+                nome_completo: 'Sem Empresa', cpf: '11144477735', salario_base: 1000, empresa_id: 9999
+            });
+            assert.equal(resposta.status, 400);
+            assert.equal((await resposta.json()).campos.empresa_id, 'Empresa não encontrada.');
+        });
+
+        it('responde 409 para um CPF já cadastrado, em qualquer formato', async () => {
+            const resposta = await cadastrar({ nome_completo: 'Outra Maria', cpf: '529.982.247-25', salario_base: 1000 });
+            assert.equal(resposta.status, 409);
+            assert.equal((await resposta.json()).campos.cpf, 'Este CPF já está cadastrado.');
+        });
+    });
+
+    describe('GET /api/funcionarios', () => {
+        it('lista os funcionários da empresa, sem recibo emitido', async () => {
+            const resposta = await requisitar(contexto, 'GET', `/api/funcionarios?empresa_id=${empresa.id}`);
+            assert.equal(resposta.status, 200);
+            const lista = await resposta.json();
+            assert.equal(lista.length, 1);
+            assert.equal(lista[0].id, funcionario.id);
+            assert.equal(lista[0].ultimo_recibo, null);
+        });
+
+        it('filtra por empresa', async () => {
+            const lista = await (await requisitar(contexto, 'GET', '/api/funcionarios?empresa_id=9999')).json();
+            assert.deepEqual(lista, []);
+        });
+    });
+
+    describe('PUT e PATCH /api/funcionarios/:id', () => {
+        it('PATCH altera apenas os campos enviados', async () => {
+            const resposta = await requisitar(contexto, 'PATCH', `/api/funcionarios/${funcionario.id}`, { email: 'Maria@Exemplo.com' });
+            assert.equal(resposta.status, 200);
+            const atualizado = await resposta.json();
+            assert.equal(atualizado.email, 'maria@exemplo.com');
+            assert.equal(atualizado.nome_completo, 'Maria da Silva');
+            assert.equal(Number(atualizado.salario_base), 2500);
+        });
+
+        it('PUT exige todos os campos', async () => {
+            const resposta = await requisitar(contexto, 'PUT', `/api/funcionarios/${funcionario.id}`, { nome_completo: 'Só o Nome' });
+            assert.equal(resposta.status, 400);
+            const { campos } = await resposta.json();
+            assert.ok(campos.cpf);
+            assert.ok(campos.salario_base);
+        });
+
+        it('exige o motivo de uma alteração salarial', async () => {
+            const resposta = await requisitar(contexto, 'PATCH', `/api/funcionarios/${funcionario.id}`, { salario_base: 3000 });
+            assert.equal(resposta.status, 400);
+            assert.ok((await resposta.json()).campos.motivo_salario);
+        });
+
+        it('PUT grava o novo salário no histórico com a vigência informada', async () => {
+            const resposta = await requisitar(contexto, 'PUT', `/api/funcionarios/${funcionario.id}`, {
+                nome_completo: 'Maria da Silva Souza',
+                cpf: '529.982.247-25',
+                salario_base: 3000,
+                vigencia_salario: '2025-03-01',
+                motivo_salario: 'Promoção'
+            });
+            assert.equal(resposta.status, 200);
+            const atualizado = await resposta.json();
+            assert.equal(atualizado.nome_completo, 'Maria da Silva Souza');
+            assert.equal(Number(atualizado.salario_base), 3000);
+            assert.equal(atualizado.empresa_id, empresa.id);
+
+            const historico = await (await requisitar(contexto, 'GET', `/api/funcionarios/${funcionario.id}/salarios`)).json();
+            assert.deepEqual(historico.map(entrada => [entrada.vigencia_inicio, Number(entrada.salario), entrada.motivo]), [
+                ['2025-03-01', 3000, 'Promoção'],
+                ['2024-01-15', 2500, 'Salário inicial']
+            ]);
+        });
+
+        it('recusa uma vigência anterior à última alteração', async () => {
+            const resposta = await requisitar(contexto, 'PATCH', `/api/funcionarios/${funcionario.id}`, {
+                salario_base: 3100, vigencia_salario: '2024-12-01', motivo_salario: 'Retroativo'
+            });
+            assert.equal(resposta.status, 400);
+            assert.match((await resposta.json()).campos.vigencia_salario, /01\/03\/2025/);
+        });
+
+        it('responde 404 para um funcionário inexistente', async () => {
+            const resposta = await requisitar(contexto, 'PATCH', '/api/funcionarios/9999', { nome_completo: 'Ninguém' });
+            assert.equal(resposta.status, 404);
+        });
+    });
+
+    describe('histórico salarial', () => {
+        it('GET /api/funcionarios/:id/salarios responde 404 para um funcionário inexistente', async () => {
+            const resposta = await requisitar(contexto, 'GET', '/api/funcionarios/9999/salarios');
+            assert.equal(resposta.status, 404);
+        });
+
+        it('DELETE /api/salarios/:id volta ao salário anterior e mantém ao menos uma entrada', async () => {
+            const historico = await (await requisitar(contexto, 'GET', `/api/funcionarios/${funcionario.id}/salarios`)).json();
+
+            assert.equal((await requisitar(contexto, 'DELETE', `/api/salarios/${historico[0].id}`)).status, 204);
+            const lista = await (await requisitar(contexto, 'GET', '/api/funcionarios')).json();
+            assert.equal(Number(lista.find(item => item.id === funcionario.id).salario_base), 2500);
+
+            const resposta = await requisitar(contexto, 'DELETE', `/api/salarios/${historico[1].id}`);
+            assert.equal(resposta.status, 409);
+            assert.equal((await requisitar(contexto, 'DELETE', `/api/salarios/${historico[0].id}`)).status, 404);
+        });
+    });
+
+    describe('lançamentos', () => {
+        let lancamento;
+
+        it('POST /api/funcionarios/:id/lancamentos cadastra um provento do período', async () => {
+            const resposta = await requisitar(contexto, 'POST', `/api/funcionarios/${funcionario.id}/lancamentos`, {
+                periodo: 'outubro/2025', tipo: 'provento', descricao: 'Horas extras', valor: 150.5
+            });
+            assert.equal(resposta.status, 201);
+            lancamento = await resposta.json();
+            assert.equal(lancamento.mes, 10);
+            assert.equal(lancamento.ano, 2025);
+        });
+
+        it('valida o tipo, o período e o funcionário', async () => {
+            const caminho = `/api/funcionarios/${funcionario.id}/lancamentos`;
+            const base = { periodo: '10/2025', tipo: 'provento', descricao: 'Bônus', valor: 10 };
+            assert.equal((await requisitar(contexto, 'POST', caminho, { ...base, tipo: 'bonus' })).status, 400);
+            assert.equal((await requisitar(contexto, 'POST', caminho, { ...base, periodo: '13/2025' })).status, 400);
+            assert.equal((await requisitar(contexto, 'POST', caminho, { tipo: 'provento' })).status, 400);
+            assert.equal((await requisitar(contexto, 'POST', '/api/funcionarios/9999/lancamentos', base)).status, 404);
+        });
+
+        it('recusa valores não numéricos ou negativos e descrições vazias, com os erros por campo', async () => {
+            const caminho = `/api/funcionarios/${funcionario.id}/lancamentos`;
+            for (const [valor, descricao] of [['abc', 'Bônus'], [-10, 'Bônus'], ['1.234.5', 'Bônus'], [10, '   ']]) {
+                const resposta = await requisitar(contexto, 'POST', caminho, { periodo: '10/2025', tipo: 'provento', descricao, valor });
+                assert.equal(resposta.status, 400, `${valor} / "${descricao}"`);
+                const { campos } = await resposta.json();
+                assert.deepEqual(Object.keys(campos), [descricao.trim() ? 'valor' : 'descricao']);
+            }
+
+            const resposta = await requisitar(contexto, 'POST', caminho, { periodo: '10/2025', tipo: 'desconto', descricao: ' INSS ', valor: '1.234,56' });
+            assert.equal(resposta.status, 201);
+            const criado = await resposta.json();
+            assert.equal(Number(criado.valor), 1234.56);
+            assert.equal(criado.descricao, 'INSS');
+
+            const alteracao = await requisitar(contexto, 'PUT', `/api/lancamentos/${criado.id}`, { valor: 'abc' });
+            assert.equal(alteracao.status, 400);
+            assert.ok((await alteracao.json()).campos.valor);
+            assert.equal((await requisitar(contexto, 'DELETE', `/api/lancamentos/${criado.id}`)).status, 204);
+        });
+
+        it('GET /api/funcionarios/:id/lancamentos filtra pelo período', async () => {
+            const caminho = `/api/funcionarios/${funcionario.id}/lancamentos`;
+            assert.equal((await (await requisitar(contexto, 'GET', `${caminho}?periodo=10/2025`)).json()).length, 1);
+            assert.equal((await (await requisitar(contexto, 'GET', `${caminho}?periodo=11/2025`)).json()).length, 0);
+            assert.equal((await requisitar(contexto, 'GET', `${caminho}?periodo=xx`)).status, 400);
+        });
+
+        it('PUT e DELETE /api/lancamentos/:id alteram e removem o lançamento', async () => {
+            const resposta = await requisitar(contexto, 'PUT', `/api/lancamentos/${lancamento.id}`, { tipo: 'desconto', valor: 80 });
+            assert.equal(resposta.status, 200);
+            const atualizado = await resposta.json();
+            assert.equal(atualizado.tipo, 'desconto');
+            assert.equal(Number(atualizado.valor), 80);
+            assert.equal(atualizado.descricao, 'Horas extras');
+
+            assert.equal((await requisitar(contexto, 'PUT', `/api/lancamentos/${lancamento.id}`, {})).status, 400);
+            assert.equal((await requisitar(contexto, 'DELETE', `/api/lancamentos/${lancamento.id}`)).status, 204);
+            assert.equal((await requisitar(contexto, 'DELETE', `/api/lancamentos/${lancamento.id}`)).status, 404);
+            assert.equal((await requisitar(contexto, 'PUT', `/api/lancamentos/${lancamento.id}`, { valor: 1 })).status, 404);
+        });
+    });
+
+    describe('ausências', () => {
+        let ausencia;
+
+        it('POST /api/funcionarios/:id/ausencias cadastra uma falta não remunerada', async () => {
+            const resposta = await requisitar(contexto, 'POST', `/api/funcionarios/${funcionario.id}/ausencias`, {
+                inicio: '20/10/2025', fim: '2025-10-21', motivo: 'Falta injustificada'
+            });
+            assert.equal(resposta.status, 201);
+            ausencia = await resposta.json();
+            assert.equal(ausencia.inicio, '2025-10-20');
+            assert.equal(ausencia.fim, '2025-10-21');
+        });
+
+        it('valida as datas, o motivo e o funcionário', async () => {
+            const caminho = `/api/funcionarios/${funcionario.id}/ausencias`;
+            assert.equal((await requisitar(contexto, 'POST', caminho, { inicio: '2025-10-22', fim: '2025-10-21', motivo: 'x' })).status, 400);
+            assert.equal((await requisitar(contexto, 'POST', caminho, { inicio: '2025-10-20', fim: '2025-10-21' })).status, 400);
+            assert.equal((await requisitar(contexto, 'POST', caminho, { inicio: 'ontem', fim: '2025-10-21', motivo: 'x' })).status, 400);
+            const semFuncionario = await requisitar(contexto, 'POST', '/api/funcionarios/9999/ausencias', {
+                inicio: '2025-10-20', fim: '2025-10-21', motivo: 'x'
+            });
+            assert.equal(semFuncionario.status, 404);
+        });
+
+        it('GET /api/funcionarios/:id/ausencias lista as ausências que tocam o período', async () => {
+            const caminho = `/api/funcionarios/${funcionario.id}/ausencias`;
+            assert.equal((await (await requisitar(contexto, 'GET', caminho)).json()).length, 1);
+            assert.equal((await (await requisitar(contexto, 'GET', `${caminho}?periodo=10/2025`)).json()).length, 1);
+            assert.equal((await (await requisitar(contexto, 'GET', `${caminho}?periodo=11/2025`)).json()).length, 0);
+            assert.equal((await requisitar(contexto, 'GET', `${caminho}?periodo=xx`)).status, 400);
+        });
+
+        it('PUT e DELETE /api/ausencias/:id alteram e removem a ausência', async () => {
+            const resposta = await requisitar(contexto, 'PUT', `/api/ausencias/${ausencia.id}`, { fim: '2025-10-23' });
+            assert.equal(resposta.status, 200);
+            const atualizada = await resposta.json();
+            assert.equal(atualizada.inicio, '2025-10-20');
+            assert.equal(atualizada.fim, '2025-10-23');
+
+            assert.equal((await requisitar(contexto, 'PUT', `/api/ausencias/${ausencia.id}`, { fim: '2025-10-01' })).status, 400);
+            assert.equal((await requisitar(contexto, 'DELETE', `/api/ausencias/${ausencia.id}`)).status, 204);
+            assert.equal((await requisitar(contexto, 'DELETE', `/api/ausencias/${ausencia.id}`)).status, 404);
+        });
+    });
+
+    describe('importação e exportação', () => {
+        const planilha = [
+            'nome_completo;cpf;salario_base;email',
+            'João Pereira;111.444.777-35;1.800,00;joao@exemplo.com',
+            'Ana Costa;935.411.347-80;2200;'
+        ].join('\n');
+
+        const importar = (consulta, corpo = planilha) =>
+            requisitar(contexto, 'POST', `/api/funcionarios/importar?empresa_id=${empresa.id}${consulta}`, Buffer.from(corpo));
+
+        it('simula a importação sem gravar', async () => {
+            const resposta = await importar('&simular=true');
+            assert.equal(resposta.status, 200);
+            const relatorio = await resposta.json();
+            assert.equal(relatorio.simulacao, true);
+            assert.equal(relatorio.inseridos, 2);
+            assert.deepEqual(relatorio.erros, []);
+
+            const lista = await (await requisitar(contexto, 'GET', '/api/funcionarios')).json();
+            assert.equal(lista.length, 1);
+        });
+
+        it('não grava nada quando alguma linha tem erro', async () => {
+            const resposta = await importar('', `${planilha}\nCPF Inválido;123.456.789-00;1000;`);
+            assert.equal(resposta.status, 422);
+            const relatorio = await resposta.json();
+            assert.deepEqual(relatorio.erros.map(erro => [erro.linha, erro.campo]), [[4, 'cpf']]);
+
+            const lista = await (await requisitar(contexto, 'GET', '/api/funcionarios')).json();
+            assert.equal(lista.length, 1);
+        });
+
+        it('valida o modo, o arquivo e a empresa', async () => {
+            assert.equal((await importar('&modo=substituir')).status, 400);
+            assert.equal((await importar('', '')).status, 400);
+            assert.equal((await importar('', 'nome;salario\nFulano;1000')).status, 400);
+            const semEmpresa = await requisitar(contexto, 'POST', '/api/funcionarios/importar', Buffer.from(planilha));
+            assert.equal(semEmpresa.status, 400);
+        });
+
+        it('insere e depois atualiza pelo CPF', async () => {
+            const insercao = await importar('');
+            assert.equal(insercao.status, 200);
+            assert.equal((await insercao.json()).inseridos, 2);
+            assert.equal((await importar('')).status, 422);
+
+            const atualizacao = await importar('&modo=atualizar', planilha.replace('1.800,00', '1.900,00'));
+            assert.equal(atualizacao.status, 200);
+            assert.equal((await atualizacao.json()).atualizados, 2);
+
+            const lista = await (await requisitar(contexto, 'GET', `/api/funcionarios?empresa_id=${empresa.id}`)).json();
+            const joao = lista.find(item => item.cpf === '111.444.777-35');
+            assert.equal(Number(joao.salario_base), 1900);
+            const historico = await (await requisitar(contexto, 'GET', `/api/funcionarios/${joao.id}/salarios`)).json();
+            // Inserido e atualizado no mesmo dia: a alteração corrige a entrada vigente desde hoje
+            assert.deepEqual(historico.map(entrada => [Number(entrada.salario), entrada.motivo]), [[1900, 'Importação de planilha']]);
+        });
+
+        it('exporta os funcionários ativos em CSV com as colunas da importação', async () => {
+            const resposta = await requisitar(contexto, 'GET', `/api/funcionarios/exportar?empresa_id=${empresa.id}`);
+            assert.equal(resposta.status, 200);
+            assert.match(resposta.headers.get('content-disposition'), /funcionarios\.csv/);
+            const linhas = (await resposta.text()).replace(/^﻿/, '').trim().split(/\r?\n/);
+            assert.equal(linhas[0], 'nome_completo;cpf;salario_base;email;data_admissao;data_demissao');
+            assert.equal(linhas.length, 4);
+            assert.ok(linhas.some(linha => linha.startsWith('João Pereira;111.444.777-35;1900,00;joao@exemplo.com')));
+        });
+
+        it('exporta em XLSX e recusa outros formatos', async () => {
+            const resposta = await requisitar(contexto, 'GET', '/api/funcionarios/exportar?formato=xlsx');
+            assert.equal(resposta.status, 200);
+            assert.equal(Buffer.from(await resposta.arrayBuffer()).subarray(0, 2).toString(), 'PK');
+            assert.equal((await requisitar(contexto, 'GET', '/api/funcionarios/exportar?formato=pdf')).status, 400);
+        });
+    });
+
+    describe('desligamento e reativação', () => {
+        it('DELETE /api/funcionarios/:id desliga o funcionário sem excluí-lo', async () => {
+            const resposta = await requisitar(contexto, 'DELETE', `/api/funcionarios/${funcionario.id}`);
+            assert.equal(resposta.status, 200);
+            assert.ok((await resposta.json()).desligado_em);
+
+            const ativos = await (await requisitar(contexto, 'GET', '/api/funcionarios')).json();
+            assert.ok(!ativos.some(item => item.id === funcionario.id));
+            const todos = await (await requisitar(contexto, 'GET', '/api/funcionarios?incluir_desligados=true')).json();
+            assert.ok(todos.some(item => item.id === funcionario.id));
+
+            assert.equal((await requisitar(contexto, 'DELETE', `/api/funcionarios/${funcionario.id}`)).status, 409);
+            assert.equal((await requisitar(contexto, 'DELETE', '/api/funcionarios/9999')).status, 404);
+        });
+
+        it('POST /api/funcionarios/:id/reativar reativa o funcionário desligado', async () => {
+            const resposta = await requisitar(contexto, 'POST', `/api/funcionarios/${funcionario.id}/reativar`);
+            assert.equal(resposta.status, 200);
+            assert.equal((await resposta.json()).desligado_em, null);
+
+            assert.equal((await requisitar(contexto, 'POST', `/api/funcionarios/${funcionario.id}/reativar`)).status, 409);
+            assert.equal((await requisitar(contexto, 'POST', '/api/funcionarios/9999/reativar')).status, 404);
+        });
+    });
+
+    describe('valores e CPFs numéricos', () => {
+        it('aceita salários em JSON com centavos que o ponto flutuante não representa exatamente', async () => {
+            const resposta = await cadastrar({ nome_completo: 'Carla Nunes', cpf: '246.813.579-28', salario_base: 1024.1 });
+            assert.equal(resposta.status, 201);
+            assert.equal(Number((await resposta.json()).salario_base), 1024.1);
+        });
+
+        it('importa células numéricas do XLSX, completando os zeros à esquerda do CPF', async () => {
+            const pastaDeTrabalho = new ExcelJS.Workbook();
+            const planilha = pastaDeTrabalho.addWorksheet('Funcionários');
+            planilha.addRow(['nome_completo', 'cpf', 'salario_base']);
+            planilha.addRow(['Davi Zero', 1234567890, 1.15]);
+            planilha.addRow(['Elisa Zeros', 123456797, 1024.1]);
+            const conteudo = Buffer.from(await pastaDeTrabalho.xlsx.writeBuffer());
+
+            const resposta = await requisitar(contexto, 'POST', `/api/funcionarios/importar?empresa_id=${empresa.id}`, conteudo);
+            assert.equal(resposta.status, 200);
+            const relatorio = await resposta.json();
+            assert.deepEqual(relatorio.erros, []);
+            assert.deepEqual(relatorio.linhas.map(linha => [linha.cpf, linha.salario_base]), [
+                ['012.345.678-90', 1.15],
+                ['001.234.567-97', 1024.1]
+            ]);
+        });
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * Testes de integração da geração de recibos (/gerar-recibos): validação da
+ * requisição e geração completa do ZIP, conferindo que cada PDF pode ser lido e
+ * traz o nome e o valor do funcionário, geração assinada com o certificado da
+ * empresa e com um aumento no meio do período. A geração completa depende do
+ * Chromium do Puppeteer; sem ele, esses testes são pulados com o motivo.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { PDFDocument } = require('pdf-lib');
+const { iniciarServidorDeTeste, requisitar, encerrarServidor, criarEmpresa, gerarCertificadoDeTeste } = require('./ajudantes');
+const { bancoDeDados } = require('../lib/banco-de-dados');
+const { renderizarPdf } = require('../lib/renderizador-pdf');
+const { verificarAssinaturaPdf } = require('../lib/assinatura');
+
+const diretorioTemporario = path.join(__dirname, '..', 'temp_files');
+
+/**
+ * Extrai o texto de todas as páginas de um PDF com o pdf.js.
+ */
+async function extrairTextoPdf(conteudo) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const documento = await pdfjs.getDocument({ data: new Uint8Array(conteudo), verbosity: 0 }).promise;
+    try {
+        const textos = [];
+        for (let numero = 1; numero <= documento.numPages; numero++) {
+            const { items } = await (await documento.getPage(numero)).getTextContent();
+            textos.push(items.map(item => item.str).join(' '));
+        }
+        return textos.join('\n');
+    } finally {
+        await documento.destroy();
+    }
+}
+
+// O Chromium pode quebrar as linhas do PDF em trechos arbitrários; compara sem espaços
+const semEspacos = (texto) => texto.replace(/\s+/g, '');
+
+/**
+ * Consulta o status da tarefa até ela terminar (ou até o limite de tempo).
+ */
+async function aguardarTarefa(contexto, caminhoStatus, limiteMs = 60000) {
+    const inicio = Date.now();
+    for (;;) {
+        const tarefa = await (await requisitar(contexto, 'GET', caminhoStatus)).json();
+        if (tarefa.status === 'concluida' || tarefa.status === 'erro') return tarefa;
+        if (Date.now() - inicio > limiteMs) throw new Error(`A geração não terminou em ${limiteMs} ms.`);
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+}
+
+describe('Geração de recibos', () => {
+    let contexto;
+    let empresa;
+    let motivoSemNavegador = null;
+    const tarefasCriadas = [];
+
+    const funcionarios = [
+        {
+            nome_completo: 'José Ávila', cpf: '123.456.789-09', salario_base: 2500,
+            arquivo: 'RECIBO-Jose_Avila-10-2025.pdf', valor: 'R$ 2.500,00', extenso: 'DOIS MIL E QUINHENTOS REAIS'
+        },
+        {
+            nome_completo: 'Ana Beatriz Costa', cpf: '987.654.321-00', salario_base: 1234.56,
+            arquivo: 'RECIBO-Ana_Beatriz_Costa-10-2025.pdf', valor: 'R$ 1.234,56',
+            extenso: 'UM MIL DUZENTOS E TRINTA E QUATRO REAIS E CINQUENTA E SEIS CENTAVOS'
+        }
+    ];
+
+    const gerar = (corpo) => requisitar(contexto, 'POST', '/gerar-recibos', { periodo: '10/2025', empresa_id: empresa.id, ...corpo });
+
+    before(async () => {
+        contexto = await iniciarServidorDeTeste();
+        empresa = await criarEmpresa(contexto);
+        for (const { nome_completo, cpf, salario_base } of funcionarios) {
+            const resposta = await requisitar(contexto, 'POST', '/api/funcionarios', {
+                nome_completo, cpf, salario_base, empresa_id: empresa.id
+            });
+            assert.equal(resposta.status, 201);
+        }
+
+        motivoSemNavegador = await renderizarPdf('<p>teste</p>')
+            .then(() => null, erro => erro.message.split('\n')[0]);
+    });
+
+    after(async () => {
+        for (const id of tarefasCriadas) {
+            fs.rmSync(path.join(diretorioTemporario, id), { recursive: true, force: true });
+        }
+        await encerrarServidor(contexto);
+    });
+
+    describe('validação da requisição', () => {
+        it('exige login', async () => {
+            const resposta = await requisitar({ ...contexto, cookie: null }, 'POST', '/gerar-recibos', { periodo: '10/2025' });
+            assert.equal(resposta.status, 401);
+        });
+
+        it('responde 400 para período, empresa, formato ou lista de funcionários inválidos', async () => {
+            assert.equal((await gerar({ periodo: '' })).status, 400);
+            assert.equal((await gerar({ periodo: '13/2025' })).status, 400);
+            assert.equal((await gerar({ empresa_id: '' })).status, 400);
+            assert.equal((await gerar({ formato: 'rar' })).status, 400);
+            assert.equal((await gerar({ assinar: 'sim' })).status, 400);
+            assert.equal((await gerar({ funcionarios: [] })).status, 400);
+        });
+
+        it('responde 404 para uma empresa inexistente ou sem funcionários', async () => {
+            const semEmpresa = await gerar({ empresa_id: 9999 });
+            assert.equal(semEmpresa.status, 404);
+            assert.equal((await semEmpresa.json()).error, 'Empresa não encontrada.');
+
+            const vazia = await criarEmpresa(contexto, { nome: 'Empresa Vazia', cnpj: '11.444.777/0001-61' });
+            assert.equal((await gerar({ empresa_id: vazia.id })).status, 404);
+        });
+
+        it('responde 404 para uma tarefa inexistente', async () => {
+            assert.equal((await requisitar(contexto, 'GET', '/gerar-recibos/inexistente')).status, 404);
+            assert.equal((await requisitar(contexto, 'GET', '/gerar-recibos/inexistente/arquivo')).status, 404);
+        });
+    });
+
+    it('gera um ZIP com um PDF legível por funcionário, com o nome e o valor', async (t) => {
+        if (motivoSemNavegador) {
+            t.skip(`Chromium indisponível: ${motivoSemNavegador}`);
+            return;
+        }
+
+        const inicio = await gerar();
+        assert.equal(inicio.status, 202);
+        const { jobId, status, arquivo } = await inicio.json();
+        tarefasCriadas.push(jobId);
+
+        const tarefa = await aguardarTarefa(contexto, status);
+        assert.equal(tarefa.status, 'concluida', tarefa.erro);
+        assert.equal(tarefa.total, funcionarios.length);
+        assert.equal(tarefa.concluidos, funcionarios.length);
+        assert.deepEqual(tarefa.falhas, []);
+
+        const download = await requisitar(contexto, 'GET', arquivo);
+        assert.equal(download.status, 200);
+        assert.match(download.headers.get('content-disposition'), /Recibos_10-2025\.zip/);
+        const zip = await JSZip.loadAsync(Buffer.from(await download.arrayBuffer()));
+
+        const nomesArquivos = Object.values(zip.files).filter(entrada => !entrada.dir).map(entrada => entrada.name).sort();
+        assert.deepEqual(nomesArquivos, funcionarios.map(funcionario => funcionario.arquivo).sort());
+
+        for (const funcionario of funcionarios) {
+            const nomeArquivo = funcionario.arquivo;
+            const conteudo = await zip.file(nomeArquivo).async('nodebuffer');
+            assert.equal(conteudo.subarray(0, 5).toString(), '%PDF-', nomeArquivo);
+
+            const documento = await PDFDocument.load(conteudo);
+            assert.ok(documento.getPageCount() >= 1, nomeArquivo);
+
+            const texto = semEspacos(await extrairTextoPdf(conteudo));
+            assert.ok(texto.includes(semEspacos(funcionario.nome_completo)), `${nomeArquivo} sem o nome do funcionário`);
+            assert.ok(texto.includes(semEspacos(funcionario.valor)), `${nomeArquivo} sem o valor ${funcionario.valor}`);
+            assert.ok(texto.includes(semEspacos(funcionario.extenso)), `${nomeArquivo} sem o valor por extenso`);
+        }
+    });
+
+    it('paga proporcionalmente cada salário quando há aumento no meio do período', async (t) => {
+        if (motivoSemNavegador) {
+            t.skip(`Chromium indisponível: ${motivoSemNavegador}`);
+            return;
+        }
+
+        const empresaAumento = await criarEmpresa(contexto, { nome: 'Empresa do Aumento Ltda', cnpj: '11.222.333/0002-62' });
+        const cadastro = await requisitar(contexto, 'POST', '/api/funcionarios', {
+            nome_completo: 'Carla Dias', cpf: '529.982.247-25', salario_base: 3100, data_admissao: '2025-01-01', empresa_id: empresaAumento.id
+        });
+        assert.equal(cadastro.status, 201);
+        const { id } = await cadastro.json();
+        const aumento = await requisitar(contexto, 'PATCH', `/api/funcionarios/${id}`, {
+            salario_base: 6200, vigencia_salario: '2025-10-16', motivo_salario: 'Promoção'
+        });
+        assert.equal(aumento.status, 200);
+
+        const inicio = await gerar({ empresa_id: empresaAumento.id, formato: 'pdf' });
+        assert.equal(inicio.status, 202);
+        const { jobId, status, arquivo } = await inicio.json();
+        tarefasCriadas.push(jobId);
+        const tarefa = await aguardarTarefa(contexto, status);
+        assert.equal(tarefa.status, 'concluida', tarefa.erro);
+
+        // 3.100,00 ÷ 31 × 15 dias + 6.200,00 ÷ 31 × 16 dias
+        const recibo = await bancoDeDados('recibos').where({ funcionario_id: id }).first();
+        assert.equal(Number(recibo.valor), 4700);
+        const texto = semEspacos(await extrairTextoPdf(Buffer.from(await (await requisitar(contexto, 'GET', arquivo)).arrayBuffer())));
+        assert.ok(texto.includes(semEspacos('R$ 4.700,00')), 'PDF sem o valor com os dois salários');
+    });
+
+    it('assina todos os recibos da geração com o certificado da empresa', async (t) => {
+        if (motivoSemNavegador) {
+            t.skip(`Chromium indisponível: ${motivoSemNavegador}`);
+            return;
+        }
+
+        const configuracao = await requisitar(contexto, 'PUT', `/api/empresas/${empresa.id}/certificado`, {
+            certificado: gerarCertificadoDeTeste('Empresa dos Testes Ltda', 'senha-do-certificado'),
+            senha: 'senha-do-certificado'
+        });
+        assert.equal(configuracao.status, 200);
+
+        const inicio = await gerar({ assinar: true });
+        assert.equal(inicio.status, 202);
+        const { jobId, status, arquivo } = await inicio.json();
+        tarefasCriadas.push(jobId);
+
+        const tarefa = await aguardarTarefa(contexto, status);
+        assert.equal(tarefa.status, 'concluida', tarefa.erro);
+        assert.deepEqual(tarefa.falhas, []);
+
+        const zip = await JSZip.loadAsync(Buffer.from(await (await requisitar(contexto, 'GET', arquivo)).arrayBuffer()));
+        const entradas = Object.values(zip.files).filter(entrada => !entrada.dir);
+        assert.equal(entradas.length, funcionarios.length);
+        for (const entrada of entradas) {
+            const recibo = await bancoDeDados('recibos').where({ nome_arquivo: entrada.name }).orderBy('id', 'desc').first();
+            assert.ok(recibo.hash_certificado, entrada.name);
+            const assinatura = verificarAssinaturaPdf(await entrada.async('nodebuffer'), recibo.hash_certificado);
+            assert.equal(assinatura.assinado, true, entrada.name);
+            assert.equal(assinatura.valida, true, `${entrada.name}: ${assinatura.motivo}`);
+        }
+    });
+});
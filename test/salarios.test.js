@@ -0,0 +1,86 @@
+/**
+ * Testes unitários do salário de cada trecho do período: divisão do período nas
+ * alterações salariais e cálculo proporcional de cada trecho no recibo.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { dividirPeriodoPorSalario } = require('../lib/salarios');
+const { calcularValoresRecibo } = require('../lib/utilitarios');
+const { calcularDiasPagos } = require('../lib/periodos');
+const { montarValoresRecibo } = require('../lib/modelos');
+
+// O Intl separa o "R$" do valor com um espaço não separável
+const espacosComuns = (texto) => texto.replace(/\u00a0/g, ' ');
+
+const outubro = { mes: 10, ano: 2025, inicio: '2025-10-01', fim: '2025-10-31' };
+const historico = [
+    { vigencia_inicio: '2025-01-01', salario: '3100.00' },
+    { vigencia_inicio: '2025-10-16', salario: '6200.00' }
+];
+
+describe('dividirPeriodoPorSalario', () => {
+    it('mantém um único trecho quando o salário não muda no período', () => {
+        assert.deepEqual(dividirPeriodoPorSalario(historico, { inicio: '2025-09-01', fim: '2025-09-30' }), [
+            { inicio: '2025-09-01', fim: '2025-09-30', salario: historico[0] }
+        ]);
+        // A vigência no primeiro dia do período não divide o período
+        assert.equal(dividirPeriodoPorSalario(historico, { inicio: '2025-10-16', fim: '2025-10-31' }).length, 1);
+        assert.deepEqual(dividirPeriodoPorSalario([], outubro), [{ inicio: '2025-10-01', fim: '2025-10-31', salario: null }]);
+    });
+
+    it('abre um trecho em cada alteração salarial no meio do período', () => {
+        assert.deepEqual(dividirPeriodoPorSalario(historico, outubro), [
+            { inicio: '2025-10-01', fim: '2025-10-15', salario: historico[0] },
+            { inicio: '2025-10-16', fim: '2025-10-31', salario: historico[1] }
+        ]);
+    });
+});
+
+describe('calcularValoresRecibo com alteração salarial no período', () => {
+    const funcionario = { salario_base: '6200.00' };
+
+    /**
+     * Calcula o recibo de outubro como a geração: um trecho por salário, com os dias pagos de cada um.
+     */
+    function calcularOutubro(dadosFuncionario, ausencias = []) {
+        const trechos = dividirPeriodoPorSalario(historico, outubro).map(trecho => ({
+            inicio: trecho.inicio,
+            fim: trecho.fim,
+            salarioBase: trecho.salario.salario,
+            diasPagos: calcularDiasPagos({ ...outubro, ...trecho }, dadosFuncionario, ausencias).diasPagos
+        }));
+        return calcularValoresRecibo(dadosFuncionario, [], calcularDiasPagos(outubro, dadosFuncionario, ausencias), trechos);
+    }
+
+    it('paga cada salário proporcional aos dias em que vigorou', () => {
+        const valores = calcularOutubro(funcionario);
+        assert.deepEqual(valores.itens.map(item => [espacosComuns(item.descricao), item.valor]), [
+            ['Salário base de R$ 3.100,00 proporcional (15 de 31 dias)', 1500],
+            ['Salário base de R$ 6.200,00 proporcional (16 de 31 dias)', 3200]
+        ]);
+        assert.equal(valores.valorLiquido, 4700);
+        assert.equal(valores.proporcionalidade.diasPagos, 31);
+    });
+
+    it('desconta as ausências do trecho em que caem', () => {
+        const valores = calcularOutubro(funcionario, [{ inicio: '2025-10-20', fim: '2025-10-23' }]);
+        assert.deepEqual(valores.itens.map(item => item.valor), [1500, 2400]);
+        assert.equal(valores.valorLiquido, 3900);
+    });
+
+    it('descreve no recibo o cálculo de cada trecho', () => {
+        const valores = calcularOutubro(funcionario);
+        const { CALCULO_PROPORCIONAL, DIAS_PAGOS } = montarValoresRecibo({
+            empresa: { nome: 'Empresa', cnpj: '11.222.333/0001-81', cidade: 'Fortaleza' },
+            funcionario: { nome_completo: 'José Ávila', cpf: '123.456.789-09' },
+            valores,
+            resultadoPeriodo: { ...outubro, competencia: '10/2025', textoFormatado: '01/10/2025 a 31/10/2025', dataPagamento: null },
+            numeroRecibo: 1,
+            dataEmissao: new Date(2025, 10, 5)
+        });
+        assert.equal(DIAS_PAGOS, '31 de 31');
+        assert.equal(espacosComuns(CALCULO_PROPORCIONAL), 'Salário proporcional: R$ 3.100,00 ÷ 31 dias × 15 dias (de 01/10/2025 a 15/10/2025)'
+            + ' + R$ 6.200,00 ÷ 31 dias × 16 dias (de 16/10/2025 a 31/10/2025) = R$ 4.700,00.');
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Testes unitários da interpretação de períodos, da sanitização dos nomes de
+ * arquivo e do valor por extenso impresso nos recibos.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { interpretarPeriodo, sanitizarNomeArquivo, interpretarValorMonetario } = require('../lib/utilitarios');
+const { valorPorExtenso } = require('../lib/modelos');
+
+describe('interpretarPeriodo', () => {
+    const outubro2025 = { mes: 10, ano: 2025, textoFormatado: '01/10/2025 a 31/10/2025', stringSanitizada: '10-2025' };
+
+    it('aceita mês/ano numérico, por extenso e no formato do campo de mês do navegador', () => {
+        for (const entrada of ['10/2025', 'outubro/2025', 'Outubro 2025', 'out/2025', '2025-10', '10-2025', ' 10/2025 ']) {
+            assert.deepEqual(interpretarPeriodo(entrada), outubro2025, entrada);
+        }
+    });
+
+    it('aceita nomes de mês com ou sem acento e anos com dois dígitos', () => {
+        assert.deepEqual(interpretarPeriodo('março/2024'), {
+            mes: 3, ano: 2024, textoFormatado: '01/03/2024 a 31/03/2024', stringSanitizada: '03-2024'
+        });
+        assert.equal(interpretarPeriodo('marco/24').mes, 3);
+        assert.equal(interpretarPeriodo('marco/24').ano, 2024);
+    });
+
+    it('usa o último dia do mês, inclusive em fevereiro de ano bissexto', () => {
+        assert.equal(interpretarPeriodo('02/2024').textoFormatado, '01/02/2024 a 29/02/2024');
+        assert.equal(interpretarPeriodo('02/2025').textoFormatado, '01/02/2025 a 28/02/2025');
+        assert.equal(interpretarPeriodo('04/2025').textoFormatado, '01/04/2025 a 30/04/2025');
+    });
+
+    it('não reconhece meses fora de 1 a 12 nem textos sem mês e ano', () => {
+        assert.deepEqual(interpretarPeriodo('13/2025'), {
+            mes: null, ano: null, textoFormatado: '13/2025', stringSanitizada: '13-2025'
+        });
+        assert.equal(interpretarPeriodo('0/2025').mes, null);
+        assert.equal(interpretarPeriodo('outubro').mes, null);
+        assert.equal(interpretarPeriodo('xx').mes, null);
+    });
+
+    it('trata entradas vazias ou que não são texto', () => {
+        assert.equal(interpretarPeriodo('').mes, null);
+        assert.equal(interpretarPeriodo('').textoFormatado, '');
+        assert.equal(interpretarPeriodo(undefined).mes, null);
+        assert.equal(interpretarPeriodo(202510).mes, null);
+    });
+});
+
+describe('sanitizarNomeArquivo', () => {
+    it('remove acentos e troca espaços por "_"', () => {
+        assert.equal(sanitizarNomeArquivo('João da Silva'), 'Joao_da_Silva');
+        assert.equal(sanitizarNomeArquivo('Ç ã é'), 'C_a_e');
+    });
+
+    it('junta espaços repetidos e descarta os das pontas', () => {
+        assert.equal(sanitizarNomeArquivo('  Maria   Clara  '), 'Maria_Clara');
+    });
+
+    it('remove separadores de caminho e caracteres inválidos em nomes de arquivo', () => {
+        const nome = sanitizarNomeArquivo('Ana/../x:y*');
+        assert.equal(nome, 'Ana..xy');
+        assert.doesNotMatch(nome, /[\\/:*?"<>|]/);
+    });
+});
+
+describe('interpretarValorMonetario', () => {
+    it('aceita números com até duas casas, inclusive os que o ponto flutuante não representa exatamente', () => {
+        for (const valor of [0, 1.1, 1.15, 1024.1, 0.07, 2500, 99999999.99]) {
+            assert.equal(interpretarValorMonetario(valor), valor, String(valor));
+        }
+        assert.equal(interpretarValorMonetario(0.1 + 0.2), 0.3);
+    });
+
+    it('recusa números negativos, não finitos ou com mais de duas casas', () => {
+        for (const valor of [-1, -0.01, NaN, Infinity, 1.001, 10.555]) {
+            assert.equal(interpretarValorMonetario(valor), null, String(valor));
+        }
+    });
+
+    it('aceita textos no formato brasileiro ou com ponto decimal', () => {
+        assert.equal(interpretarValorMonetario('1.234,56'), 1234.56);
+        assert.equal(interpretarValorMonetario('R$ 2.500,00'), 2500);
+        assert.equal(interpretarValorMonetario('2.500'), 2500);
+        assert.equal(interpretarValorMonetario('1024.1'), 1024.1);
+        assert.equal(interpretarValorMonetario('1,1'), 1.1);
+    });
+
+    it('recusa textos que não são valores', () => {
+        for (const valor of ['abc', '', '-10', '1.234.56', '1,234', null, undefined]) {
+            assert.equal(interpretarValorMonetario(valor), null, String(valor));
+        }
+    });
+});
+
+describe('valorPorExtenso', () => {
+    it('escreve reais e centavos', () => {
+        assert.equal(valorPorExtenso(2500), 'dois mil e quinhentos reais');
+        assert.equal(valorPorExtenso(1234.56), 'um mil duzentos e trinta e quatro reais e cinquenta e seis centavos');
+        assert.equal(valorPorExtenso(101.1), 'cento e um reais e dez centavos');
+    });
+
+    it('usa o singular para um real e um centavo', () => {
+        assert.equal(valorPorExtenso(1), 'um real');
+        assert.equal(valorPorExtenso(1.01), 'um real e um centavo');
+        assert.equal(valorPorExtenso(0.5), 'cinquenta centavos');
+    });
+
+    it('escreve "zero reais" para recibos sem valor líquido', () => {
+        assert.equal(valorPorExtenso(0), 'zero reais');
+        assert.equal(valorPorExtenso('0.00'), 'zero reais');
+    });
+
+    it('usa "de reais" depois de milhões redondos', () => {
+        assert.equal(valorPorExtenso(1000000), 'um milhão de reais');
+        assert.equal(valorPorExtenso(2000000.5), 'dois milhões de reais e cinquenta centavos');
+        assert.equal(valorPorExtenso(1000001), 'um milhão e um reais');
+    });
+});